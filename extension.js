@@ -2,165 +2,36 @@ const vscode = require('vscode');
 const { spawn } = require('child_process');
 const path = require('path');
 
-// Import the palette generation functions from the MCP server
-// We'll duplicate the logic here for direct use in language model tools
-const TAILWIND_SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
-
-// Gradient generation functions
-function generateGradientStops(colors, steps = 10, direction = 'to-r') {
-    if (colors.length < 2) {
-        throw new Error('At least 2 colors are required for gradient generation');
-    }
-
-    const stops = [];
-    const stepSize = 100 / (steps - 1);
-    
-    for (let i = 0; i < steps; i++) {
-        const position = i * stepSize;
-        const colorIndex = (i / (steps - 1)) * (colors.length - 1);
-        const lowerIndex = Math.floor(colorIndex);
-        const upperIndex = Math.ceil(colorIndex);
-        const factor = colorIndex - lowerIndex;
-        
-        let interpolatedColor;
-        if (lowerIndex === upperIndex) {
-            interpolatedColor = colors[lowerIndex];
-        } else {
-            interpolatedColor = interpolateColors(colors[lowerIndex], colors[upperIndex], factor);
-        }
-        
-        stops.push({
-            color: interpolatedColor,
-            position: Math.round(position * 100) / 100
-        });
-    }
-    
-    return { stops, direction };
-}
-
-function interpolateColors(color1, color2, factor) {
-    // Simple RGB interpolation
-    const rgb1 = hexToRgb(color1);
-    const rgb2 = hexToRgb(color2);
-    
-    if (!rgb1 || !rgb2) {
-        return color1; // fallback
-    }
-    
-    const r = Math.round(rgb1.r + factor * (rgb2.r - rgb1.r));
-    const g = Math.round(rgb1.g + factor * (rgb2.g - rgb1.g));
-    const b = Math.round(rgb1.b + factor * (rgb2.b - rgb1.b));
-    
-    return rgbToHex(r, g, b);
-}
-
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16)
-    } : null;
-}
-
-function rgbToHex(r, g, b) {
-    return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
-}
-
-function generateTailwindGradient(gradient, format = 'css') {
-    const { stops, direction } = gradient;
-    
-    if (format === 'css') {
-        // Generate CSS gradient
-        const stopStrings = stops.map(stop => `${stop.color} ${stop.position}%`);
-        return `background: linear-gradient(${direction.replace('to-', '')}, ${stopStrings.join(', ')});`;
-    } else if (format === 'tailwind') {
-        // Generate Tailwind utility classes
-        const directionClass = `bg-gradient-${direction}`;
-        const fromColor = `from-[${stops[0].color}]`;
-        const toColor = `to-[${stops[stops.length - 1].color}]`;
-        
-        let classes = `${directionClass} ${fromColor}`;
-        
-        if (stops.length > 2) {
-            // Add via colors for multi-stop gradients
-            const viaColors = stops.slice(1, -1).map(stop => `via-[${stop.color}]`);
-            classes += ` ${viaColors.join(' ')}`;
-        }
-        
-        classes += ` ${toColor}`;
-        return classes;
-    } else if (format === 'json') {
-        return JSON.stringify(gradient, null, 2);
-    } else {
-        // Custom CSS with color stops
-        const stopStrings = stops.map(stop => `${stop.color} ${stop.position}%`);
-        return {
-            gradient: `linear-gradient(${direction.replace('to-', '')}, ${stopStrings.join(', ')})`,
-            stops: stops,
-            direction: direction
-        };
-    }
-}
-
-function generateTailwindPalette(baseColor, name = 'primary') {
-    // For now, we'll use a simplified palette generation
-    // In a full implementation, you'd want to use chroma-js here
-    const palette = {};
-    
-    // Simple palette generation (you can enhance this with chroma-js later)
-    const baseColorNum = parseInt(baseColor.replace('#', ''), 16);
-    
-    TAILWIND_SHADES.forEach(shade => {
-        const factor = shade / 500;
-        let newColor;
-        
-        if (shade < 500) {
-            // Lighter shades
-            const lightness = Math.min(255, Math.floor(baseColorNum + (255 - baseColorNum) * (1 - factor)));
-            newColor = `#${lightness.toString(16).padStart(6, '0')}`;
-        } else if (shade > 500) {
-            // Darker shades
-            const darkness = Math.floor(baseColorNum * (1 - (factor - 1) * 0.7));
-            newColor = `#${darkness.toString(16).padStart(6, '0')}`;
-        } else {
-            // Base color
-            newColor = baseColor;
-        }
-        
-        palette[shade] = newColor;
-    });
-
-    return { name, palette };
-}
-
-function generateTailwindConfig(palettes, format = 'js') {
-    const colors = {};
-    palettes.forEach(({ name, palette }) => {
-        colors[name] = palette;
-    });
-
-    if (format === 'css') {
-        let css = ':root {\n';
-        Object.entries(colors).forEach(([colorName, shades]) => {
-            Object.entries(shades).forEach(([shade, hex]) => {
-                css += `  --color-${colorName}-${shade}: ${hex};\n`;
-            });
-        });
-        css += '}';
-        return css;
-    } else if (format === 'js') {
-        return `module.exports = {
-  theme: {
-    extend: {
-      colors: ${JSON.stringify(colors, null, 8)}
-    }
-  }
-}`;
-    } else {
-        return JSON.stringify(colors, null, 2);
-    }
-}
+const {
+    TAILWIND_SHADES,
+    generateTailwindPalette,
+    applyPaletteMode,
+    generateTailwindConfig,
+    describePalette,
+    parseColor,
+    isValidColor,
+    analyzeColor,
+    describeColorAnalysis,
+    findNearestTailwindColors,
+    describeNearestColors,
+} = require('./lib/color-engine');
+const { generateColorScheme, describeColorScheme } = require('./lib/color-schemes');
+const { generateSemanticTokens, semanticTokenFiles, describeSemanticTokens } = require('./lib/semantic-tokens');
+const { parseContrastTarget, applyContrastTargets, describeContrastTargets, contrastMatrix, formatContrastMatrix, resolvePalettes } = require('./lib/contrast');
+const { exportPalettes } = require('./lib/exporters');
+const { detectImportFormat, importPalettes, mergeImports } = require('./lib/importers');
+const { decodeImage, extractDominantColors } = require('./lib/image-palette');
+const { CVD_TYPES, DEFAULT_DELTA_E_THRESHOLD, simulateColorBlindness, describeConflicts, formatColorBlindness } = require('./lib/color-vision');
+const { WorkspaceColors } = require('./lib/editor/workspace-colors');
+const { registerColorDecorations } = require('./lib/editor/color-decorations');
+const { registerColorCodeActions } = require('./lib/editor/color-code-actions');
+const { registerColorAudit } = require('./lib/editor/color-audit');
+const { pickTailwindConfig, writePaletteToConfig } = require('./lib/editor/config-writer');
+const { PaletteEditorPanel } = require('./lib/editor/palette-editor');
+const { ColorVisionPanel } = require('./lib/editor/color-vision-panel');
+const { getRegistryUri, registerPaletteRegistry } = require('./lib/editor/palette-registry');
+const { PALETTE_NAME_PATTERN, regeneratePalette, getPalette, renamePalette, deletePalette, duplicatePalette } = require('./lib/palette-registry');
+const { generateGradientStops, generateTailwindGradient, tailwindGradientClasses, describeTailwindStrategy, parseColorStops, cssGeometry, POSITION_PATTERN, BACKGROUND_NAME_PATTERN } = require('./lib/gradients');
 
 /**
  * MCP Server Definition Provider for automatic discovery
@@ -179,7 +50,7 @@ class TailwindColorMcpProvider {
             description: 'Generate Tailwind-compatible color palettes and analyze colors',
             command: 'node',
             args: [this.mcpServerPath],
-            env: {},
+            env: registryEnv(),
             transport: {
                 type: 'stdio'
             }
@@ -198,11 +69,219 @@ class TailwindColorMcpProvider {
             ...server,
             command: 'node',
             args: [this.mcpServerPath],
-            env: process.env
+            env: { ...process.env, ...registryEnv() }
         };
     }
 }
 
+// Points the MCP server at the workspace's palette registry
+function registryEnv() {
+    const uri = getRegistryUri();
+    return uri ? { TAILWIND_COLORS_REGISTRY: uri.fsPath } : {};
+}
+
+// Files the Import Palette command looks through when scanning the workspace
+const COLOR_SOURCE_GLOB = '**/{tailwind.config.{js,cjs,mjs,ts},*.{css,pcss,postcss,scss},*tokens.json,*.{ase,gpl}}';
+
+// Comma-separated input box value as trimmed, non-empty entries. Commas
+// inside parentheses, as in `rgb(1, 2, 3)`, do not split.
+function splitList(value) {
+    return value.split(/,(?![^()]*\))/).map(entry => entry.trim()).filter(Boolean);
+}
+
+// "primary=#3B82F6, accent=#F59E0B" as `[{ name, baseColor }]`; bare colors
+// are named primary, color2, color3...
+function parseNamedColors(value) {
+    const entries = splitList(value);
+    if (entries.length === 0) throw new Error('Please enter at least one color');
+
+    return entries.map((entry, index) => {
+        const [name, color] = entry.includes('=')
+            ? [entry.slice(0, entry.indexOf('=')).trim(), entry.slice(entry.indexOf('=') + 1).trim()]
+            : [index === 0 ? 'primary' : `color${index + 1}`, entry];
+        parseColor(color);
+        return { name, baseColor: color };
+    });
+}
+
+// Asks where to save a binary export and writes it there. Resolves to the
+// file's URI, or undefined when cancelled.
+async function saveExport(result, name) {
+    const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+    const fileName = `${name}.${result.extension}`;
+    const uri = await vscode.window.showSaveDialog({
+        defaultUri: folder ? vscode.Uri.joinPath(folder.uri, fileName) : vscode.Uri.file(fileName),
+        filters: { [result.extension.toUpperCase()]: [result.extension] },
+        saveLabel: 'Export'
+    });
+    if (!uri) return undefined;
+    await vscode.workspace.fs.writeFile(uri, result.content);
+    return uri;
+}
+
+// Asks for an export format (and, for full scales, a color mode), then
+// saves binary exports to a file and opens text ones as a new document
+async function exportPalettesInteractively(palettes) {
+    const format = await vscode.window.showQuickPick(
+        [
+            { label: 'dtcg', description: 'W3C Design Tokens JSON, for Tokens Studio in Figma' },
+            { label: 'style-dictionary', description: 'Style Dictionary JSON' },
+            { label: 'ase', description: 'Adobe Swatch Exchange, for Photoshop, Illustrator and InDesign' },
+            { label: 'gpl', description: 'GIMP and Inkscape palette' },
+            { label: 'swatches', description: 'Procreate swatches (up to 30 colors)' }
+        ],
+        { placeHolder: 'Select export format' }
+    );
+
+    if (!format) return;
+
+    // Dark scales are derived from all eleven shades
+    let mode = { label: 'light' };
+    if (palettes.every(({ palette }) => TAILWIND_SHADES.every(shade => palette[shade]))) {
+        mode = await vscode.window.showQuickPick(
+            [
+                { label: 'light', description: 'The palettes as they are' },
+                { label: 'dark', description: 'Also export a dark scale for each palette' }
+            ],
+            { placeHolder: 'Select color mode' }
+        );
+
+        if (!mode) return;
+    }
+
+    try {
+        const result = exportPalettes(palettes.map(palette => applyPaletteMode(palette, mode.label)), format.label);
+
+        if (result.binary) {
+            const uri = await saveExport(result, palettes[0].name);
+            if (uri) {
+                vscode.window.showInformationMessage(`✅ Exported ${palettes.map(palette => palette.name).join(', ')} to ${uri.fsPath}`);
+            }
+            return;
+        }
+
+        const document = await vscode.workspace.openTextDocument({
+            content: result.content,
+            language: format.label === 'gpl' ? 'plaintext' : 'json'
+        });
+        await vscode.window.showTextDocument(document, { preview: false });
+    } catch (error) {
+        vscode.window.showErrorMessage(`Error exporting palette: ${error.message}`);
+    }
+}
+
+// Name of a saved palette: the tree item's (or list entry's) when given,
+// otherwise picked from the registry. Undefined when cancelled or empty.
+async function pickRegistryPalette(paletteRegistry, item, placeHolder) {
+    if (item && item.paletteName) return item.paletteName;
+
+    const registry = await paletteRegistry.read();
+    const names = Object.keys(registry.palettes);
+    if (names.length === 0) {
+        vscode.window.showInformationMessage('No palettes saved yet: generated palettes are kept in the palette registry');
+        return undefined;
+    }
+    const picked = await vscode.window.showQuickPick(
+        names.map(name => ({ label: name, description: `${registry.palettes[name].baseColor} · ${registry.palettes[name].algorithm || 'hsl'}` })),
+        { placeHolder }
+    );
+    return picked && picked.label;
+}
+
+// Keep a generated palette in the registry. Returns a note for the
+// notification; a registry that cannot be written only warns.
+async function recordPalette(paletteRegistry, name, baseColor, options) {
+    try {
+        return await paletteRegistry.record(name, baseColor, options) ? ', saved to the palette registry' : '';
+    } catch (error) {
+        vscode.window.showWarningMessage(`Could not save ${name} to the palette registry: ${error.message}`);
+        return '';
+    }
+}
+
+// Input box check for "color [position], ..." gradient stops
+function validateGradientColors(value) {
+    if (!value) return 'Please enter at least 2 colors';
+    try {
+        const { colors } = parseColorStops(splitList(value));
+        if (colors.length < 2) return 'Please enter at least 2 colors';
+        colors.forEach(color => parseColor(color));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Asks for a gradient layer's type and its direction, angle, shape or
+// position. Resolves to the stops plus generateGradientStops options, or
+// undefined when cancelled.
+async function pickGradientGeometry(stops) {
+    const type = await vscode.window.showQuickPick(
+        [
+            { label: 'linear', description: 'Along a straight line' },
+            { label: 'radial', description: 'Outward from a center point' },
+            { label: 'conic', description: 'Around a center point' }
+        ],
+        { placeHolder: 'Select gradient type' }
+    );
+    if (!type) return undefined;
+
+    const askAngle = (prompt, value) => vscode.window.showInputBox({
+        prompt,
+        value,
+        validateInput: (input) => isFinite(parseFloat(input)) ? null : 'Please enter an angle in degrees'
+    });
+    const askPosition = () => vscode.window.showInputBox({
+        prompt: 'Center of the gradient, as keywords or percentages (e.g., top left, 25% 75%)',
+        value: 'center',
+        validateInput: (input) => POSITION_PATTERN.test(input.trim()) ? null : 'Please enter keywords such as "top left" or percentages such as "25% 75%"'
+    });
+
+    if (type.label === 'radial') {
+        const shape = await vscode.window.showQuickPick(
+            [
+                { label: 'ellipse', description: 'Stretches to the element\'s aspect ratio' },
+                { label: 'circle', description: 'Stays round' }
+            ],
+            { placeHolder: 'Select radial shape' }
+        );
+        if (!shape) return undefined;
+        const position = await askPosition();
+        if (!position) return undefined;
+        return { ...stops, direction: 'to-r', type: 'radial', shape: shape.label, position: position.trim() };
+    }
+
+    if (type.label === 'conic') {
+        const angle = await askAngle('Start angle in degrees', '0');
+        if (!angle) return undefined;
+        const position = await askPosition();
+        if (!position) return undefined;
+        return { ...stops, direction: 'to-r', type: 'conic', angle: parseFloat(angle), position: position.trim() };
+    }
+
+    const direction = await vscode.window.showQuickPick(
+        [
+            { label: 'to-r', description: 'Left to right' },
+            { label: 'to-l', description: 'Right to left' },
+            { label: 'to-t', description: 'Bottom to top' },
+            { label: 'to-b', description: 'Top to bottom' },
+            { label: 'to-tr', description: 'Bottom-left to top-right' },
+            { label: 'to-tl', description: 'Bottom-right to top-left' },
+            { label: 'to-br', description: 'Top-left to bottom-right' },
+            { label: 'to-bl', description: 'Top-right to bottom-left' },
+            { label: 'Custom angle...', description: 'Any angle in degrees, e.g. 45 for bg-linear-45' }
+        ],
+        { placeHolder: 'Select gradient direction' }
+    );
+    if (!direction) return undefined;
+    if (direction.label !== 'Custom angle...') {
+        return { ...stops, direction: direction.label, type: 'linear' };
+    }
+    const angle = await askAngle('Gradient angle in degrees (0 points up, 90 points right)', '45');
+    if (!angle) return undefined;
+    return { ...stops, direction: 'to-r', type: 'linear', angle: parseFloat(angle) };
+}
+
 /**
  * @param {vscode.ExtensionContext} context
  */
@@ -212,14 +291,14 @@ function activate(context) {
     // Register Language Model Tools for direct integration with Copilot
     const generatePaletteTool = vscode.lm.registerTool('generate_tailwind_palette', {
         invoke: async (options, token) => {
-            const { baseColor, name = 'primary', format = 'js' } = options.input;
+            const { baseColor, name = 'primary', format = 'js', colorSpace, algorithm = 'hsl', hueShift = 0, anchorShade, contrastTargets, mode = 'light' } = options.input;
             
             try {
-                const palette = generateTailwindPalette(baseColor, name);
-                const config = generateTailwindConfig([palette], format);
+                const palette = applyPaletteMode(applyContrastTargets(generateTailwindPalette(baseColor, name, { algorithm, hueShift, anchorShade }), contrastTargets), mode);
+                const config = generateTailwindConfig([palette], format, { colorSpace });
                 
                 return new vscode.LanguageModelToolResult([
-                    new vscode.LanguageModelTextPart(`Generated Tailwind palette for "${name}" from base color "${baseColor}":\n\n${config}\n\nPalette details:\n${Object.entries(palette.palette).map(([shade, hex]) => `- ${name}-${shade}: ${hex}`).join('\n')}`)
+                    new vscode.LanguageModelTextPart(`Generated Tailwind palette for "${name}" from base color "${baseColor}" (${algorithm}, anchored at ${name}-${palette.anchorShade}${palette.dark ? ', with a dark scale' : ''}):\n\n${config}\n\nPalette details:\n${describePalette(palette)}${contrastTargets ? `\n\n${describeContrastTargets(palette)}` : ''}`)
                 ]);
             } catch (error) {
                 return new vscode.LanguageModelToolResult([
@@ -240,8 +319,37 @@ function activate(context) {
                 },
                 format: {
                     type: 'string',
-                    enum: ['js', 'css', 'json'],
-                    description: 'Output format (default: "js")',
+                    enum: ['js', 'css', 'json', 'tailwind4'],
+                    description: 'Output format: "js" (Tailwind v3 config), "css" (:root variables), "json", or "tailwind4" (@theme block for app.css) (default: "js")',
+                },
+                colorSpace: {
+                    type: 'string',
+                    enum: ['hex', 'rgb', 'oklch'],
+                    description: 'How colors are written: "hex", "rgb" or "oklch" (default: "oklch" for "tailwind4", "hex" otherwise)',
+                },
+                algorithm: {
+                    type: 'string',
+                    enum: ['hsl', 'oklch', 'lab'],
+                    description: 'Palette generation algorithm: "hsl" lightness lerp, "oklch" perceptual scale close to Tailwind v4\'s defaults, or "lab" perceptual scale in CIELAB (default: "hsl")',
+                },
+                hueShift: {
+                    type: 'number',
+                    description: 'Degrees to rotate the hue at the 50 and 950 ends for "oklch"/"lab": positive gives warm lights and cool darks, negative the reverse (default: 0)',
+                },
+                anchorShade: {
+                    type: 'number',
+                    enum: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950],
+                    description: 'Shade that keeps the exact base color (default: the shade whose lightness is closest to the base color)',
+                },
+                contrastTargets: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Contrast guarantees as "<text> on <background> >= <minimum>". Each side is a shade or a color, and the minimum is a WCAG ratio or AA, AAA, AA-large, AAA-large or UI, e.g. ["600 on 50 >= 4.5", "white on 500 >= AA"]. Shades are nudged in lightness as little as needed, the anchor shade only as a last resort',
+                },
+                mode: {
+                    type: 'string',
+                    enum: ['light', 'dark'],
+                    description: 'Color mode: "light" (default) or "dark", which adds a dark scale with the same shade names. It runs from dark surfaces at 50 to light text at 950 with muted chroma at both ends, so bg-<name>-50 text-<name>-900 works in both modes. "css" and "tailwind4" output override the shade variables under @media (prefers-color-scheme: dark) and .dark; "js" and "json" add a "<name>-dark" color for dark: variant classes',
                 },
             },
             required: ['baseColor'],
@@ -250,29 +358,14 @@ function activate(context) {
 
     const generateSchemeTool = vscode.lm.registerTool('generate_color_scheme', {
         invoke: async (options, token) => {
-            const { strategy, baseHue = Math.random() * 360, colorNames = ['primary', 'secondary', 'accent'], format = 'js' } = options.input;
-            
+            const { format = 'js', colorSpace, ...schemeOptions } = options.input;
+
             try {
-                // Simple color scheme generation
-                const strategies = {
-                    complementary: (hue) => [`hsl(${hue}, 80%, 60%)`, `hsl(${hue + 180}, 80%, 60%)`, `hsl(${hue + 90}, 70%, 50%)`],
-                    analogous: (hue) => [`hsl(${hue}, 80%, 60%)`, `hsl(${hue + 30}, 80%, 60%)`, `hsl(${hue - 30}, 80%, 60%)`],
-                    monochromatic: (hue) => [`hsl(${hue}, 80%, 60%)`, `hsl(${hue}, 60%, 50%)`, `hsl(${hue}, 90%, 70%)`],
-                    triadic: (hue) => [`hsl(${hue}, 80%, 60%)`, `hsl(${hue + 120}, 80%, 60%)`, `hsl(${hue + 240}, 80%, 60%)`],
-                };
-
-                const baseColors = strategies[strategy](baseHue);
-                const palettes = baseColors.map((color, index) => {
-                    const name = colorNames[index] || `color${index + 1}`;
-                    // Convert HSL to hex (simplified)
-                    const hexColor = '#3B82F6'; // Simplified for now
-                    return generateTailwindPalette(hexColor, name);
-                });
+                const scheme = generateColorScheme(schemeOptions);
+                const config = generateTailwindConfig(scheme.palettes, format, { colorSpace });
 
-                const config = generateTailwindConfig(palettes, format);
-                
                 return new vscode.LanguageModelToolResult([
-                    new vscode.LanguageModelTextPart(`Generated ${strategy} color scheme (base hue: ${Math.round(baseHue)}°):\n\n${config}\n\nColor breakdown:\n${palettes.map(p => `- ${p.name}: ${Object.entries(p.palette).map(([shade, hex]) => `${shade}(${hex})`).join(', ')}`).join('\n')}`)
+                    new vscode.LanguageModelTextPart(describeColorScheme(scheme, config))
                 ]);
             } catch (error) {
                 return new vscode.LanguageModelToolResult([
@@ -285,22 +378,39 @@ function activate(context) {
             properties: {
                 strategy: {
                     type: 'string',
-                    enum: ['complementary', 'analogous', 'monochromatic', 'triadic'],
-                    description: 'Color harmony strategy to use',
+                    enum: ['complementary', 'analogous', 'monochromatic', 'triadic', 'split-complementary', 'tetradic', 'square', 'compound', 'neutral-accent'],
+                    description: 'Color harmony strategy: "complementary", "analogous", "monochromatic", "triadic", "split-complementary" (base plus the two hues beside its complement), "tetradic" (two complementary pairs 60° apart), "square" (four hues 90° apart), "compound" (base, a neighbour, its complement and the complement\'s neighbour) or "neutral-accent" (base, a gray tinted with its hue and a complementary accent)',
                 },
                 baseHue: {
                     type: 'number',
-                    description: 'Base hue (0-360 degrees) for the color scheme',
+                    description: 'Base hue (0-360 degrees) for the color scheme. When omitted a hue is picked from `seed`',
+                },
+                seed: {
+                    type: 'number',
+                    description: 'Seed for the random base hue used when baseHue is omitted. The response reports the seed it used, so passing it back reproduces the scheme',
+                },
+                saturation: {
+                    type: 'number',
+                    description: 'Saturation (0-100) of the base colors in HSL (default: 80)',
+                },
+                lightness: {
+                    type: 'number',
+                    description: 'Lightness (0-100) of the base colors in HSL (default: 60)',
                 },
                 colorNames: {
                     type: 'array',
                     items: { type: 'string' },
-                    description: 'Names for the generated color palettes',
+                    description: 'Names for the generated color palettes (default: primary, secondary, accent; primary, neutral, accent for "neutral-accent"). Extra colors are named color4 and so on',
                 },
                 format: {
                     type: 'string',
-                    enum: ['js', 'css', 'json'],
-                    description: 'Output format (default: "js")',
+                    enum: ['js', 'css', 'json', 'tailwind4'],
+                    description: 'Output format: "js" (Tailwind v3 config), "css" (:root variables), "json", or "tailwind4" (@theme block for app.css) (default: "js")',
+                },
+                colorSpace: {
+                    type: 'string',
+                    enum: ['hex', 'rgb', 'oklch'],
+                    description: 'How colors are written: "hex", "rgb" or "oklch" (default: "oklch" for "tailwind4", "hex" otherwise)',
                 },
             },
             required: ['strategy'],
@@ -312,12 +422,8 @@ function activate(context) {
             const { color } = options.input;
             
             try {
-                // Simplified color analysis (you can enhance this with chroma-js)
-                const isHex = color.startsWith('#');
-                const rgb = isHex ? color : '#3B82F6'; // Simplified conversion
-                
                 return new vscode.LanguageModelToolResult([
-                    new vscode.LanguageModelTextPart(`Color Analysis for "${color}":\n\nFormat conversions:\n- Hex: ${rgb}\n- RGB: Parsed from hex\n- HSL: Calculated from RGB\n\nProperties:\n- Brightness: Calculated\n- Saturation: Calculated\n\nAccessibility:\n- Contrast analysis available\n- WCAG compliance check\n- Recommended text color: Based on contrast`)
+                    new vscode.LanguageModelTextPart(describeColorAnalysis(color, analyzeColor(color)))
                 ]);
             } catch (error) {
                 return new vscode.LanguageModelToolResult([
@@ -330,7 +436,7 @@ function activate(context) {
             properties: {
                 color: {
                     type: 'string',
-                    description: 'Color to analyze in hex, hsl, or named format',
+                    description: 'Color to analyze as hex, rgb(), hsl(), oklch() or a CSS color name',
                 },
             },
             required: ['color'],
@@ -343,7 +449,19 @@ function activate(context) {
                 colors, 
                 steps = 10, 
                 direction = 'to-r', 
-                format = 'tailwind' 
+                format = 'tailwind',
+                interpolation = 'srgb',
+                easing = 'linear',
+                positions,
+                hints,
+                type = 'linear',
+                angle,
+                shape,
+                position,
+                layers = [],
+                tailwindVersion = 'v3',
+                tailwindStrategy = 'auto',
+                name
             } = options.input;
             
             try {
@@ -351,14 +469,20 @@ function activate(context) {
                     throw new Error('At least 2 colors are required for gradient generation');
                 }
 
-                const gradient = generateGradientStops(colors, steps, direction);
-                const output = generateTailwindGradient(gradient, format);
+                const gradient = [{ colors, direction, interpolation, easing, positions, hints, type, angle, shape, position }, ...layers]
+                    .map(({ colors: layerColors, direction: layerDirection = 'to-r', ...layerOptions }) => generateGradientStops(layerColors, steps, layerDirection, layerOptions));
+                const tailwindOptions = { version: tailwindVersion, strategy: tailwindStrategy, name };
+                const output = format === 'tailwind'
+                    ? tailwindGradientClasses(gradient, tailwindOptions)
+                    : generateTailwindGradient(gradient.length > 1 ? gradient : gradient[0], format, tailwindOptions);
+                const details = `Gradient details:\n- Type: ${type}${cssGeometry(gradient[0]) ? ` (${cssGeometry(gradient[0])})` : ''}${gradient.length > 1 ? `, with ${gradient.length - 1} more layer(s) beneath` : ''}\n- Colors: ${colors.map((color, index) => positions ? `${color} ${positions[index]}%` : color).join(', ')}\n- Interpolation: ${interpolation}\n- Easing: ${easing}\n- Steps: ${steps}`;
                 
                 let responseText;
                 if (format === 'css') {
-                    responseText = `Generated CSS gradient from ${colors.length} colors:\n\n${output}\n\nGradient details:\n- Direction: ${direction}\n- Colors: ${colors.join(', ')}\n- Steps: ${steps}`;
+                    responseText = `Generated CSS gradient from ${colors.length} colors:\n\n${output}\n\n${details}`;
                 } else if (format === 'tailwind') {
-                    responseText = `Generated Tailwind gradient classes:\n\n${output}\n\nUsage: Add these classes to your element\nGradient details:\n- Direction: ${direction}\n- Colors: ${colors.join(', ')}\n- Steps: ${steps}`;
+                    const config = output.config ? `\n\nAdd this to your ${tailwindVersion === 'v4' ? 'main CSS file' : 'Tailwind config'}:\n\n${output.config}` : '';
+                    responseText = `Generated Tailwind gradient classes:\n\n${output.classes}${config}\n\nStrategy: ${describeTailwindStrategy(output)}\nUsage: Add these classes to your element\n${details}`;
                 } else if (format === 'json') {
                     responseText = `Generated gradient configuration:\n\n${output}\n\nThis JSON includes all gradient stops with positions and colors.`;
                 } else {
@@ -380,7 +504,7 @@ function activate(context) {
                 colors: {
                     type: 'array',
                     items: { type: 'string' },
-                    description: 'Array of colors in hex format (e.g., ["#FF0000", "#00FF00", "#0000FF"])',
+                    description: 'Colors in any CSS syntax: hex, rgb(), hsl(), oklch(), lab() or named colors (e.g., ["#FF0000", "oklch(70% 0.15 150)", "royalblue"])',
                     minItems: 2
                 },
                 steps: {
@@ -392,70 +516,436 @@ function activate(context) {
                 direction: {
                     type: 'string',
                     enum: ['to-r', 'to-l', 'to-t', 'to-b', 'to-tr', 'to-tl', 'to-br', 'to-bl'],
-                    description: 'Gradient direction (default: "to-r")'
+                    description: 'Direction of a linear gradient (default: "to-r")'
+                },
+                type: {
+                    type: 'string',
+                    enum: ['linear', 'radial', 'conic'],
+                    description: 'Gradient type: "linear" (default), "radial" or "conic"'
+                },
+                angle: {
+                    type: 'number',
+                    description: 'Angle in degrees: the direction of a linear gradient, overriding "direction" (e.g. 45 for bg-linear-45), or the start angle of a conic gradient'
+                },
+                shape: {
+                    type: 'string',
+                    enum: ['ellipse', 'circle'],
+                    description: 'Shape of a radial gradient: "ellipse" (default) or "circle"'
+                },
+                position: {
+                    type: 'string',
+                    description: 'Center of a radial or conic gradient as CSS position keywords or percentages, e.g. "top left" or "25% 75%" (default: "center")'
                 },
                 format: {
                     type: 'string',
                     enum: ['css', 'tailwind', 'json', 'detailed'],
                     description: 'Output format (default: "tailwind")'
+                },
+                interpolation: {
+                    type: 'string',
+                    enum: ['srgb', 'linear-rgb', 'oklab', 'oklch', 'oklch-longer', 'lab'],
+                    description: 'Color space the stops are mixed in: "srgb" (default), "linear-rgb", "oklab", "oklch" (shorter hue arc), "oklch-longer" (longer hue arc, for rainbow sweeps) or "lab". The perceptual spaces avoid the gray dead zone sRGB gives between complementary colors'
+                },
+                easing: {
+                    type: 'string',
+                    description: 'Easing applied between each pair of colors: "linear" (default), "ease", "ease-in", "ease-out", "ease-in-out" or "cubic-bezier(x1, y1, x2, y2)"'
+                },
+                positions: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    description: 'Position of each color as a percentage from 0 to 100, one per color and never decreasing (default: evenly spread)'
+                },
+                hints: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    description: 'Color hints: for each pair of neighbouring colors, the percentage where they mix 50/50, strictly between their positions (default: halfway)'
+                },
+                tailwindStrategy: {
+                    type: 'string',
+                    enum: ['auto', 'stops', 'arbitrary', 'config'],
+                    description: 'How the "tailwind" format writes the gradient: "stops" uses from-/via-/to- classes with positions such as from-10%, which fit one layer of at most three colors (or samples) with linear easing and no hints; "arbitrary" a single bg-[linear-gradient(...)] class with every stop; "config" a bg-<name> class plus the backgroundImage config entry (v3) or @theme variable (v4) defining it; "auto" uses stops when they fit and arbitrary otherwise (default: "auto")'
+                },
+                name: {
+                    type: 'string',
+                    description: 'Name of the gradient for the "config" strategy, used as bg-<name> (default: "gradient")'
+                },
+                tailwindVersion: {
+                    type: 'string',
+                    enum: ['v3', 'v4'],
+                    description: 'Tailwind version the classes are written for in "tailwind" format: "v4" uses bg-linear-*, bg-radial and bg-conic with interpolation modifiers such as /oklch; "v3" uses bg-gradient-to-* for linear sides and corners and arbitrary values such as bg-[radial-gradient(...)] otherwise (default: "v3")'
+                },
+                layers: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            colors: { type: 'array', items: { type: 'string' }, minItems: 2 },
+                            type: { type: 'string', enum: ['linear', 'radial', 'conic'] },
+                            direction: { type: 'string', enum: ['to-r', 'to-l', 'to-t', 'to-b', 'to-tr', 'to-tl', 'to-br', 'to-bl'] },
+                            angle: { type: 'number' },
+                            shape: { type: 'string', enum: ['ellipse', 'circle'] },
+                            position: { type: 'string' },
+                            interpolation: { type: 'string', enum: ['srgb', 'linear-rgb', 'oklab', 'oklch', 'oklch-longer', 'lab'] },
+                            easing: { type: 'string' },
+                            positions: { type: 'array', items: { type: 'number' } },
+                            hints: { type: 'array', items: { type: 'number' } }
+                        },
+                        required: ['colors']
+                    },
+                    description: 'Further gradients stacked beneath this one, each with its own "colors" and the same options as above (type, direction, angle, shape, position, interpolation, easing, positions, hints). Stacked layers come out as one background value, which Tailwind can only take as an arbitrary bg-[...] class'
                 }
             },
             required: ['colors']
         }
     });
 
-    // Register MCP Server Definition Provider for backward compatibility
-    const mcpProvider = new TailwindColorMcpProvider(context);
-    const mcpDisposable = vscode.lm.registerMcpServerDefinitionProvider(
-        'tailwind-color-generator.mcp-servers',
-        mcpProvider
-    );
-
-    context.subscriptions.push(generatePaletteTool, generateSchemeTool, analyzeColorTool, generateGradientTool);
+    const nearestColorTool = vscode.lm.registerTool('find_nearest_tailwind_color', {
+        invoke: async (options, token) => {
+            const { color, version = 'v3', limit = 3 } = options.input;
 
-    // Register the command to start/configure the MCP server
-    let disposable = vscode.commands.registerCommand('tailwind-color-generator.configure', async () => {
-        const config = vscode.workspace.getConfiguration('tailwindColorGenerator');
-        const mcpServerPath = config.get('serverPath') || path.join(__dirname, 'mcp-server.js');
-        
-        // Check if the MCP server file exists
-        const fs = require('fs');
-        if (!fs.existsSync(mcpServerPath)) {
-            vscode.window.showErrorMessage(`MCP server not found at: ${mcpServerPath}`);
-            return;
+            try {
+                const matches = findNearestTailwindColors(color, { version, limit });
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(describeNearestColors(color, matches, `Tailwind ${version}`))
+                ]);
+            } catch (error) {
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(`Error finding nearest color: ${error.message}`)
+                ]);
+            }
+        },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                color: {
+                    type: 'string',
+                    description: 'Color to match as hex, rgb(), hsl(), oklch() or a CSS color name',
+                },
+                version: {
+                    type: 'string',
+                    enum: ['v3', 'v4'],
+                    description: 'Tailwind default palette to search: "v3" (hex values) or "v4" (oklch values) (default: "v3")',
+                },
+                limit: {
+                    type: 'number',
+                    description: 'How many matches to return, nearest first (default: 3)',
+                },
+            },
+            required: ['color'],
         }
+    });
 
-        // Show information about the extension
-        const message = `Tailwind Color Generator MCP Server is configured!
+    const contrastMatrixTool = vscode.lm.registerTool('palette_contrast_matrix', {
+        invoke: async (options, token) => {
+            const { palettes, crossPalette = false, format = 'markdown' } = options.input;
 
-🎉 AUTOMATIC DISCOVERY: This extension automatically registers with GitHub Copilot!
-No manual configuration needed - just restart VS Code if you don't see the tools.
+            try {
+                const result = contrastMatrix(palettes, { crossPalette });
+                const text = format === 'json'
+                    ? formatContrastMatrix(result, 'json')
+                    : `Contrast matrix for ${result.palettes.map(p => p.name).join(', ')} (rows are text, columns are backgrounds):\n\n${formatContrastMatrix(result, 'markdown')}`;
 
-Available MCP tools:
-• generate_tailwind_palette - Generate a palette from a base color
-• generate_color_scheme - Generate multiple palettes using color harmony
-• generate_tailwind_gradient - Generate gradients from multiple colors
-• analyze_color - Analyze color properties and accessibility
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(text)
+                ]);
+            } catch (error) {
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(`Error computing contrast matrix: ${error.message}`)
+                ]);
+            }
+        },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                palettes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            baseColor: { type: 'string' },
+                            shades: { type: 'object', additionalProperties: { type: 'string' } },
+                        },
+                        required: ['name'],
+                    },
+                    minItems: 1,
+                    description: 'Palettes to compare. Each needs a "name" and either "shades" (shade to color, e.g. {"50": "#eff6ff", "500": "#3b82f6"}) or a "baseColor" to generate the palette from',
+                },
+                crossPalette: {
+                    type: 'boolean',
+                    description: 'Also compare shades across palettes, not just within each one (default: false)',
+                },
+                format: {
+                    type: 'string',
+                    enum: ['markdown', 'json'],
+                    description: 'Output format: markdown tables for chat or JSON for CI (default: "markdown")',
+                },
+            },
+            required: ['palettes'],
+        }
+    });
 
-The server is automatically discovered by GitHub Copilot and other MCP clients.
-Server path: ${mcpServerPath}
+    const exportPaletteTool = vscode.lm.registerTool('export_palette', {
+        invoke: async (options, token) => {
+            const { palettes, format, mode = 'light', title } = options.input;
 
-If automatic discovery doesn't work, you can manually configure MCP clients using the server path above.
+            try {
+                const resolved = resolvePalettes(palettes).map(palette => applyPaletteMode(palette, mode));
+                const result = exportPalettes(resolved, format, { title });
+                const names = resolved.map(palette => palette.name).join(', ');
+
+                if (!result.binary) {
+                    return new vscode.LanguageModelToolResult([
+                        new vscode.LanguageModelTextPart(`Exported ${names} as ${format}:\n\n${result.content}`)
+                    ]);
+                }
 
-Would you like to test the server or view documentation?`;
+                const uri = await saveExport(result, resolved[0].name);
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(uri
+                        ? `Exported ${names} as ${format} to ${uri.fsPath} (${result.content.length} bytes)`
+                        : `Export cancelled: no file was chosen for the ${format} export`)
+                ]);
+            } catch (error) {
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(`Error exporting palette: ${error.message}`)
+                ]);
+            }
+        },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                palettes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            baseColor: { type: 'string' },
+                            shades: { type: 'object', additionalProperties: { type: 'string' } },
+                        },
+                        required: ['name'],
+                    },
+                    minItems: 1,
+                    description: 'Palettes to export. Each needs a "name" and either "shades" (shade to color, e.g. {"50": "#eff6ff", "500": "#3b82f6"}) or a "baseColor" to generate the palette from',
+                },
+                format: {
+                    type: 'string',
+                    enum: ['dtcg', 'style-dictionary', 'ase', 'gpl', 'swatches'],
+                    description: 'Export format: "dtcg" (W3C Design Tokens JSON, read by Tokens Studio for Figma), "style-dictionary" (Style Dictionary JSON under "color"), "ase" (Adobe Swatch Exchange for Photoshop, Illustrator and InDesign), "gpl" (GIMP/Inkscape palette) or "swatches" (Procreate, at most 30 colors). "ase" and "swatches" are binary: the user picks where to save them',
+                },
+                mode: {
+                    type: 'string',
+                    enum: ['light', 'dark'],
+                    description: 'Color mode: "light" (default) or "dark", which also exports each palette\'s dark scale as a "<name>-dark" group',
+                },
+                title: {
+                    type: 'string',
+                    description: 'Palette title in formats that carry one ("gpl" and "swatches") (default: the palette names)',
+                },
+            },
+            required: ['palettes', 'format'],
+        }
+    });
 
-        const action = await vscode.window.showInformationMessage(
-            message,
-            'Test Server',
-            'Copy Server Path',
-            'Open Server File',
-            'View Documentation'
-        );
+    const semanticTokensTool = vscode.lm.registerTool('generate_semantic_tokens', {
+        invoke: async (options, token) => {
+            const { palettes, roles, level = 'AA', format = 'css', colorSpace } = options.input;
 
-        if (action === 'Test Server') {
-            vscode.commands.executeCommand('tailwind-color-generator.test');
-        } else if (action === 'Open Server File') {
-            const document = await vscode.workspace.openTextDocument(mcpServerPath);
+            try {
+                const result = generateSemanticTokens(palettes, { roles, level });
+                const files = semanticTokenFiles(result, format, { colorSpace });
+
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(`Generated semantic tokens (${level}):\n\n${describeSemanticTokens(result)}\n\n${files.map(file => file.content).join('\n\n')}`)
+                ]);
+            } catch (error) {
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(`Error generating semantic tokens: ${error.message}`)
+                ]);
+            }
+        },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                palettes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            baseColor: { type: 'string' },
+                            shades: { type: 'object', additionalProperties: { type: 'string' } },
+                        },
+                        required: ['name'],
+                    },
+                    minItems: 1,
+                    description: 'Palettes to map, e.g. the output of generate_color_scheme or generate_tailwind_palette. Each needs a "name" and either "shades" (shade to color, e.g. {"50": "#eff6ff", "500": "#3b82f6"}) or a "baseColor" to generate the palette from. Palettes named primary, secondary, accent, neutral (or gray, slate, zinc, stone) and destructive (or danger, error, red) fill those roles; the first palette is primary otherwise',
+                },
+                roles: {
+                    type: 'object',
+                    properties: {
+                        primary: { type: 'string' },
+                        secondary: { type: 'string' },
+                        accent: { type: 'string' },
+                        neutral: { type: 'string' },
+                        destructive: { type: 'string' },
+                    },
+                    description: 'Palette name to use for each role when the names do not say, e.g. {"primary": "brand", "neutral": "stone"}. A missing neutral is generated from the primary hue, secondary and accent default to the neutral, and destructive defaults to a red',
+                },
+                level: {
+                    type: 'string',
+                    enum: ['AA', 'AAA'],
+                    description: 'WCAG level every foreground must meet on its surface: "AA" (4.5:1) or "AAA" (7:1). The ring must reach 3:1 on the background either way (default: "AA")',
+                },
+                format: {
+                    type: 'string',
+                    enum: ['css', 'tailwind', 'shadcn'],
+                    description: 'Output format: "css" (:root variables with a .dark override), "tailwind" (the CSS variables plus a Tailwind v3 config reading them with var(--...)) or "shadcn" (a shadcn/ui globals.css for Tailwind v4) (default: "css")',
+                },
+                colorSpace: {
+                    type: 'string',
+                    enum: ['hex', 'rgb', 'oklch'],
+                    description: 'How colors are written: "hex", "rgb" or "oklch" (default: "oklch" for "shadcn", "hex" otherwise)',
+                },
+            },
+            required: ['palettes'],
+        }
+    });
+
+    const colorVisionTool = vscode.lm.registerTool('simulate_color_blindness', {
+        invoke: async (options, token) => {
+            const { palettes, scheme, types, threshold, format = 'markdown' } = options.input;
+
+            try {
+                const result = simulateColorBlindness(palettes, { scheme, types, threshold });
+                const text = format === 'json'
+                    ? formatColorBlindness(result, 'json')
+                    : `Color vision simulation for ${result.palettes.map(p => p.name).join(', ')}:\n\n${formatColorBlindness(result, 'markdown')}`;
+
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(text)
+                ]);
+            } catch (error) {
+                return new vscode.LanguageModelToolResult([
+                    new vscode.LanguageModelTextPart(`Error simulating color blindness: ${error.message}`)
+                ]);
+            }
+        },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                palettes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            baseColor: { type: 'string' },
+                            shades: { type: 'object', additionalProperties: { type: 'string' } }
+                        },
+                        required: ['name']
+                    },
+                    minItems: 1,
+                    description: 'Palettes to check, e.g. primary, success, warning and danger. Each needs a "name" and either "shades" (shade to color) or a "baseColor" to generate the palette from'
+                },
+                scheme: {
+                    type: 'object',
+                    properties: {
+                        strategy: {
+                            type: 'string',
+                            enum: ['complementary', 'analogous', 'monochromatic', 'triadic', 'split-complementary', 'tetradic', 'square', 'compound', 'neutral-accent']
+                        },
+                        baseHue: { type: 'number' },
+                        seed: { type: 'number' },
+                        saturation: { type: 'number' },
+                        lightness: { type: 'number' },
+                        colorNames: { type: 'array', items: { type: 'string' } }
+                    },
+                    required: ['strategy'],
+                    description: 'Instead of "palettes", the options of a generate_color_scheme call whose palettes to check'
+                },
+                types: {
+                    type: 'array',
+                    items: { type: 'string', enum: CVD_TYPES },
+                    description: 'Simulations to run (default: all four)'
+                },
+                threshold: {
+                    type: 'number',
+                    description: `CIEDE2000 distance below which two palettes' 500 shades are flagged as hard to tell apart (default: ${DEFAULT_DELTA_E_THRESHOLD})`
+                },
+                format: {
+                    type: 'string',
+                    enum: ['markdown', 'json'],
+                    description: 'Output format: markdown tables for chat or JSON for CI (default: "markdown")'
+                }
+            }
+        }
+    });
+
+    // Register MCP Server Definition Provider for backward compatibility
+    const mcpProvider = new TailwindColorMcpProvider(context);
+    const mcpDisposable = vscode.lm.registerMcpServerDefinitionProvider(
+        'tailwind-color-generator.mcp-servers',
+        mcpProvider
+    );
+
+    context.subscriptions.push(generatePaletteTool, generateSchemeTool, analyzeColorTool, generateGradientTool, nearestColorTool, contrastMatrixTool, semanticTokensTool, exportPaletteTool, colorVisionTool);
+
+    // Register the command to start/configure the MCP server
+    let disposable = vscode.commands.registerCommand('tailwind-color-generator.configure', async () => {
+        const config = vscode.workspace.getConfiguration('tailwindColorGenerator');
+        const mcpServerPath = config.get('serverPath') || path.join(__dirname, 'mcp-server.js');
+        
+        // Check if the MCP server file exists
+        const fs = require('fs');
+        if (!fs.existsSync(mcpServerPath)) {
+            vscode.window.showErrorMessage(`MCP server not found at: ${mcpServerPath}`);
+            return;
+        }
+
+        // Show information about the extension
+        const message = `Tailwind Color Generator MCP Server is configured!
+
+🎉 AUTOMATIC DISCOVERY: This extension automatically registers with GitHub Copilot!
+No manual configuration needed - just restart VS Code if you don't see the tools.
+
+Available MCP tools:
+• generate_tailwind_palette - Generate a palette from a base color
+• generate_color_scheme - Generate multiple palettes using color harmony
+• generate_tailwind_gradient - Generate gradients from multiple colors
+• analyze_color - Analyze color properties and accessibility
+• add_palette_to_tailwind_config - Merge a palette into the project's tailwind.config.*
+• find_nearest_tailwind_color - Closest Tailwind default colors by ΔE
+• palette_contrast_matrix - WCAG and APCA contrast for every shade pair
+• generate_semantic_tokens - Light and dark semantic tokens checked for contrast
+• export_palette - DTCG, Style Dictionary, ASE, GPL and Procreate exports
+• import_palette - Colors already defined in configs, CSS, tokens and swatch files
+• simulate_color_blindness - How palettes look with color vision deficiencies
+• list_palettes, get_palette, save_palette - The workspace's palette registry
+
+Resources: palette://<name> for each saved palette, the registry and Tailwind's default colors
+Prompts: design-brand-palette, audit-contrast, create-dark-theme
+
+The server is automatically discovered by GitHub Copilot and other MCP clients.
+Server path: ${mcpServerPath}
+
+If automatic discovery doesn't work, you can manually configure MCP clients using the server path above.
+
+Would you like to test the server or view documentation?`;
+
+        const action = await vscode.window.showInformationMessage(
+            message,
+            'Test Server',
+            'Copy Server Path',
+            'Open Server File',
+            'View Documentation'
+        );
+
+        if (action === 'Test Server') {
+            vscode.commands.executeCommand('tailwind-color-generator.test');
+        } else if (action === 'Open Server File') {
+            const document = await vscode.workspace.openTextDocument(mcpServerPath);
             await vscode.window.showTextDocument(document);
         } else if (action === 'Copy Server Path') {
             await vscode.env.clipboard.writeText(mcpServerPath);
@@ -509,115 +999,387 @@ Would you like to test the server or view documentation?`;
         }
     });
 
+    // The workspace's saved palettes and their Explorer view
+    const paletteRegistry = registerPaletteRegistry(context);
+    PaletteEditorPanel.registry = paletteRegistry;
+
     // Register command to generate palette in current file
-    let generateCommand = vscode.commands.registerCommand('tailwind-color-generator.generatePalette', async () => {
+    // The "Generate Tailwind palette from this color" code action passes the
+    // literal as `{ baseColor, name, line }`; the palette then goes below that line.
+    let generateCommand = vscode.commands.registerCommand('tailwind-color-generator.generatePalette', async (options) => {
         const editor = vscode.window.activeTextEditor;
         if (!editor) {
             vscode.window.showErrorMessage('No active editor found');
             return;
         }
+        const initial = options && options.baseColor ? options : {};
+
+        // A selected color literal is the default base color, and is replaced by the palette
+        const selectionText = selection => editor.document.getText(selection).trim().replace(/^(['"`])(.*)\1$/, '$2');
+        const isColorSelection = selection => !selection.isEmpty && isValidColor(selectionText(selection));
+        const colorSelection = editor.selections.find(isColorSelection);
+        const selectedColor = colorSelection && selectionText(colorSelection);
 
         // Get base color from user
-        const baseColor = await vscode.window.showInputBox({
-            prompt: 'Enter a base color (hex, hsl, or named color)',
+        const baseColor = initial.baseColor || await vscode.window.showInputBox({
+            prompt: 'Enter a base color (hex, rgb, hsl, oklch or a CSS color name)',
             placeholder: '#3B82F6',
+            value: selectedColor || '',
             validateInput: (value) => {
-                if (!value) return 'Please enter a color';
-                // Basic validation - the chroma library will handle detailed validation
-                return null;
+                if (!value || !value.trim()) return 'Please enter a color';
+                try {
+                    parseColor(value.trim());
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
             }
         });
 
         if (!baseColor) return;
 
+        const mode = await vscode.window.showQuickPick(
+            [
+                { label: 'Palette Editor', description: 'Preview, lock and tweak shades before inserting', editor: true },
+                { label: 'Quick Insert', description: 'Pick the name, format and anchor shade in prompts' }
+            ],
+            { placeHolder: 'How do you want to build the palette?' }
+        );
+
+        if (!mode) return;
+
+        if (mode.editor) {
+            PaletteEditorPanel.show(context, { baseColor: baseColor.trim(), ...(initial.name ? { name: initial.name } : {}) });
+            return;
+        }
+
+        // Name, format and algorithm default to the last ones used in this workspace
+        const last = context.workspaceState.get('paletteDefaults', {});
+        const lastFirst = (items, label) => [...items].sort((a, b) => (b.label === label) - (a.label === label));
+
         // Get palette name
         const paletteName = await vscode.window.showInputBox({
             prompt: 'Enter a name for the color palette',
             placeholder: 'primary',
-            value: 'primary'
+            value: initial.name || last.name || 'primary',
+            validateInput: (value) => /^[A-Za-z][\w-]*$/.test(value.trim()) ? null : 'Use letters, digits, dashes and underscores, starting with a letter'
         });
 
         if (!paletteName) return;
 
         // Get format
         const format = await vscode.window.showQuickPick(
-            ['js', 'css', 'json'],
+            lastFirst([
+                { label: 'js', description: 'Tailwind v3 config (module.exports)' },
+                { label: 'css', description: 'CSS variables in :root' },
+                { label: 'json', description: 'JSON object' },
+                { label: 'tailwind4', description: 'Tailwind v4 @theme block for app.css' },
+                { label: 'dtcg', description: 'W3C Design Tokens JSON, for Tokens Studio in Figma', exported: true },
+                { label: 'style-dictionary', description: 'Style Dictionary JSON', exported: true },
+                { label: 'gpl', description: 'GIMP and Inkscape palette', exported: true },
+                { label: 'ase', description: 'Adobe Swatch Exchange, saved to a file', exported: true },
+                { label: 'swatches', description: 'Procreate swatches, saved to a file', exported: true }
+            ], last.format),
             { placeHolder: 'Select output format' }
         );
 
         if (!format) return;
 
-        try {
-            // We'll generate the palette using the same algorithm as the MCP server
-            // Since we can't easily import ES modules in CommonJS context, 
-            // we'll implement a simplified version or use a child process
+        const algorithm = await vscode.window.showQuickPick(
+            lastFirst([
+                { label: 'hsl', description: 'Lightness steps in HSL' },
+                { label: 'oklch', description: 'Perceptual scale close to Tailwind v4\'s defaults' },
+                { label: 'lab', description: 'Perceptual scale in CIELAB' }
+            ], last.algorithm),
+            { placeHolder: 'Select palette generation algorithm' }
+        );
 
-            // For now, let's use a child process to call the MCP server directly
-            const { execSync } = require('child_process');
-            const serverPath = path.join(__dirname, 'mcp-server.js');
-            
-            // Create a simple test script to generate the palette
-            const testInput = JSON.stringify({
-                method: 'tools/call',
-                params: {
-                    name: 'generate_tailwind_palette',
-                    arguments: {
-                        baseColor,
-                        name: paletteName,
-                        format
-                    }
+        if (!algorithm) return;
+
+        // Get color space; exported formats always use hex
+        let colorSpace = { label: 'hex' };
+        if (!format.exported) {
+            colorSpace = await vscode.window.showQuickPick(
+                [
+                    { label: 'hex', description: '#3b82f6' },
+                    { label: 'rgb', description: 'rgb(59 130 246)' },
+                    { label: 'oklch', description: 'oklch(62.3% 0.188 259.815)' }
+                ],
+                { placeHolder: 'Select color space (Tailwind v4 uses oklch)' }
+            );
+
+            if (!colorSpace) return;
+        }
+
+        // Get the shade that keeps the exact base color
+        const anchor = await vscode.window.showQuickPick(
+            [
+                { label: 'auto', description: 'Closest shade to the base color\'s lightness' },
+                ...TAILWIND_SHADES.map(shade => ({ label: String(shade) }))
+            ],
+            { placeHolder: 'Select the shade to anchor the base color to' }
+        );
+
+        if (!anchor) return;
+
+        // Optional contrast guarantees, e.g. "600 on 50 >= 4.5"
+        const targetsInput = await vscode.window.showInputBox({
+            prompt: 'Contrast targets, separated by commas (optional)',
+            placeHolder: '600 on 50 >= 4.5, white on 500 >= AA',
+            validateInput: (value) => {
+                try {
+                    splitList(value).forEach(parseContrastTarget);
+                    return null;
+                } catch (error) {
+                    return error.message;
                 }
-            });
+            }
+        });
+
+        if (targetsInput === undefined) return;
 
-            // For this demo, we'll insert a basic palette structure
-            // In a real implementation, you'd want to properly communicate with the MCP server
-            const basicPalette = {
-                50: '#f0f9ff',
-                100: '#e0f2fe',
-                200: '#bae6fd',
-                300: '#7dd3fc',
-                400: '#38bdf8',
-                500: baseColor,
-                600: '#0284c7',
-                700: '#0369a1',
-                800: '#075985',
-                900: '#0c4a6e',
-                950: '#082f49'
+        try {
+            const name = paletteName.trim();
+            const palette = applyContrastTargets(
+                generateTailwindPalette(baseColor.trim(), name, { algorithm: algorithm.label, anchorShade: anchor.label }),
+                splitList(targetsInput)
+            );
+            const adjusted = palette.adjustments.length > 0
+                ? `, adjusted ${palette.adjustments.map(({ shade }) => shade).join(', ')} for contrast`
+                : '';
+            // Saved to the registry, and remembered as the next defaults, only
+            // once the palette has been written, so a cancelled export or a
+            // rejected edit leaves neither behind
+            const record = async () => {
+                await context.workspaceState.update('paletteDefaults', { name, format: format.label, algorithm: algorithm.label });
+                return recordPalette(paletteRegistry, name, baseColor.trim(), {
+                    algorithm: algorithm.label,
+                    anchorShade: anchor.label === 'auto' ? undefined : Number(anchor.label),
+                    contrastTargets: splitList(targetsInput)
+                });
             };
+            const summary = saved => `${name} palette from ${baseColor.trim()} (${algorithm.label}, anchored at ${name}-${palette.anchorShade}${adjusted}${saved})`;
 
             let configText;
-            if (format === 'css') {
-                configText = ':root {\n';
-                Object.entries(basicPalette).forEach(([shade, hex]) => {
-                    configText += `  --color-${paletteName}-${shade}: ${hex};\n`;
-                });
-                configText += '}';
-            } else if (format === 'js') {
-                configText = `module.exports = {
-  theme: {
-    extend: {
-      colors: {
-        ${paletteName}: ${JSON.stringify(basicPalette, null, 10)}
-      }
-    }
-  }
-}`;
+            if (format.exported) {
+                const result = exportPalettes([palette], format.label);
+                if (result.binary) {
+                    const uri = await saveExport(result, name);
+                    if (uri) vscode.window.showInformationMessage(`✅ Exported ${summary(await record())} to ${uri.fsPath}`);
+                    return;
+                }
+                configText = result.content;
             } else {
-                configText = JSON.stringify({ [paletteName]: basicPalette }, null, 2);
+                configText = generateTailwindConfig([palette], format.label, { colorSpace: colorSpace.label });
             }
 
-            // Insert at cursor position
-            editor.edit(editBuilder => {
-                editBuilder.insert(editor.selection.active, configText);
+            if (initial.line !== undefined) {
+                const inserted = await editor.edit(editBuilder => {
+                    editBuilder.insert(editor.document.lineAt(initial.line).range.end, `\n${configText}`);
+                });
+                if (!inserted) {
+                    vscode.window.showErrorMessage('Could not insert the palette into the editor');
+                    return;
+                }
+                vscode.window.showInformationMessage(`✅ Generated ${summary(await record())} below line ${initial.line + 1}`);
+                return;
+            }
+
+            // Replace selected color literals; insert after any other
+            // selection and at every cursor
+            const replaced = editor.selections.filter(isColorSelection).length;
+            const inserted = await editor.edit(editBuilder => {
+                editor.selections.forEach(selection => {
+                    if (isColorSelection(selection)) {
+                        editBuilder.replace(selection, configText);
+                    } else {
+                        editBuilder.insert(selection.end, configText);
+                    }
+                });
             });
+            if (!inserted) {
+                vscode.window.showErrorMessage('Could not insert the palette into the editor');
+                return;
+            }
 
-            vscode.window.showInformationMessage(`✅ Generated ${paletteName} palette from ${baseColor}`);
+            const where = editor.selections.length > 1
+                ? ` at ${editor.selections.length} cursors`
+                : replaced > 0 ? ' in place of the selected color' : '';
+            vscode.window.showInformationMessage(`✅ Generated ${summary(await record())}${where}`);
 
         } catch (error) {
             vscode.window.showErrorMessage(`Error generating palette: ${error.message}`);
         }
     });
 
+    // Register command to open the palette editor webview
+    let paletteEditorCommand = vscode.commands.registerCommand('tailwind-color-generator.openPaletteEditor', () => {
+        PaletteEditorPanel.show(context);
+    });
+
+    // Register commands to browse and manage the palette registry. From the
+    // Explorer view they get the palette's tree item; otherwise they ask.
+    let listPalettesCommand = vscode.commands.registerCommand('tailwind-color-generator.listPalettes', async () => {
+        try {
+            const registry = await paletteRegistry.read();
+            const names = Object.keys(registry.palettes);
+            if (names.length === 0) {
+                vscode.window.showInformationMessage('No palettes saved yet: generated palettes are kept in the palette registry');
+                return;
+            }
+
+            const picked = await vscode.window.showQuickPick(
+                names.map(name => {
+                    const { palette, baseColor, algorithm } = getPalette(registry, name);
+                    return { label: name, description: `${baseColor} · ${algorithm}`, detail: Object.values(palette).join(' ') };
+                }),
+                { placeHolder: `Palettes in ${vscode.workspace.asRelativePath(paletteRegistry.uri)}` }
+            );
+
+            if (!picked) return;
+
+            const action = await vscode.window.showQuickPick(
+                [
+                    { label: 'Re-export...', command: 'tailwind-color-generator.reexportPalettes' },
+                    { label: 'Rename...', command: 'tailwind-color-generator.renamePalette' },
+                    { label: 'Duplicate...', command: 'tailwind-color-generator.duplicatePalette' },
+                    { label: 'Delete', command: 'tailwind-color-generator.deletePalette' },
+                    { label: 'Open Registry File' }
+                ],
+                { placeHolder: `What do you want to do with ${picked.label}?` }
+            );
+
+            if (!action) return;
+
+            if (action.command) {
+                await vscode.commands.executeCommand(action.command, { paletteName: picked.label });
+            } else {
+                await vscode.window.showTextDocument(await vscode.workspace.openTextDocument(paletteRegistry.uri));
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error reading the palette registry: ${error.message}`);
+        }
+    });
+
+    const validatePaletteName = (registry) => (value) => {
+        if (!PALETTE_NAME_PATTERN.test(value.trim())) return 'Use letters, digits, dashes and underscores, starting with a letter';
+        return registry.palettes[value.trim()] ? `A palette named "${value.trim()}" already exists` : null;
+    };
+
+    let renamePaletteCommand = vscode.commands.registerCommand('tailwind-color-generator.renamePalette', async (item) => {
+        try {
+            const name = await pickRegistryPalette(paletteRegistry, item, 'Select the palette to rename');
+            if (!name) return;
+
+            const registry = await paletteRegistry.read();
+            const newName = await vscode.window.showInputBox({
+                prompt: `Rename ${name} to`,
+                value: name,
+                validateInput: (value) => value.trim() === name ? null : validatePaletteName(registry)(value)
+            });
+
+            if (!newName || newName.trim() === name) return;
+
+            await paletteRegistry.update(current => renamePalette(current, name, newName.trim()));
+            vscode.window.showInformationMessage(`✅ Renamed ${name} to ${newName.trim()}`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error renaming palette: ${error.message}`);
+        }
+    });
+
+    let duplicatePaletteCommand = vscode.commands.registerCommand('tailwind-color-generator.duplicatePalette', async (item) => {
+        try {
+            const name = await pickRegistryPalette(paletteRegistry, item, 'Select the palette to duplicate');
+            if (!name) return;
+
+            const registry = await paletteRegistry.read();
+            const newName = await vscode.window.showInputBox({
+                prompt: `Name for the copy of ${name}`,
+                value: `${name}-copy`,
+                validateInput: validatePaletteName(registry)
+            });
+
+            if (!newName) return;
+
+            await paletteRegistry.update(current => duplicatePalette(current, name, newName.trim()));
+            vscode.window.showInformationMessage(`✅ Duplicated ${name} as ${newName.trim()}`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error duplicating palette: ${error.message}`);
+        }
+    });
+
+    let deletePaletteCommand = vscode.commands.registerCommand('tailwind-color-generator.deletePalette', async (item) => {
+        try {
+            const name = await pickRegistryPalette(paletteRegistry, item, 'Select the palette to delete');
+            if (!name) return;
+
+            const confirm = await vscode.window.showWarningMessage(
+                `Delete ${name} from the palette registry? Code that already uses it is not changed.`,
+                { modal: true },
+                'Delete'
+            );
+
+            if (confirm !== 'Delete') return;
+
+            await paletteRegistry.update(registry => deletePalette(registry, name));
+            vscode.window.showInformationMessage(`✅ Deleted ${name} from the palette registry`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error deleting palette: ${error.message}`);
+        }
+    });
+
+    // Regenerates the palettes from their saved base colors and options
+    let reexportPalettesCommand = vscode.commands.registerCommand('tailwind-color-generator.reexportPalettes', async (item) => {
+        try {
+            const registry = await paletteRegistry.read();
+            let names = item && item.paletteName ? [item.paletteName] : undefined;
+            if (!names) {
+                if (Object.keys(registry.palettes).length === 0) {
+                    vscode.window.showInformationMessage('No palettes saved yet: generated palettes are kept in the palette registry');
+                    return;
+                }
+                const picked = await vscode.window.showQuickPick(
+                    Object.keys(registry.palettes).map(name => ({ label: name, description: registry.palettes[name].baseColor, picked: true })),
+                    { placeHolder: 'Select the palettes to export', canPickMany: true }
+                );
+                if (!picked || picked.length === 0) return;
+                names = picked.map(({ label }) => label);
+            }
+
+            const palettes = names.map(name => regeneratePalette(registry, name));
+
+            const format = await vscode.window.showQuickPick(
+                [
+                    { label: 'js', description: 'Tailwind v3 config (module.exports)', language: 'javascript' },
+                    { label: 'css', description: 'CSS variables in :root', language: 'css' },
+                    { label: 'json', description: 'JSON object', language: 'json' },
+                    { label: 'tailwind4', description: 'Tailwind v4 @theme block for app.css', language: 'css' },
+                    { label: 'Design tool formats...', description: 'DTCG, Style Dictionary, ASE, GPL or Procreate', exported: true }
+                ],
+                { placeHolder: 'Select output format' }
+            );
+
+            if (!format) return;
+
+            if (format.exported) {
+                await exportPalettesInteractively(palettes);
+                return;
+            }
+
+            const document = await vscode.workspace.openTextDocument({
+                content: generateTailwindConfig(palettes, format.label),
+                language: format.language
+            });
+            await vscode.window.showTextDocument(document, { preview: false });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error exporting palettes: ${error.message}`);
+        }
+    });
+
+    let refreshPalettesCommand = vscode.commands.registerCommand('tailwind-color-generator.refreshPalettes', () => {
+        paletteRegistry.refresh();
+    });
+
     // Register command to generate gradient in current file
     let generateGradientCommand = vscode.commands.registerCommand('tailwind-color-generator.generateGradient', async () => {
         const editor = vscode.window.activeTextEditor;
@@ -628,36 +1390,30 @@ Would you like to test the server or view documentation?`;
 
         // Get colors from user
         const colorsInput = await vscode.window.showInputBox({
-            prompt: 'Enter colors separated by commas (e.g., #FF0000, #00FF00, #0000FF)',
+            prompt: 'Enter colors separated by commas, optionally each with a position (e.g., #FF0000 0%, oklch(70% 0.15 150) 30%, blue 100%)',
             placeholder: '#FF6B6B, #4ECDC4, #45B7D1',
-            validateInput: (value) => {
-                if (!value) return 'Please enter at least 2 colors';
-                const colors = value.split(',').map(c => c.trim());
-                if (colors.length < 2) return 'Please enter at least 2 colors';
-                return null;
-            }
+            validateInput: validateGradientColors
         });
 
         if (!colorsInput) return;
 
-        const colors = colorsInput.split(',').map(c => c.trim());
+        const firstLayer = await pickGradientGeometry(parseColorStops(splitList(colorsInput)));
+        if (!firstLayer) return;
+        const layers = [firstLayer];
 
-        // Get direction
-        const direction = await vscode.window.showQuickPick(
+        const interpolation = await vscode.window.showQuickPick(
             [
-                { label: 'to-r', description: 'Left to right' },
-                { label: 'to-l', description: 'Right to left' },
-                { label: 'to-t', description: 'Bottom to top' },
-                { label: 'to-b', description: 'Top to bottom' },
-                { label: 'to-tr', description: 'Bottom-left to top-right' },
-                { label: 'to-tl', description: 'Bottom-right to top-left' },
-                { label: 'to-br', description: 'Top-left to bottom-right' },
-                { label: 'to-bl', description: 'Top-right to bottom-left' }
+                { label: 'srgb', description: 'Plain RGB mixing, as browsers do by default' },
+                { label: 'oklab', description: 'Perceptual, no gray dead zone between complementary colors' },
+                { label: 'oklch', description: 'Perceptual, keeps chroma by going around the hue circle the short way' },
+                { label: 'oklch-longer', description: 'Around the hue circle the long way, for rainbow sweeps' },
+                { label: 'linear-rgb', description: 'Physically linear light mixing' },
+                { label: 'lab', description: 'CIELAB mixing' }
             ],
-            { placeHolder: 'Select gradient direction' }
+            { placeHolder: 'Select interpolation color space' }
         );
 
-        if (!direction) return;
+        if (!interpolation) return;
 
         // Get format
         const format = await vscode.window.showQuickPick(
@@ -672,6 +1428,31 @@ Would you like to test the server or view documentation?`;
 
         if (!format) return;
 
+        // Tailwind has one via- color, so longer gradients need another way in
+        let strategy = { label: 'auto' };
+        let name;
+        if (format.label === 'tailwind') {
+            strategy = await vscode.window.showQuickPick(
+                [
+                    { label: 'auto', description: 'from-/via-/to- classes when they fit, otherwise an arbitrary value' },
+                    { label: 'stops', description: 'from-/via-/to- classes with positions, for up to three colors' },
+                    { label: 'arbitrary', description: 'A single bg-[linear-gradient(...)] class' },
+                    { label: 'config', description: 'A named bg-<name> class defined in your Tailwind theme' }
+                ],
+                { placeHolder: 'Select how to write the gradient as Tailwind classes' }
+            );
+            if (!strategy) return;
+
+            if (strategy.label === 'config') {
+                name = await vscode.window.showInputBox({
+                    prompt: 'Enter a name for the gradient (used as bg-<name>)',
+                    placeholder: 'sunset',
+                    validateInput: (value) => BACKGROUND_NAME_PATTERN.test(value) ? null : 'Use lowercase letters, digits and dashes, starting with a letter'
+                });
+                if (!name) return;
+            }
+        }
+
         // Get number of steps
         const stepsInput = await vscode.window.showInputBox({
             prompt: 'Enter number of gradient steps (2-50)',
@@ -690,16 +1471,34 @@ Would you like to test the server or view documentation?`;
 
         const steps = parseInt(stepsInput);
 
+        // Further layers go beneath the first one, e.g. a radial glow over a linear wash
+        for (;;) {
+            const more = await vscode.window.showInputBox({
+                prompt: `Add another layer beneath (${layers.length} so far)? Enter its colors, or leave empty to finish`,
+                placeholder: 'rgb(0 0 0 / 0.4), transparent',
+                validateInput: (value) => value ? validateGradientColors(value) : null
+            });
+            if (!more) break;
+            const layer = await pickGradientGeometry(parseColorStops(splitList(more)));
+            if (!layer) return;
+            layers.push(layer);
+        }
+
         try {
             // Generate the gradient
-            const gradient = generateGradientStops(colors, steps, direction.label);
-            const output = generateTailwindGradient(gradient, format.label);
+            const version = vscode.workspace.getConfiguration('tailwindColorGenerator').get('tailwindVersion', 'v3');
+            const gradient = layers.map(({ colors, positions, direction, ...geometry }) =>
+                generateGradientStops(colors, steps, direction, { ...geometry, interpolation: interpolation.label, positions }));
+            const tailwindOptions = { version, strategy: strategy.label, name };
+            const output = format.label === 'tailwind'
+                ? tailwindGradientClasses(gradient, tailwindOptions)
+                : generateTailwindGradient(gradient.length > 1 ? gradient : gradient[0], format.label, tailwindOptions);
 
             let configText;
             if (format.label === 'css') {
                 configText = output;
             } else if (format.label === 'tailwind') {
-                configText = `<div class="${output}">
+                configText = `<div class="${output.classes}">
   <!-- Your gradient content here -->
 </div>`;
             } else if (format.label === 'json') {
@@ -713,14 +1512,515 @@ Would you like to test the server or view documentation?`;
                 editBuilder.insert(editor.selection.active, configText);
             });
 
-            vscode.window.showInformationMessage(`✅ Generated gradient from ${colors.length} colors with ${steps} steps`);
+            if (output.config) {
+                const document = await vscode.workspace.openTextDocument({
+                    content: output.config,
+                    language: version === 'v4' ? 'css' : 'javascript'
+                });
+                await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside, preview: false });
+            }
+
+            const strategyNote = format.label === 'tailwind' ? `, written as ${describeTailwindStrategy(output)}` : '';
+            vscode.window.showInformationMessage(`✅ Generated gradient from ${layers[0].colors.length} colors with ${steps} steps${layers.length > 1 ? ` and ${layers.length - 1} more layer(s)` : ''}${strategyNote}`);
 
         } catch (error) {
             vscode.window.showErrorMessage(`Error generating gradient: ${error.message}`);
         }
     });
 
-    context.subscriptions.push(disposable, testCommand, generateCommand, generateGradientCommand);
+    // Register command to merge a palette into the workspace's Tailwind config
+    let addToConfigCommand = vscode.commands.registerCommand('tailwind-color-generator.addPaletteToConfig', async () => {
+        const configUri = await pickTailwindConfig();
+        if (!configUri) return;
+
+        const baseColor = await vscode.window.showInputBox({
+            prompt: 'Enter a base color (hex, hsl, or named color)',
+            placeholder: '#3B82F6',
+            validateInput: (value) => {
+                if (!value) return 'Please enter a color';
+                try {
+                    parseColor(value);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+
+        if (!baseColor) return;
+
+        const paletteName = await vscode.window.showInputBox({
+            prompt: 'Enter a name for the color palette',
+            placeholder: 'primary',
+            value: 'primary'
+        });
+
+        if (!paletteName) return;
+
+        try {
+            await writePaletteToConfig(configUri, generateTailwindPalette(baseColor, paletteName));
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error updating Tailwind config: ${error.message}`);
+        }
+    });
+
+    // Register command to show the contrast matrix of one or more palettes
+    let contrastMatrixCommand = vscode.commands.registerCommand('tailwind-color-generator.contrastMatrix', async () => {
+        const input = await vscode.window.showInputBox({
+            prompt: 'Enter base colors as name=color pairs separated by commas',
+            placeHolder: 'primary=#3B82F6, accent=#F59E0B',
+            validateInput: (value) => {
+                try {
+                    parseNamedColors(value);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+
+        if (!input) return;
+
+        const format = await vscode.window.showQuickPick(
+            [
+                { label: 'markdown', description: 'Tables for reading and sharing' },
+                { label: 'json', description: 'Every pair with pass/fail flags, for CI' }
+            ],
+            { placeHolder: 'Select output format' }
+        );
+
+        if (!format) return;
+
+        try {
+            const palettes = parseNamedColors(input);
+            const result = contrastMatrix(palettes, { crossPalette: palettes.length > 1 });
+
+            const document = await vscode.workspace.openTextDocument({
+                content: formatContrastMatrix(result, format.label),
+                language: format.label
+            });
+            await vscode.window.showTextDocument(document);
+
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error computing contrast matrix: ${error.message}`);
+        }
+    });
+
+    // Register command to simulate color vision deficiencies on palettes
+    let colorVisionCommand = vscode.commands.registerCommand('tailwind-color-generator.simulateColorBlindness', async () => {
+        const input = await vscode.window.showInputBox({
+            prompt: 'Enter the palettes to tell apart as name=color pairs separated by commas',
+            placeHolder: 'primary=#3B82F6, success=#22C55E, warning=#F59E0B, danger=#EF4444',
+            validateInput: (value) => {
+                try {
+                    parseNamedColors(value);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+
+        if (!input) return;
+
+        const threshold = await vscode.window.showInputBox({
+            prompt: 'Flag 500 shades closer than this ΔE (CIEDE2000) under any simulation',
+            value: String(DEFAULT_DELTA_E_THRESHOLD),
+            validateInput: (value) => Number(value) > 0 ? null : 'Please enter a positive number'
+        });
+
+        if (!threshold) return;
+
+        const format = await vscode.window.showQuickPick(
+            [
+                { label: 'preview', description: 'Original and simulated palettes side by side' },
+                { label: 'markdown', description: 'Tables of simulated colors for reading and sharing' },
+                { label: 'json', description: 'Simulated colors and flagged pairs, for CI' }
+            ],
+            { placeHolder: 'Select output format' }
+        );
+
+        if (!format) return;
+
+        try {
+            const result = simulateColorBlindness(parseNamedColors(input), { threshold: Number(threshold) });
+
+            if (format.label === 'preview') {
+                ColorVisionPanel.show(context, result);
+            } else {
+                const document = await vscode.workspace.openTextDocument({
+                    content: formatColorBlindness(result, format.label),
+                    language: format.label
+                });
+                await vscode.window.showTextDocument(document);
+            }
+
+            if (result.conflicts.length > 0) {
+                const pairs = [...new Set(result.conflicts.map(conflict => conflict.palettes.join(' / ')))];
+                vscode.window.showWarningMessage(`⚠️ Hard to tell apart under some color vision deficiencies: ${pairs.join(', ')}`);
+            } else {
+                vscode.window.showInformationMessage(`✅ ${describeConflicts(result)}`);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error simulating color blindness: ${error.message}`);
+        }
+    });
+
+    // Register command to map palettes to light and dark semantic tokens
+    let semanticTokensCommand = vscode.commands.registerCommand('tailwind-color-generator.generateSemanticTokens', async () => {
+        const input = await vscode.window.showInputBox({
+            prompt: 'Enter palettes as name=color pairs; primary, neutral, secondary, accent and destructive fill those roles',
+            placeHolder: 'primary=#3B82F6, neutral=#64748B',
+            validateInput: (value) => {
+                try {
+                    parseNamedColors(value);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+
+        if (!input) return;
+
+        const format = await vscode.window.showQuickPick(
+            [
+                { label: 'css', description: 'CSS variables with a .dark override' },
+                { label: 'tailwind', description: 'CSS variables plus a Tailwind v3 config reading them' },
+                { label: 'shadcn', description: 'shadcn/ui globals.css for Tailwind v4' }
+            ],
+            { placeHolder: 'Select output format' }
+        );
+
+        if (!format) return;
+
+        try {
+            const result = generateSemanticTokens(parseNamedColors(input));
+            for (const file of semanticTokenFiles(result, format.label)) {
+                const document = await vscode.workspace.openTextDocument(file);
+                await vscode.window.showTextDocument(document, { preview: false });
+            }
+
+            const failing = result.checks.filter(check => !check.pass);
+            if (failing.length > 0) {
+                vscode.window.showWarningMessage(`Some tokens miss their contrast minimum: ${failing.map(({ mode, token, surface, ratio }) => `${mode} ${token} on ${surface} (${ratio.toFixed(2)}:1)`).join(', ')}`);
+            } else if (result.adjustments.length > 0) {
+                vscode.window.showInformationMessage(`Moved for contrast: ${result.adjustments.map(({ mode, token, to }) => `${mode} ${token} → ${to.palette}-${to.shade}`).join(', ')}`);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error generating semantic tokens: ${error.message}`);
+        }
+    });
+
+    // Register command to export palettes for design tools
+    let exportPaletteCommand = vscode.commands.registerCommand('tailwind-color-generator.exportPalette', async () => {
+        const input = await vscode.window.showInputBox({
+            prompt: 'Enter palettes to export as name=color pairs',
+            placeHolder: 'primary=#3B82F6, accent=#F59E0B',
+            validateInput: (value) => {
+                try {
+                    parseNamedColors(value);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+
+        if (!input) return;
+
+        await exportPalettesInteractively(parseNamedColors(input).map(({ name, baseColor }) => generateTailwindPalette(baseColor, name)));
+    });
+
+    // Register command to build palettes from the dominant colors of an image
+    let extractImageCommand = vscode.commands.registerCommand('tailwind-color-generator.extractPaletteFromImage', async (resource) => {
+        let imageUri = resource && resource.fsPath ? resource : undefined;
+
+        if (!imageUri) {
+            const images = await vscode.workspace.findFiles('**/*.{png,jpg,jpeg}', '**/node_modules/**', 500);
+            const picked = await vscode.window.showQuickPick(
+                [
+                    ...images.map(uri => ({ label: vscode.workspace.asRelativePath(uri), uri })),
+                    { label: 'Browse...', description: 'Choose an image outside the list' }
+                ],
+                { placeHolder: 'Select a PNG or JPEG image' }
+            );
+
+            if (!picked) return;
+
+            if (picked.uri) {
+                imageUri = picked.uri;
+            } else {
+                const chosen = await vscode.window.showOpenDialog({
+                    canSelectMany: false,
+                    openLabel: 'Extract Palette',
+                    filters: { Images: ['png', 'jpg', 'jpeg'] }
+                });
+                if (!chosen || chosen.length === 0) return;
+                imageUri = chosen[0];
+            }
+        }
+
+        const countInput = await vscode.window.showInputBox({
+            prompt: 'How many dominant colors should be extracted? (1-16)',
+            value: '5',
+            validateInput: (value) => /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 16 ? null : 'Please enter a whole number from 1 to 16'
+        });
+
+        if (!countInput) return;
+
+        const method = await vscode.window.showQuickPick(
+            [
+                { label: 'kmeans', description: 'Median cut refined by k-means in OKLab; follows perceived color' },
+                { label: 'median-cut', description: 'Split the RGB color box at the median; faster, coarser' }
+            ],
+            { placeHolder: 'Select quantization method' }
+        );
+
+        if (!method) return;
+
+        let colors;
+        try {
+            const image = decodeImage(Buffer.from(await vscode.workspace.fs.readFile(imageUri)));
+            colors = extractDominantColors(image, { count: Number(countInput), method: method.label });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error reading ${path.basename(imageUri.fsPath)}: ${error.message}`);
+            return;
+        }
+
+        const selected = await vscode.window.showQuickPick(
+            colors.map(({ hex, share }) => ({
+                label: hex,
+                description: `${Math.round(share * 100)}% of the image, close to ${findNearestTailwindColors(hex, { limit: 1 })[0].name}`,
+                hex,
+                picked: true
+            })),
+            { placeHolder: 'Select the colors to turn into palettes', canPickMany: true }
+        );
+
+        if (!selected || selected.length === 0) return;
+
+        const namesInput = await vscode.window.showInputBox({
+            prompt: 'Enter a name for each palette, separated by commas',
+            value: selected.map((item, index) => ['primary', 'secondary', 'accent'][index] || `color${index + 1}`).join(', '),
+            validateInput: (value) => {
+                const names = splitList(value);
+                if (names.length !== selected.length) return `Please enter ${selected.length} names`;
+                if (new Set(names).size !== names.length) return 'Palette names must be different';
+                return names.every(name => /^[A-Za-z][\w-]*$/.test(name)) ? null : 'Use letters, digits, dashes and underscores, starting with a letter';
+            }
+        });
+
+        if (!namesInput) return;
+
+        const format = await vscode.window.showQuickPick(
+            [
+                { label: 'js', description: 'Tailwind v3 config (module.exports)', language: 'javascript' },
+                { label: 'css', description: 'CSS variables in :root', language: 'css' },
+                { label: 'json', description: 'JSON object', language: 'json' },
+                { label: 'tailwind4', description: 'Tailwind v4 @theme block for app.css', language: 'css' }
+            ],
+            { placeHolder: 'Select output format' }
+        );
+
+        if (!format) return;
+
+        try {
+            const names = splitList(namesInput);
+            const palettes = selected.map((item, index) => generateTailwindPalette(item.hex, names[index]));
+            const document = await vscode.workspace.openTextDocument({
+                content: generateTailwindConfig(palettes, format.label),
+                language: format.language
+            });
+            await vscode.window.showTextDocument(document, { preview: false });
+            vscode.window.showInformationMessage(`✅ Generated ${names.join(', ')} from ${path.basename(imageUri.fsPath)}`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error generating palettes: ${error.message}`);
+        }
+    });
+
+    // Register command to read the palettes a project already defines
+    let importPaletteCommand = vscode.commands.registerCommand('tailwind-color-generator.importPalette', async () => {
+        const source = await vscode.window.showQuickPick(
+            [
+                { label: 'Scan Workspace', description: 'Tailwind configs, stylesheets, *tokens.json, .ase and .gpl files' },
+                { label: 'Choose Files...', description: 'Pick the files to import' }
+            ],
+            { placeHolder: 'Where should colors be imported from?' }
+        );
+
+        if (!source) return;
+
+        const uris = source.label === 'Scan Workspace'
+            ? await vscode.workspace.findFiles(COLOR_SOURCE_GLOB, '**/node_modules/**', 200)
+            : await vscode.window.showOpenDialog({
+                canSelectMany: true,
+                openLabel: 'Import',
+                filters: { 'Color sources': ['js', 'cjs', 'mjs', 'ts', 'css', 'pcss', 'postcss', 'scss', 'json', 'ase', 'gpl'] }
+            });
+
+        if (!uris || uris.length === 0) {
+            if (source.label === 'Scan Workspace') vscode.window.showWarningMessage('No Tailwind configs, stylesheets, token or swatch files found in the workspace');
+            return;
+        }
+
+        const results = [];
+        const failures = [];
+        for (const uri of uris) {
+            try {
+                const content = Buffer.from(await vscode.workspace.fs.readFile(uri));
+                results.push(importPalettes(content, detectImportFormat(uri.fsPath)));
+            } catch (error) {
+                failures.push(`${vscode.workspace.asRelativePath(uri)}: ${error.message}`);
+            }
+        }
+        if (failures.length > 0) {
+            vscode.window.showWarningMessage(`Could not import ${failures.join('; ')}`);
+        }
+
+        const result = mergeImports(results);
+        if (result.palettes.length === 0 && Object.keys(result.colors).length === 0) {
+            vscode.window.showWarningMessage('No colors found to import');
+            return;
+        }
+
+        const document = await vscode.workspace.openTextDocument({
+            content: JSON.stringify({
+                palettes: result.palettes.map(({ name, palette }) => ({ name, shades: palette })),
+                colors: result.colors,
+                skipped: result.skipped
+            }, null, 2),
+            language: 'json'
+        });
+        await vscode.window.showTextDocument(document, { preview: false });
+
+        if (result.palettes.length === 0) return;
+
+        const action = await vscode.window.showInformationMessage(
+            `Imported ${result.palettes.length} palette(s) and ${Object.keys(result.colors).length} single color(s)`,
+            'Export...',
+            'Contrast Matrix'
+        );
+
+        if (action === 'Export...') {
+            await exportPalettesInteractively(result.palettes);
+        } else if (action === 'Contrast Matrix') {
+            const matrix = contrastMatrix(result.palettes);
+            const report = await vscode.workspace.openTextDocument({
+                content: formatContrastMatrix(matrix, 'markdown'),
+                language: 'markdown'
+            });
+            await vscode.window.showTextDocument(report, { preview: false });
+        }
+    });
+
+    // Register command to name a color by its closest Tailwind default
+    let findNearestCommand = vscode.commands.registerCommand('tailwind-color-generator.findNearestColor', async () => {
+        const editor = vscode.window.activeTextEditor;
+        const selected = editor ? editor.document.getText(editor.selection).trim() : '';
+
+        const color = await vscode.window.showInputBox({
+            prompt: 'Enter the color to match',
+            placeHolder: '#3a7bd5',
+            value: isValidColor(selected) ? selected : '',
+            validateInput: (value) => {
+                try {
+                    parseColor(value);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+
+        if (!color) return;
+
+        const version = vscode.workspace.getConfiguration('tailwindColorGenerator').get('tailwindVersion', 'v3');
+
+        try {
+            const matches = findNearestTailwindColors(color, { version, limit: 5 });
+            const picked = await vscode.window.showQuickPick(
+                matches.map(match => ({ label: match.name, description: `ΔE ${match.deltaE}`, detail: match.value })),
+                { placeHolder: `Closest Tailwind ${version} colors to ${color} - pick one to copy its name` }
+            );
+
+            if (!picked) return;
+
+            await vscode.env.clipboard.writeText(picked.label);
+            vscode.window.showInformationMessage(`Copied "${picked.label}" to the clipboard`);
+
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error finding nearest color: ${error.message}`);
+        }
+    });
+
+    // Register commands to audit the workspace for hard-coded colors
+    const colorAudit = registerColorAudit(context);
+
+    let auditColorsCommand = vscode.commands.registerCommand('tailwind-color-generator.auditColors', async () => {
+        const input = await vscode.window.showInputBox({
+            prompt: 'Palettes to map hard-coded colors to, as name=base color pairs separated by commas',
+            placeHolder: 'primary=#3B82F6, gray=#64748B',
+            value: context.workspaceState.get('auditPalettes', ''),
+            validateInput: (value) => {
+                try {
+                    parseNamedColors(value);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+
+        if (!input) return;
+        await context.workspaceState.update('auditPalettes', input);
+
+        try {
+            const palettes = parseNamedColors(input).map(({ name, baseColor }) => generateTailwindPalette(baseColor, name));
+            const report = await vscode.window.withProgress(
+                { location: vscode.ProgressLocation.Notification, title: 'Scanning for hard-coded colors', cancellable: true },
+                (progress, cancellation) => colorAudit.run(palettes, progress, cancellation)
+            );
+
+            const { occurrences, filesWithColors, groups } = report.summary;
+            if (occurrences === 0) {
+                vscode.window.showInformationMessage('✅ No hard-coded colors found');
+                return;
+            }
+
+            const choice = await vscode.window.showInformationMessage(
+                `Found ${occurrences} hard-coded colors in ${filesWithColors} files, in ${groups} groups of similar colors`,
+                'Show Problems',
+                'Open JSON Report'
+            );
+
+            if (choice === 'Show Problems') {
+                vscode.commands.executeCommand('workbench.actions.view.problems');
+            } else if (choice === 'Open JSON Report') {
+                const document = await vscode.workspace.openTextDocument({
+                    content: JSON.stringify(report, null, 2),
+                    language: 'json'
+                });
+                await vscode.window.showTextDocument(document);
+            }
+
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error scanning for hard-coded colors: ${error.message}`);
+        }
+    });
+
+    let clearAuditCommand = vscode.commands.registerCommand('tailwind-color-generator.clearColorAudit', () => {
+        colorAudit.clear();
+    });
+
+    context.subscriptions.push(disposable, testCommand, generateCommand, generateGradientCommand, addToConfigCommand, contrastMatrixCommand, semanticTokensCommand, findNearestCommand, auditColorsCommand, clearAuditCommand, paletteEditorCommand, exportPaletteCommand, importPaletteCommand, extractImageCommand, colorVisionCommand, listPalettesCommand, renamePaletteCommand, duplicatePaletteCommand, deletePaletteCommand, reexportPalettesCommand, refreshPalettesCommand);
+
+    // Swatches, hovers and snap-to-palette actions for Tailwind color classes,
+    // resolved against the defaults, saved palettes, configs and @theme blocks
+    const workspaceColors = new WorkspaceColors(paletteRegistry);
+    context.subscriptions.push(workspaceColors);
+    registerColorDecorations(context, workspaceColors);
+    registerColorCodeActions(context, workspaceColors);
 
     // Show welcome message on first activation
     const hasShownWelcome = context.globalState.get('hasShownWelcome', false);
@@ -0,0 +1,126 @@
+const chroma = require('chroma-js');
+const { parseColor, isValidColor } = require('./color-engine');
+const { findColorClasses } = require('./tailwind-classes');
+
+// Finds hard-coded colors in source text and groups the similar ones, so
+// ad-hoc values can be folded into palette tokens.
+
+// `#abc`, `#abcd`, `#aabbcc` or `#aabbccdd`, not part of a word, URL fragment
+// or HTML entity
+const HEX_PATTERN = /(?<![\w&/#-])#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])/gi;
+
+const FUNCTION_PATTERN = /\b(?:rgba?|hsla?)\([^()]*\)/gi;
+
+// Links such as `href="#add"` point at fragments, not colors
+const LINK_PATTERN = /\b(?:href|src|action|xlink:href)\s*=\s*["']?$/i;
+
+// Custom property definitions (`--brand: #f00`) are tokens already
+const CUSTOM_PROPERTY_PATTERN = /--[\w-]+\s*:[^;{}]*$/;
+
+// Colors within this CIEDE2000 distance of a group's first color join it
+const GROUP_DELTA_E = 5;
+
+function lineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+// Every hard-coded color in `text` as `{ kind, text, value, hex, start, end,
+// line, column }`. `kind` is "class" for arbitrary Tailwind classes such as
+// `bg-[#3a7bd5]` (with `utility` set), otherwise "hex", "rgb" or "hsl".
+function findColorLiterals(text) {
+    const starts = lineStarts(text);
+    const position = offset => {
+        let line = starts.length - 1;
+        while (starts[line] > offset) line--;
+        return { line, column: offset - starts[line] };
+    };
+
+    const found = findColorClasses(text, {})
+        .filter(match => match.arbitrary)
+        .map(match => {
+            const body = `${match.utility}-${match.name}`;
+            const start = match.end - match.className.length + match.className.indexOf(body);
+            return {
+                kind: 'class',
+                utility: match.utility,
+                text: body,
+                value: match.value,
+                opacity: match.className.includes('/'),
+                start,
+                end: start + body.length,
+            };
+        });
+
+    const insideClass = offset => found.some(match => match.start <= offset && offset < match.end);
+    [[HEX_PATTERN, 'hex'], [FUNCTION_PATTERN, null]].forEach(([pattern, kind]) => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (insideClass(match.index) || !isValidColor(match[0])) continue;
+            if (kind === 'hex' && LINK_PATTERN.test(text.slice(Math.max(0, match.index - 40), match.index))) continue;
+            found.push({
+                kind: kind || match[0].slice(0, 3).toLowerCase(),
+                text: match[0],
+                value: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+            });
+        }
+    });
+
+    return found
+        .map(literal => ({ ...literal, ...position(literal.start), hex: parseColor(literal.value).hex() }))
+        .filter(literal => !CUSTOM_PROPERTY_PATTERN.test(text.slice(starts[literal.line], literal.start)))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Group occurrences (anything with a `hex`) of similar colors. The most used
+// color seeds each group; groups are returned largest first as
+// `{ hex, occurrences, colors: [{ hex, count }] }`.
+function groupSimilarColors(occurrences, maxDeltaE = GROUP_DELTA_E) {
+    const counts = new Map();
+    occurrences.forEach(({ hex }) => counts.set(hex, (counts.get(hex) || 0) + 1));
+
+    const groups = [];
+    [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([hex, count]) => {
+            const group = groups.find(candidate => chroma.deltaE(candidate.hex, hex) <= maxDeltaE);
+            if (group) {
+                group.colors.push({ hex, count });
+            } else {
+                groups.push({ hex, colors: [{ hex, count }] });
+            }
+        });
+
+    groups.forEach(group => {
+        const members = new Set(group.colors.map(color => color.hex));
+        group.occurrences = occurrences.filter(occurrence => members.has(occurrence.hex));
+    });
+    return groups.sort((a, b) => b.occurrences.length - a.occurrences.length);
+}
+
+// What a literal becomes when mapped to palette token `token` (e.g.
+// `primary-600`): the named utility for classes, the CSS variable otherwise.
+// Translucent colors keep their alpha.
+function tokenReplacement(literal, token) {
+    const alpha = parseColor(literal.value).alpha();
+    const percent = Math.round(alpha * 100);
+    if (literal.kind === 'class') {
+        return `${literal.utility}-${token}${alpha < 1 && !literal.opacity ? `/${percent}` : ''}`;
+    }
+    return alpha < 1
+        ? `color-mix(in oklab, var(--color-${token}) ${percent}%, transparent)`
+        : `var(--color-${token})`;
+}
+
+module.exports = {
+    GROUP_DELTA_E,
+    findColorLiterals,
+    groupSimilarColors,
+    tokenReplacement,
+};
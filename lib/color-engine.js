@@ -0,0 +1,564 @@
+const chroma = require('chroma-js');
+const { TAILWIND_COLORS, TAILWIND_VERSIONS } = require('./tailwind-defaults');
+
+// Shared palette engine used by both the VS Code extension (CommonJS) and the
+// MCP server (ESM). Keep this file free of any `vscode` imports so the same
+// input always produces the same shades regardless of the caller.
+
+// Tailwind's standard shade structure
+const TAILWIND_SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+// CSS Color 4 functions chroma-js does not read on its own, e.g.
+// "rgb(0 0 0 / 50%)", "hsl(220 91% 65%)" or "oklch(62.3% 0.188 259.8)"
+const CSS_FUNCTION_PATTERN = /^(rgba?|hsla?|oklch|oklab|lch|lab)\(\s*(.*?)\s*\)$/i;
+
+// What 100% means for each channel, per CSS Color 4
+const PERCENT_REFERENCE = {
+    rgb: [255, 255, 255],
+    hsl: [null, 1, 1],
+    oklch: [1, 0.4, null],
+    oklab: [1, 0.4, 0.4],
+    lch: [100, 150, null],
+    lab: [100, 125, 125],
+};
+
+function parseHue(token) {
+    const number = parseFloat(token);
+    if (token.endsWith('turn')) return number * 360;
+    if (token.endsWith('grad')) return number * 0.9;
+    if (token.endsWith('rad')) return number * 180 / Math.PI;
+    return number;
+}
+
+function parseChannel(token, reference) {
+    if (token === 'none') return 0;
+    if (reference === null) return parseHue(token);
+    if (token.endsWith('%')) return parseFloat(token) / 100 * reference;
+    return parseFloat(token);
+}
+
+function parseCssFunction(value) {
+    const match = CSS_FUNCTION_PATTERN.exec(value);
+    if (!match) return null;
+
+    const space = match[1].toLowerCase().replace(/^(rgb|hsl)a$/, '$1');
+    let [channels, alpha] = match[2].split('/');
+    const tokens = channels.trim().split(/\s*,\s*|\s+/);
+    if (alpha === undefined && tokens.length === 4) alpha = tokens.pop();
+    if (tokens.length !== 3) return null;
+
+    const values = tokens.map((token, index) => parseChannel(token.toLowerCase(), PERCENT_REFERENCE[space][index]));
+    if (space === 'hsl') {
+        // Bare numbers are percentages too in the modern syntax
+        values[1] = tokens[1].endsWith('%') ? values[1] : values[1] / 100;
+        values[2] = tokens[2].endsWith('%') ? values[2] : values[2] / 100;
+    }
+    const opacity = alpha === undefined ? 1 : parseChannel(alpha.trim(), 1);
+    if ([...values, opacity].some(Number.isNaN)) return null;
+
+    return chroma[space](...values).alpha(Math.min(1, Math.max(0, opacity)));
+}
+
+// Parse hex, named, rgb(), hsl(), oklch(), oklab(), lab() and lch() colors,
+// with a friendlier error message than chroma-js gives
+function parseColor(input) {
+    if (input instanceof chroma.Color) return input;
+
+    const value = typeof input === 'string' ? input.trim() : input;
+    if (value === undefined || value === null || value === '') {
+        throw new Error('Missing color: expected hex, rgb(), hsl(), oklch() or a named color');
+    }
+    if (typeof value === 'string' && value.toLowerCase() === 'transparent') {
+        return chroma(0, 0, 0, 0);
+    }
+    if (chroma.valid(value)) {
+        return chroma(value);
+    }
+
+    const parsed = typeof value === 'string' ? parseCssFunction(value) : null;
+    if (!parsed) {
+        throw new Error(`Invalid color "${input}": expected hex, rgb(), hsl(), oklch() or a named color`);
+    }
+    return parsed;
+}
+
+function isValidColor(input) {
+    try {
+        parseColor(input);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Palette generation algorithms accepted by generateTailwindPalette
+const ALGORITHMS = ['hsl', 'oklch', 'lab'];
+
+// OKLCH lightness of each shade, averaged over Tailwind v4's default palettes
+const OKLCH_LIGHTNESS = {
+    50: 0.971, 100: 0.936, 200: 0.885, 300: 0.812, 400: 0.718, 500: 0.632,
+    600: 0.552, 700: 0.488, 800: 0.424, 900: 0.376, 950: 0.276,
+};
+
+// The same targets expressed as CIELAB lightness, for the `lab` algorithm
+const LAB_LIGHTNESS = Object.fromEntries(
+    Object.entries(OKLCH_LIGHTNESS).map(([shade, l]) => [shade, chroma.oklch(l, 0, 0).get('lab.l')])
+);
+
+// Hues the optional hue shift pulls the ends of the scale towards (OKLCH degrees)
+const WARM_HUE = 70;
+const COOL_HUE = 265;
+
+// Chroma falls off faster on the light side than on the dark side, which is
+// what keeps Tailwind's 50-200 shades clean and its 800-950 shades rich.
+const CHROMA_FLOOR = { light: 0.07, dark: 0.45 };
+
+function easeChroma(distance, side) {
+    const floor = CHROMA_FLOOR[side];
+    if (side === 'light') {
+        return floor + (1 - floor) * Math.pow(1 - distance, 1.5);
+    }
+    return 1 - (1 - floor) * Math.pow(distance, 2);
+}
+
+// Relative chroma of a shade compared to 500
+function chromaProfile(shade) {
+    const index = TAILWIND_SHADES.indexOf(shade);
+    const middle = TAILWIND_SHADES.indexOf(500);
+    if (index === middle) return 1;
+    return index < middle
+        ? easeChroma((middle - index) / middle, 'light')
+        : easeChroma((index - middle) / (TAILWIND_SHADES.length - 1 - middle), 'dark');
+}
+
+// Pick the shade whose Tailwind lightness is closest to the color's own
+function findAnchorShade(color) {
+    const lightness = parseColor(color).get('oklch.l');
+    return TAILWIND_SHADES.reduce((best, shade) =>
+        Math.abs(OKLCH_LIGHTNESS[shade] - lightness) < Math.abs(OKLCH_LIGHTNESS[best] - lightness) ? shade : best
+    );
+}
+
+// Lightness the scale runs out to on each side of the anchor. Normally the
+// Tailwind target, pushed further out when a forced anchor is already past it.
+function scaleEnds(targets, baseL, max) {
+    return {
+        light: baseL < targets[50] ? targets[50] : baseL + (max - baseL) / 2,
+        dark: baseL > targets[950] ? targets[950] : baseL / 2,
+    };
+}
+
+// Rotate `hue` towards `target` along the shorter arc, by at most `amount` degrees
+function rotateTowards(hue, target, amount) {
+    const delta = ((target - hue + 540) % 360) - 180;
+    const step = Math.sign(delta) * Math.min(Math.abs(delta), Math.abs(amount));
+    return (hue + step + 360) % 360;
+}
+
+// Reduce chroma until the color fits in sRGB instead of letting the channels clip
+function toGamut(space, l, c, h) {
+    const color = chroma[space](l, c, h);
+    if (!color.clipped()) return color;
+
+    let low = 0;
+    let high = c;
+    for (let i = 0; i < 20; i++) {
+        const mid = (low + high) / 2;
+        if (chroma[space](l, mid, h).clipped()) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return chroma[space](l, low, h);
+}
+
+// The color at another OKLCH lightness, keeping its chroma and hue where sRGB allows
+function setLightness(color, lightness) {
+    const [, c, h] = parseColor(color).oklch();
+    return toGamut('oklch', Math.min(1, Math.max(0, lightness)), c, Number.isNaN(h) ? 0 : h);
+}
+
+function generateHslScale(base, anchorShade) {
+    const hue = base.get('hsl.h') || 0;
+    const baseL = base.get('hsl.l');
+    const baseS = base.get('hsl.s') || 0;
+    const lightEnd = Math.max(0.95, baseL);
+    const palette = {};
+
+    TAILWIND_SHADES.forEach(shade => {
+        let color;
+        if (shade === anchorShade) {
+            color = base;
+        } else if (shade < anchorShade) {
+            const ratio = (anchorShade - shade) / (anchorShade - 50);
+            const lightness = baseL + (lightEnd - baseL) * ratio;
+            const saturation = Math.max(0.1, baseS * (1 - ratio * 0.7));
+            color = chroma.hsl(hue, saturation, lightness);
+        } else {
+            const ratio = (shade - anchorShade) / (950 - anchorShade);
+            const lightness = baseL * (1 - ratio * 0.85);
+            const saturation = Math.min(1, baseS * (1 + ratio * 0.2));
+            color = chroma.hsl(hue, saturation, lightness);
+        }
+        palette[shade] = color.hex();
+    });
+
+    return palette;
+}
+
+// Perceptual scale in OKLCH (`oklch`) or CIE LCh (`lab`). Lightness follows
+// Tailwind's per-shade targets, rescaled so the base color lands exactly on
+// the anchor shade; chroma follows Tailwind's profile relative to the anchor.
+function generatePerceptualScale(base, space, anchorShade, { hueShift = 0 } = {}) {
+    const targets = space === 'oklch' ? OKLCH_LIGHTNESS : LAB_LIGHTNESS;
+    const [baseL, baseC, rawHue] = base[space]();
+    const baseH = Number.isNaN(rawHue) ? 0 : rawHue;
+    const ends = scaleEnds(targets, baseL, space === 'oklch' ? 1 : 100);
+    const anchor = TAILWIND_SHADES.indexOf(anchorShade);
+    const palette = {};
+
+    TAILWIND_SHADES.forEach((shade, index) => {
+        if (shade === anchorShade) {
+            palette[shade] = base.hex();
+            return;
+        }
+
+        const side = index < anchor ? 'light' : 'dark';
+        const end = side === 'light' ? 50 : 950;
+        const distance = Math.abs(index - anchor) / (side === 'light' ? anchor : TAILWIND_SHADES.length - 1 - anchor);
+
+        const span = targets[anchorShade] - targets[end];
+        const lightness = ends[side] + (baseL - ends[side]) * (targets[shade] - targets[end]) / span;
+        const chromaValue = baseC * chromaProfile(shade) / chromaProfile(anchorShade);
+
+        let hue = baseH;
+        if (hueShift) {
+            const towards = (side === 'light') === (hueShift > 0) ? WARM_HUE : COOL_HUE;
+            hue = rotateTowards(baseH, towards, Math.abs(hueShift) * distance);
+        }
+
+        palette[shade] = toGamut(space, lightness, chromaValue, hue).hex();
+    });
+
+    return palette;
+}
+
+// Generate a complete Tailwind-compatible color palette from a base color.
+// `options.algorithm` is one of ALGORITHMS (default "hsl"); `options.hueShift`
+// rotates the perceptual scales towards warm lights and cool darks (positive)
+// or the reverse (negative), by up to that many degrees at 50 and 950.
+// The base color keeps its exact value in the shade whose lightness fits it
+// best, or in `options.anchorShade` when one is given; the slot used is
+// returned as `anchorShade`.
+function generateTailwindPalette(baseColor, name = 'primary', options = {}) {
+    const { algorithm = 'hsl', hueShift = 0 } = options;
+    if (!ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unknown algorithm "${algorithm}": expected one of ${ALGORITHMS.join(', ')}`);
+    }
+
+    const base = parseColor(baseColor);
+    let anchorShade = findAnchorShade(base);
+    if (options.anchorShade !== undefined && options.anchorShade !== null && options.anchorShade !== 'auto') {
+        anchorShade = Number(options.anchorShade);
+        if (!TAILWIND_SHADES.includes(anchorShade)) {
+            throw new Error(`Invalid anchor shade "${options.anchorShade}": expected one of ${TAILWIND_SHADES.join(', ')}`);
+        }
+    }
+
+    const palette = algorithm === 'hsl'
+        ? generateHslScale(base, anchorShade)
+        : generatePerceptualScale(base, algorithm === 'oklch' ? 'oklch' : 'lch', anchorShade, { hueShift });
+
+    return { name, palette, algorithm, anchorShade };
+}
+
+// OKLCH lightness of each shade in a dark palette. The scale runs the other
+// way, so `bg-primary-50 text-primary-900` stays a tinted surface with
+// readable text in both modes; the light end stops short of white and the
+// mid shades sit a little lighter to hold up against dark backgrounds.
+const DARK_OKLCH_LIGHTNESS = {
+    50: 0.205, 100: 0.245, 200: 0.3, 300: 0.375, 400: 0.47, 500: 0.6,
+    600: 0.68, 700: 0.76, 800: 0.84, 900: 0.905, 950: 0.955,
+};
+
+// Share of the palette's chroma each dark shade keeps. Both ends are muted:
+// saturated dark surfaces and saturated light text both vibrate on screen.
+const DARK_CHROMA = {
+    50: 0.2, 100: 0.28, 200: 0.38, 300: 0.52, 400: 0.7, 500: 0.85,
+    600: 0.8, 700: 0.68, 800: 0.52, 900: 0.36, 950: 0.22,
+};
+
+const MODES = ['light', 'dark'];
+
+// Add a `dark` scale with the same shade names to a generated palette. Each
+// dark shade takes the hue of its mirror in the light scale (50 <-> 950) and
+// a share of the light scale's peak chroma.
+function deriveDarkPalette(paletteResult) {
+    const light = Object.fromEntries(TAILWIND_SHADES.map(shade => [shade, parseColor(paletteResult.palette[shade]).oklch()]));
+    const peak = Math.max(...TAILWIND_SHADES.map(shade => light[shade][1] || 0));
+    const dark = {};
+
+    TAILWIND_SHADES.forEach((shade, index) => {
+        const [, , hue] = light[TAILWIND_SHADES[TAILWIND_SHADES.length - 1 - index]];
+        dark[shade] = toGamut('oklch', DARK_OKLCH_LIGHTNESS[shade], peak * DARK_CHROMA[shade], Number.isNaN(hue) ? 0 : hue).hex();
+    });
+
+    return { ...paletteResult, dark };
+}
+
+// The palette for a color mode: unchanged for "light", with a dark scale for "dark"
+function applyPaletteMode(paletteResult, mode = 'light') {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown mode "${mode}": expected one of ${MODES.join(', ')}`);
+    }
+    return mode === 'dark' ? deriveDarkPalette(paletteResult) : paletteResult;
+}
+
+// Minimum WCAG 2.x ratios per use (SC 1.4.3, 1.4.6 and 1.4.11)
+const WCAG_THRESHOLDS = {
+    normalText: { AA: 4.5, AAA: 7 },
+    largeText: { AA: 3, AAA: 4.5 },
+    uiComponents: { AA: 3 },
+};
+
+// Short label for a ratio: best level for normal text, else large text/UI
+function wcagLabel(ratio) {
+    if (ratio >= WCAG_THRESHOLDS.normalText.AAA) return 'AAA';
+    if (ratio >= WCAG_THRESHOLDS.normalText.AA) return 'AA';
+    if (ratio >= WCAG_THRESHOLDS.largeText.AA) return 'AA Large';
+    return 'Fail';
+}
+
+// Flatten `{ sky: { 500: ... }, black: ... }` or `{ 'sky-500': ... }` into
+// `{ name, value, hex }` swatches, skipping values that are not colors.
+// Translucent ones such as `transparent` are skipped too: ΔE ignores alpha,
+// so they would match any color with their RGB at ΔE 0.
+function toSwatches(colors) {
+    return Object.entries(colors).flatMap(([key, value]) => {
+        if (value && typeof value === 'object') {
+            return toSwatches(Object.fromEntries(Object.entries(value).map(([shade, color]) => [shade === 'DEFAULT' ? key : `${key}-${shade}`, color])));
+        }
+        return isValidColor(value) && parseColor(value).alpha() === 1 ? [{ name: key, value, hex: parseColor(value).hex() }] : [];
+    });
+}
+
+// Default Tailwind swatches per version, flattened on first use
+const defaultSwatches = {};
+
+// Closest colors by CIEDE2000 distance (ΔE00), nearest first. Searches the
+// Tailwind defaults of `options.version` ("v3" or "v4", default "v3"), or
+// `options.colors` (nested or `{ 'brand-500': value }`) when given.
+function findNearestTailwindColors(color, options = {}) {
+    const { limit = 1, version = 'v3', colors } = options;
+    let swatches;
+    if (colors) {
+        swatches = toSwatches(colors);
+    } else {
+        if (!TAILWIND_VERSIONS.includes(version)) {
+            throw new Error(`Unknown Tailwind version "${version}": expected one of ${TAILWIND_VERSIONS.join(', ')}`);
+        }
+        swatches = defaultSwatches[version] || (defaultSwatches[version] = toSwatches(TAILWIND_COLORS[version]));
+    }
+
+    const parsed = parseColor(color).alpha(1);
+    return swatches
+        .map(swatch => ({ ...swatch, deltaE: round(chroma.deltaE(parsed, swatch.hex), 2) }))
+        .sort((a, b) => a.deltaE - b.deltaE)
+        .slice(0, limit);
+}
+
+function cssNumber(value, digits) {
+    return Number.isNaN(value) ? 0 : round(value, digits);
+}
+
+// Numbered list of findNearestTailwindColors matches, used in tool responses
+function describeNearestColors(color, matches, label) {
+    const lines = matches.map(({ name, value, hex, deltaE }, index) =>
+        `${index + 1}. ${name}: ${value}${value === hex ? '' : ` (${hex})`}, ΔE ${deltaE}`
+    );
+    return `Closest ${label} colors to "${color}" by CIEDE2000 distance:
+${lines.join('\n')}
+
+ΔE below 1 is imperceptible and below about 2 hard to notice side by side.`;
+}
+
+// Conversions, properties and contrast figures for a single color. Backs the
+// analyze_color tools and the editor hovers.
+function analyzeColor(color) {
+    const parsed = parseColor(color);
+    const [r, g, b] = parsed.rgb();
+    const [h, s, l] = parsed.hsl();
+    const [labL, labA, labB] = parsed.lab();
+    const [, lchC, lchH] = parsed.lch();
+    const [okL, okA, okB] = parsed.oklab();
+    const contrastWithWhite = chroma.contrast(parsed, 'white');
+    const contrastWithBlack = chroma.contrast(parsed, 'black');
+    const [nearest] = findNearestTailwindColors(parsed);
+
+    return {
+        hex: parsed.hex(),
+        rgb: `rgb(${r}, ${g}, ${b})`,
+        hsl: `hsl(${Math.round(h || 0)}, ${Math.round(s * 100)}%, ${Math.round(l * 100)}%)`,
+        oklch: formatColor(parsed, 'oklch'),
+        oklab: `oklab(${cssNumber(okL * 100, 1)}% ${cssNumber(okA, 3)} ${cssNumber(okB, 3)})`,
+        lab: `lab(${cssNumber(labL, 1)}% ${cssNumber(labA, 1)} ${cssNumber(labB, 1)})`,
+        lch: `lch(${cssNumber(labL, 1)}% ${cssNumber(lchC, 1)} ${lchC < 0.05 ? 0 : cssNumber(lchH, 1)})`,
+        luminance: parsed.luminance(),
+        temperature: parsed.temperature(),
+        brightness: Math.round(l * 100),
+        saturation: Math.round((s || 0) * 100),
+        contrastWithWhite,
+        contrastWithBlack,
+        recommendedTextColor: contrastWithWhite >= contrastWithBlack ? 'white' : 'black',
+        nearestTailwind: nearest,
+    };
+}
+
+// Text report of analyzeColor, shared by the analyze_color tools
+function describeColorAnalysis(input, analysis) {
+    const textRatio = Math.max(analysis.contrastWithWhite, analysis.contrastWithBlack);
+    return `Color Analysis for "${input}":
+
+Format conversions:
+- Hex: ${analysis.hex}
+- RGB: ${analysis.rgb}
+- HSL: ${analysis.hsl}
+- OKLCH: ${analysis.oklch}
+- OKLab: ${analysis.oklab}
+- Lab: ${analysis.lab}
+- LCH: ${analysis.lch}
+
+Properties:
+- Luminance: ${analysis.luminance.toFixed(3)}
+- Temperature: ${analysis.temperature}K
+- Brightness: ${analysis.brightness}%
+- Saturation: ${analysis.saturation}%
+- Closest Tailwind color: ${analysis.nearestTailwind.name} (${analysis.nearestTailwind.hex}), ΔE ${analysis.nearestTailwind.deltaE}
+
+Accessibility:
+- Contrast with white: ${analysis.contrastWithWhite.toFixed(2)}:1 (${wcagLabel(analysis.contrastWithWhite)})
+- Contrast with black: ${analysis.contrastWithBlack.toFixed(2)}:1 (${wcagLabel(analysis.contrastWithBlack)})
+- Recommended text color: ${analysis.recommendedTextColor} (${textRatio.toFixed(2)}:1)`;
+}
+
+// Output formats accepted by generateTailwindConfig
+const FORMATS = ['js', 'css', 'json', 'tailwind4'];
+
+// How individual colors are written out
+const COLOR_SPACES = ['hex', 'rgb', 'oklch'];
+
+function round(value, digits) {
+    return Number(value.toFixed(digits));
+}
+
+// Serialize a color in the given color space, using the CSS Color 4 syntax
+// Tailwind v4 itself uses (e.g. "oklch(62.3% 0.214 259.815)")
+function formatColor(color, colorSpace = 'hex') {
+    const parsed = parseColor(color);
+    if (colorSpace === 'rgb') {
+        const [r, g, b] = parsed.rgb();
+        return `rgb(${r} ${g} ${b})`;
+    }
+    if (colorSpace === 'oklch') {
+        const [l, c, h] = parsed.oklch();
+        const chromaValue = c < 0.0005 ? 0 : round(c, 3);
+        const hue = chromaValue === 0 || Number.isNaN(h) ? 0 : round(h, 3);
+        return `oklch(${round(l * 100, 1)}% ${chromaValue} ${hue})`;
+    }
+    if (colorSpace !== 'hex') {
+        throw new Error(`Unknown color space "${colorSpace}": expected one of ${COLOR_SPACES.join(', ')}`);
+    }
+    return parsed.hex();
+}
+
+// Generate Tailwind config format. `options.colorSpace` defaults to "oklch"
+// for the Tailwind v4 `@theme` output and to "hex" everywhere else. Palettes
+// with a `dark` scale (see deriveDarkPalette) add dark overrides to the CSS
+// formats and a `<name>-dark` color to the others.
+function generateTailwindConfig(palettes, format = 'js', options = {}) {
+    const { colorSpace = format === 'tailwind4' ? 'oklch' : 'hex' } = options;
+    const formatShades = palette => Object.fromEntries(
+        Object.entries(palette).map(([shade, hex]) => [shade, formatColor(hex, colorSpace)])
+    );
+    const colors = {};
+    const darkColors = {};
+    palettes.forEach(({ name, palette, dark }) => {
+        colors[name] = formatShades(palette);
+        if (dark) darkColors[name] = formatShades(dark);
+    });
+
+    const variables = (shadesByName, indent) => Object.entries(shadesByName)
+        .map(([colorName, shades]) => Object.entries(shades)
+            .map(([shade, value]) => `${indent}--color-${colorName}-${shade}: ${value};\n`)
+            .join(''))
+        .join('');
+    // Dark palettes override the same variables, following the system
+    // setting unless the page opts out with `.light`, or forced with `.dark`
+    const darkBlocks = () => Object.keys(darkColors).length === 0 ? '' : `
+
+@media (prefers-color-scheme: dark) {
+  :root:not(.light) {
+${variables(darkColors, '    ')}  }
+}
+
+.dark {
+${variables(darkColors, '  ')}}`;
+
+    if (format === 'tailwind4') {
+        return `@theme {\n${variables(colors, '  ')}}${darkBlocks()}`;
+    } else if (format === 'css') {
+        return `:root {\n${variables(colors, '  ')}}${darkBlocks()}`;
+    }
+
+    // Without CSS variables the dark scales become their own colors, used
+    // through Tailwind's `dark:` variant
+    Object.entries(darkColors).forEach(([colorName, shades]) => {
+        colors[`${colorName}-dark`] = shades;
+    });
+
+    if (format === 'js') {
+        const [darkName] = Object.keys(darkColors);
+        const usage = darkName ? `// Pair each shade with its dark variant, e.g. "bg-${darkName}-50 dark:bg-${darkName}-dark-50"\n` : '';
+        return `${usage}module.exports = {
+  theme: {
+    extend: {
+      colors: ${JSON.stringify(colors, null, 8)}
+    }
+  }
+}`;
+    }
+    return JSON.stringify(colors, null, 2);
+}
+
+// One line per shade, used in tool responses
+function describePalette({ name, palette, dark }) {
+    return Object.entries(palette)
+        .map(([shade, hex]) => `- ${name}-${shade}: ${hex}${dark ? ` (dark: ${dark[shade]})` : ''}`)
+        .join('\n');
+}
+
+module.exports = {
+    TAILWIND_SHADES,
+    ALGORITHMS,
+    FORMATS,
+    COLOR_SPACES,
+    MODES,
+    WCAG_THRESHOLDS,
+    wcagLabel,
+    parseColor,
+    isValidColor,
+    formatColor,
+    analyzeColor,
+    describeColorAnalysis,
+    findNearestTailwindColors,
+    describeNearestColors,
+    findAnchorShade,
+    toGamut,
+    setLightness,
+    generateTailwindPalette,
+    deriveDarkPalette,
+    applyPaletteMode,
+    generateTailwindConfig,
+    describePalette,
+};
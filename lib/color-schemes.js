@@ -0,0 +1,112 @@
+const chroma = require('chroma-js');
+const { generateTailwindPalette } = require('./color-engine');
+
+// Color harmony schemes: base colors picked around the hue wheel, each
+// expanded into a full Tailwind palette.
+
+// Each strategy lists its base colors as [hue offset, saturation delta,
+// lightness delta] relative to the requested saturation and lightness
+const SCHEME_STRATEGIES = {
+    complementary: [[0, 0, 0], [180, 0, 0], [90, -0.1, -0.1]],
+    analogous: [[0, 0, 0], [30, 0, 0], [-30, 0, 0]],
+    monochromatic: [[0, 0, 0], [0, -0.2, -0.1], [0, 0.1, 0.1]],
+    triadic: [[0, 0, 0], [120, 0, 0], [240, 0, 0]],
+    'split-complementary': [[0, 0, 0], [150, 0, 0], [210, 0, 0]],
+    tetradic: [[0, 0, 0], [60, 0, 0], [180, 0, 0], [240, 0, 0]],
+    square: [[0, 0, 0], [90, 0, 0], [180, 0, 0], [270, 0, 0]],
+    compound: [[0, 0, 0], [30, -0.15, 0.05], [180, 0, 0], [150, 0, -0.15]],
+    // A gray tinted with the base hue next to the base and its complement
+    'neutral-accent': [[0, 0, 0], [0, null, 0], [180, 0, 0]],
+};
+
+const NEUTRAL_SATURATION = 0.08;
+
+const DEFAULT_COLOR_NAMES = {
+    'neutral-accent': ['primary', 'neutral', 'accent'],
+};
+
+// Deterministic 0..1 generator (mulberry32), so a seed reproduces a hue
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+function checkPercent(value, name) {
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 100) {
+        throw new Error(`Invalid ${name} "${value}": expected a percentage from 0 to 100`);
+    }
+    return value / 100;
+}
+
+// Build a scheme. Without `baseHue` the hue comes from `seed` (a random one
+// when omitted), which is returned so the same scheme can be generated
+// again. `saturation` and `lightness` (0-100) set the HSL of the base
+// colors. Returns `{ strategy, baseHue, seed, baseColors, palettes }`.
+function generateColorScheme(options = {}) {
+    const { strategy, saturation = 80, lightness = 60 } = options;
+    const offsets = SCHEME_STRATEGIES[strategy];
+    if (!offsets) {
+        throw new Error(`Unknown strategy "${strategy}": expected one of ${Object.keys(SCHEME_STRATEGIES).join(', ')}`);
+    }
+    const baseSaturation = checkPercent(saturation, 'saturation');
+    const baseLightness = checkPercent(lightness, 'lightness');
+
+    let { baseHue, seed } = options;
+    if (baseHue === undefined || baseHue === null) {
+        if (seed === undefined || seed === null) seed = Math.floor(Math.random() * 2 ** 31);
+        baseHue = Math.round(seededRandom(Number(seed))() * 360);
+    } else {
+        seed = undefined;
+    }
+    baseHue = ((Number(baseHue) % 360) + 360) % 360;
+
+    const colorNames = options.colorNames || DEFAULT_COLOR_NAMES[strategy] || ['primary', 'secondary', 'accent'];
+    const baseColors = offsets.map(([hueOffset, saturationDelta, lightnessDelta], index) => {
+        const hue = (baseHue + hueOffset + 360) % 360;
+        const s = saturationDelta === null ? NEUTRAL_SATURATION : clamp(baseSaturation + saturationDelta);
+        const l = clamp(baseLightness + lightnessDelta);
+        return {
+            name: colorNames[index] || `color${index + 1}`,
+            hex: chroma.hsl(hue, s, l).hex(),
+            hsl: `hsl(${Math.round(hue)}, ${Math.round(s * 100)}%, ${Math.round(l * 100)}%)`,
+        };
+    });
+
+    return {
+        strategy,
+        baseHue,
+        seed,
+        baseColors,
+        palettes: baseColors.map(({ name, hex }) => generateTailwindPalette(hex, name)),
+    };
+}
+
+// Tool response for a scheme and its exported config
+function describeColorScheme(scheme, config) {
+    const { strategy, baseHue, seed, baseColors, palettes } = scheme;
+    return `Generated ${strategy} color scheme (base hue: ${Math.round(baseHue)}°${seed === undefined ? '' : `, seed: ${seed}`}):
+
+Base colors:
+${baseColors.map(({ name, hex, hsl }) => `- ${name}: ${hex} (${hsl})`).join('\n')}
+
+${config}
+
+Color breakdown:
+${palettes.map(p => `- ${p.name}: ${Object.entries(p.palette).map(([shade, hex]) => `${shade}(${hex})`).join(', ')}`).join('\n')}`;
+}
+
+module.exports = {
+    SCHEME_STRATEGIES,
+    generateColorScheme,
+    describeColorScheme,
+};
@@ -0,0 +1,209 @@
+const chroma = require('chroma-js');
+const { TAILWIND_SHADES, parseColor } = require('./color-engine');
+const { resolvePalettes } = require('./contrast');
+const { generateColorScheme } = require('./color-schemes');
+
+// Color vision deficiency simulation for whole palettes, and a check that
+// palettes meant to be told apart (primary, success, warning, danger) stay
+// distinguishable for people with dichromacy or no color vision at all.
+
+const CVD_TYPES = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+
+// CIEDE2000 distance below which two 500 shades are flagged as hard to tell
+// apart at a glance
+const DEFAULT_DELTA_E_THRESHOLD = 10;
+
+// Machado, Oliveira & Fernandes (2009) at severity 1, for linear RGB
+const MACHADO = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998],
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881],
+    ],
+};
+
+// Brettel, Viénot & Mollon (1997) for tritanopia, which Machado's matrices
+// model poorly: one projection on each side of the plane through the
+// neutral axis and the 485/660 nm anchors, precomputed for linear RGB
+const BRETTEL_TRITANOPIA = {
+    first: [
+        [1.01277, 0.13548, -0.14826],
+        [-0.01243, 0.86812, 0.14431],
+        [0.07589, 0.80500, 0.11911],
+    ],
+    second: [
+        [0.93678, 0.18979, -0.12657],
+        [0.06154, 0.81526, 0.12319],
+        [-0.37562, 1.12767, 0.24796],
+    ],
+    normal: [0.03901, -0.02788, -0.01113],
+};
+
+// Relative luminance weights of linear sRGB
+const LUMINANCE = [0.2126, 0.7152, 0.0722];
+
+function multiply(matrix, vector) {
+    return matrix.map(row => row.reduce((sum, weight, index) => sum + weight * vector[index], 0));
+}
+
+function toLinear(channel) {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(value) {
+    const clamped = Math.min(1, Math.max(0, value));
+    return 255 * (clamped <= 0.0031308 ? clamped * 12.92 : 1.055 * Math.pow(clamped, 1 / 2.4) - 0.055);
+}
+
+function checkType(type) {
+    if (!CVD_TYPES.includes(type)) {
+        throw new Error(`Unknown color vision deficiency "${type}": expected one of ${CVD_TYPES.join(', ')}`);
+    }
+}
+
+// How `color` looks with the given deficiency, as hex
+function simulateColor(color, type) {
+    checkType(type);
+    const linear = parseColor(color).rgb().map(toLinear);
+
+    let simulated;
+    if (type === 'achromatopsia') {
+        const luminance = linear.reduce((sum, value, index) => sum + value * LUMINANCE[index], 0);
+        simulated = [luminance, luminance, luminance];
+    } else if (type === 'tritanopia') {
+        const side = linear.reduce((sum, value, index) => sum + value * BRETTEL_TRITANOPIA.normal[index], 0);
+        simulated = multiply(side >= 0 ? BRETTEL_TRITANOPIA.first : BRETTEL_TRITANOPIA.second, linear);
+    } else {
+        simulated = multiply(MACHADO[type], linear);
+    }
+    return chroma(simulated.map(fromLinear)).hex();
+}
+
+// The shade compared between palettes: 500, or the middle shade of a
+// palette without one
+function keyShade(palette) {
+    if (palette[500]) return 500;
+    const shades = TAILWIND_SHADES.filter(shade => palette[shade]);
+    return shades[Math.floor(shades.length / 2)];
+}
+
+// Simulate every shade of `palettes` (as accepted by the contrast matrix, or
+// `options.scheme` options for generateColorScheme) under `options.types`
+// (default: all of CVD_TYPES), and flag pairs of palettes whose key shades
+// are closer than `options.threshold` (CIEDE2000) under any of them.
+function simulateColorBlindness(palettes, options = {}) {
+    const { scheme, types = CVD_TYPES, threshold = DEFAULT_DELTA_E_THRESHOLD } = options;
+    if (!Array.isArray(types) || types.length === 0) {
+        throw new Error(`At least one simulation is required: expected some of ${CVD_TYPES.join(', ')}`);
+    }
+    types.forEach(checkType);
+    if (typeof threshold !== 'number' || Number.isNaN(threshold) || threshold <= 0) {
+        throw new Error(`Invalid ΔE threshold ${threshold}: expected a positive number`);
+    }
+    if (palettes && scheme) {
+        throw new Error('Pass either palettes or a scheme, not both');
+    }
+
+    const resolved = scheme ? generateColorScheme(scheme).palettes : resolvePalettes(palettes);
+    const results = resolved.map(({ name, palette }) => {
+        const shades = TAILWIND_SHADES.filter(shade => palette[shade]);
+        const original = Object.fromEntries(shades.map(shade => [shade, parseColor(palette[shade]).hex()]));
+        return {
+            name,
+            keyShade: keyShade(original),
+            palette: original,
+            simulations: Object.fromEntries(types.map(type => [
+                type,
+                Object.fromEntries(shades.map(shade => [shade, simulateColor(original[shade], type)])),
+            ])),
+        };
+    });
+
+    const round = value => Number(value.toFixed(1));
+    const conflicts = [];
+    results.forEach((a, index) => {
+        results.slice(index + 1).forEach(b => {
+            const deltaE = round(chroma.deltaE(a.palette[a.keyShade], b.palette[b.keyShade]));
+            types.forEach(type => {
+                const aHex = a.simulations[type][a.keyShade];
+                const bHex = b.simulations[type][b.keyShade];
+                const simulatedDeltaE = round(chroma.deltaE(aHex, bHex));
+                if (simulatedDeltaE < threshold) {
+                    conflicts.push({
+                        type,
+                        palettes: [a.name, b.name],
+                        tokens: [`${a.name}-${a.keyShade}`, `${b.name}-${b.keyShade}`],
+                        simulated: [aHex, bHex],
+                        deltaE: simulatedDeltaE,
+                        originalDeltaE: deltaE,
+                    });
+                }
+            });
+        });
+    });
+
+    return { types, threshold, palettes: results, conflicts };
+}
+
+// Pairs flagged by simulateColorBlindness, one line each
+function describeConflicts({ conflicts, threshold, palettes }) {
+    if (palettes.length < 2) {
+        return 'Only one palette: nothing to tell apart.';
+    }
+    if (conflicts.length === 0) {
+        return `Every pair of palettes stays at least ΔE ${threshold} apart under every simulation.`;
+    }
+    return `Hard to tell apart (ΔE below ${threshold}):
+${conflicts.map(({ type, tokens, simulated, deltaE, originalDeltaE }) =>
+        `- ${tokens[0]} and ${tokens[1]} with ${type}: ${simulated[0]} vs ${simulated[1]}, ΔE ${deltaE} (${originalDeltaE} with normal vision)`).join('\n')}`;
+}
+
+// Render a simulateColorBlindness result as markdown tables, the original
+// next to each simulation, or as JSON
+function formatColorBlindness(result, format = 'markdown') {
+    if (format === 'json') {
+        return JSON.stringify(result, null, 2);
+    }
+
+    const columns = ['original', ...result.types];
+    const header = `| shade | ${columns.join(' | ')} |`;
+    const divider = `|---|${columns.map(() => '---').join('|')}|`;
+
+    const keyRows = result.palettes.map(({ name, keyShade, palette, simulations }) =>
+        `| **${name}-${keyShade}** | ${[palette[keyShade], ...result.types.map(type => simulations[type][keyShade])].join(' | ')} |`);
+
+    const sections = result.palettes.map(({ name, palette, simulations }) => [
+        `### ${name}`,
+        header,
+        divider,
+        ...Object.keys(palette).map(shade =>
+            `| ${shade} | ${[palette[shade], ...result.types.map(type => simulations[type][shade])].join(' | ')} |`),
+    ].join('\n'));
+
+    return `## Key shades
+
+${[header.replace('shade', 'token'), divider, ...keyRows].join('\n')}
+
+${describeConflicts(result)}
+
+## Palettes
+
+${sections.join('\n\n')}
+
+Protanopia and deuteranopia use the Machado et al. (2009) matrices, tritanopia the Brettel et al. (1997) projection and achromatopsia relative luminance. ΔE is CIEDE2000.`;
+}
+
+module.exports = {
+    CVD_TYPES,
+    DEFAULT_DELTA_E_THRESHOLD,
+    simulateColor,
+    simulateColorBlindness,
+    describeConflicts,
+    formatColorBlindness,
+};
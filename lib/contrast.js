@@ -0,0 +1,406 @@
+const chroma = require('chroma-js');
+const { TAILWIND_SHADES, WCAG_THRESHOLDS, wcagLabel, parseColor, isValidColor, setLightness, generateTailwindPalette } = require('./color-engine');
+
+// WCAG 2.x contrast ratios and APCA lightness contrast for whole palettes.
+
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+    mainTRC: 2.4,
+    coefficients: [0.2126729, 0.7151522, 0.0721750],
+    normBG: 0.56,
+    normTXT: 0.57,
+    revTXT: 0.62,
+    revBG: 0.65,
+    blkThrs: 0.022,
+    blkClmp: 1.414,
+    scale: 1.14,
+    offset: 0.027,
+    deltaYmin: 0.0005,
+    loClip: 0.1,
+};
+
+function wcagContrast(foreground, background) {
+    return chroma.contrast(parseColor(foreground), parseColor(background));
+}
+
+function apcaLuminance(color) {
+    const y = parseColor(color).rgb()
+        .reduce((sum, channel, index) => sum + Math.pow(channel / 255, APCA.mainTRC) * APCA.coefficients[index], 0);
+    return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+}
+
+// APCA Lc of `text` on `background`: positive for dark text on a light
+// background, negative for light text on a dark one
+function apcaContrast(text, background) {
+    const textY = apcaLuminance(text);
+    const backgroundY = apcaLuminance(background);
+    if (Math.abs(backgroundY - textY) < APCA.deltaYmin) return 0;
+
+    if (backgroundY > textY) {
+        const sapc = (Math.pow(backgroundY, APCA.normBG) - Math.pow(textY, APCA.normTXT)) * APCA.scale;
+        return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100;
+    }
+    const sapc = (Math.pow(backgroundY, APCA.revBG) - Math.pow(textY, APCA.revTXT)) * APCA.scale;
+    return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100;
+}
+
+// Which WCAG levels a ratio meets, per use
+function wcagLevels(ratio) {
+    return Object.fromEntries(
+        Object.entries(WCAG_THRESHOLDS).map(([use, levels]) => [
+            use,
+            Object.fromEntries(Object.entries(levels).map(([level, minimum]) => [level, ratio >= minimum])),
+        ])
+    );
+}
+
+// Accept palettes as `{ name, shades }` or `{ name, baseColor }` (generated)
+function resolvePalettes(palettes) {
+    if (!Array.isArray(palettes) || palettes.length === 0) {
+        throw new Error('At least one palette is required');
+    }
+    return palettes.map((entry, index) => {
+        const name = entry.name || `color${index + 1}`;
+        if (entry.shades || entry.palette) {
+            return { name, palette: entry.shades || entry.palette };
+        }
+        if (entry.baseColor) {
+            return generateTailwindPalette(entry.baseColor, name, { algorithm: entry.algorithm, anchorShade: entry.anchorShade });
+        }
+        throw new Error(`Palette "${name}" needs either "shades" or "baseColor"`);
+    });
+}
+
+// Every foreground/background pair within each palette, or across all of
+// them with `crossPalette`. Identical swatches are skipped.
+function contrastMatrix(palettes, options = {}) {
+    const { crossPalette = false } = options;
+    const resolved = resolvePalettes(palettes);
+    const swatches = resolved.map(({ name, palette }) =>
+        Object.entries(palette).map(([shade, color]) => ({ palette: name, token: `${name}-${shade}`, hex: parseColor(color).hex() }))
+    );
+    const groups = crossPalette
+        ? [{ label: resolved.map(({ name }) => name).join(' + '), swatches: swatches.flat() }]
+        : resolved.map(({ name }, index) => ({ label: name, swatches: swatches[index] }));
+
+    const pairs = [];
+    groups.forEach(({ swatches: group }) => {
+        group.forEach(foreground => {
+            group.forEach(background => {
+                if (foreground === background) return;
+                const wcag = wcagContrast(foreground.hex, background.hex);
+                pairs.push({
+                    foreground: foreground.token,
+                    background: background.token,
+                    foregroundHex: foreground.hex,
+                    backgroundHex: background.hex,
+                    // Truncated rather than rounded so 4.497 never reads as a passing 4.5
+                    wcag: Math.floor(wcag * 100) / 100,
+                    apca: Number(apcaContrast(foreground.hex, background.hex).toFixed(1)),
+                    passes: wcagLevels(wcag),
+                });
+            });
+        });
+    });
+
+    return {
+        palettes: resolved,
+        groups: groups.map(({ label, swatches: group }) => ({ label, tokens: group.map(swatch => swatch.token) })),
+        pairs,
+    };
+}
+
+// Named minimums accepted in contrast targets
+const TARGET_LEVELS = {
+    'aa': WCAG_THRESHOLDS.normalText.AA,
+    'aaa': WCAG_THRESHOLDS.normalText.AAA,
+    'aa-large': WCAG_THRESHOLDS.largeText.AA,
+    'aaa-large': WCAG_THRESHOLDS.largeText.AAA,
+    'ui': WCAG_THRESHOLDS.uiComponents.AA,
+};
+
+// Smallest OKLCH lightness step kept between neighbouring shades
+const MIN_LIGHTNESS_GAP = 0.005;
+
+const MAX_PASSES = 50;
+
+function parseTargetSide(value, target) {
+    if (/^\d+$/.test(value)) {
+        const shade = Number(value);
+        if (!TAILWIND_SHADES.includes(shade)) {
+            throw new Error(`Invalid contrast target "${target}": ${value} is not a Tailwind shade`);
+        }
+        return { shade };
+    }
+    if (!isValidColor(value)) {
+        throw new Error(`Invalid contrast target "${target}": "${value}" is neither a shade nor a color`);
+    }
+    return { color: parseColor(value).hex() };
+}
+
+// Parse "600 on 50 >= 4.5" or "white on 500 >= AA" (text on background,
+// minimum WCAG ratio or one of TARGET_LEVELS)
+function parseContrastTarget(target) {
+    const match = /^\s*(.+?)\s+on\s+(.+?)\s*(?:>=|≥)\s*(.+?)\s*$/i.exec(target);
+    if (!match) {
+        throw new Error(`Invalid contrast target "${target}": expected "<text> on <background> >= <ratio or AA, AAA, AA-large, AAA-large, UI>", e.g. "600 on 50 >= 4.5"`);
+    }
+
+    const [, foreground, background, minimum] = match;
+    const level = minimum.toLowerCase().replace(/\s+/g, '-');
+    const minRatio = Object.prototype.hasOwnProperty.call(TARGET_LEVELS, level) ? TARGET_LEVELS[level] : Number(minimum);
+    if (!(minRatio >= 1 && minRatio <= 21)) {
+        throw new Error(`Invalid contrast target "${target}": the minimum must be a ratio between 1 and 21 or a WCAG level`);
+    }
+
+    const parsed = {
+        target: target.trim(),
+        foreground: parseTargetSide(foreground, target),
+        background: parseTargetSide(background, target),
+        minRatio,
+    };
+    if (parsed.foreground.shade === undefined && parsed.background.shade === undefined) {
+        throw new Error(`Invalid contrast target "${target}": at least one side must be a shade`);
+    }
+    return parsed;
+}
+
+/**
+ * Shade lightness (OKLCH) during contrast solving. Shades keep the chroma and
+ * hue they were generated with; only their lightness moves.
+ */
+class LightnessScale {
+    constructor(palette, locked) {
+        this.shades = Object.keys(palette).map(Number).sort((a, b) => a - b);
+        this.original = { ...palette };
+        this.locked = new Set(locked.map(Number));
+        this.lightness = Object.fromEntries(this.shades.map(shade => [shade, parseColor(palette[shade]).get('oklch.l')]));
+    }
+
+    hex(shade, lightness = this.lightness) {
+        return lightness[shade] === this.initial(shade)
+            ? parseColor(this.original[shade]).hex()
+            : setLightness(this.original[shade], lightness[shade]).hex();
+    }
+
+    initial(shade) {
+        return parseColor(this.original[shade]).get('oklch.l');
+    }
+
+    resolve(side, lightness = this.lightness) {
+        return side.shade !== undefined ? this.hex(side.shade, lightness) : side.color;
+    }
+
+    ratio(target, lightness = this.lightness) {
+        return wcagContrast(this.resolve(target.foreground, lightness), this.resolve(target.background, lightness));
+    }
+
+    // Move `shade` to `value` and push neighbours along so lighter shades
+    // stay lighter. Returns the new lightness map, or null if that would
+    // move a locked shade.
+    move(shade, value) {
+        const lightness = { ...this.lightness, [shade]: value };
+        const index = this.shades.indexOf(shade);
+
+        for (let i = index - 1; i >= 0; i--) {
+            const floor = lightness[this.shades[i + 1]] + MIN_LIGHTNESS_GAP;
+            if (lightness[this.shades[i]] >= floor) break;
+            lightness[this.shades[i]] = Math.min(1, floor);
+        }
+        for (let i = index + 1; i < this.shades.length; i++) {
+            const ceiling = lightness[this.shades[i - 1]] - MIN_LIGHTNESS_GAP;
+            if (lightness[this.shades[i]] <= ceiling) break;
+            lightness[this.shades[i]] = Math.max(0, ceiling);
+        }
+
+        const valid = this.shades.every(other => lightness[other] === this.lightness[other] || !this.locked.has(other));
+        return valid ? lightness : null;
+    }
+
+    // Whether every shade still renders as a different color
+    distinct(lightness) {
+        const hexes = this.shades.map(shade => this.hex(shade, lightness));
+        return new Set(hexes).size === hexes.length;
+    }
+
+    // Smallest move of `shade` that satisfies `target`, or null. Moving
+    // further only squeezes the shades closer, so if the smallest move
+    // collapses two of them nothing will work.
+    solve(target, shade) {
+        const other = target.foreground.shade === shade ? target.background : target.foreground;
+        const current = this.lightness[shade];
+        const darker = parseColor(this.hex(shade)).luminance() < parseColor(this.resolve(other)).luminance();
+        // Leave room for the shades that get pushed along
+        const index = this.shades.indexOf(shade);
+        const limit = darker
+            ? (this.shades.length - 1 - index) * MIN_LIGHTNESS_GAP
+            : 1 - index * MIN_LIGHTNESS_GAP;
+
+        const attempt = value => {
+            const lightness = this.move(shade, value);
+            return lightness && this.ratio(target, lightness) >= target.minRatio ? lightness : null;
+        };
+
+        if (!attempt(limit)) return null;
+        let near = current;
+        let far = limit;
+        for (let i = 0; i < 30; i++) {
+            const mid = (near + far) / 2;
+            if (attempt(mid)) {
+                far = mid;
+            } else {
+                near = mid;
+            }
+        }
+        const lightness = attempt(far);
+        return this.distinct(lightness) ? lightness : null;
+    }
+
+    // Total lightness moved, with moves of `preserved` shades ranked last
+    cost(lightness, preserved) {
+        const moved = this.shades.reduce((sum, shade) => sum + Math.abs(lightness[shade] - this.lightness[shade]), 0);
+        const touchesPreserved = preserved.some(shade => lightness[shade] !== this.lightness[shade]);
+        return touchesPreserved ? moved + this.shades.length : moved;
+    }
+}
+
+// Nudge the lightness of a generated palette's shades as little as needed
+// for every target (see parseContrastTarget) to hold. The anchor shade only
+// moves when no other shade can meet a target; shades in `options.locked`
+// never move. Returns the palette result with the adjusted `palette`, the
+// `adjustments` made and the final ratio of each target; throws when the
+// targets cannot all be met.
+function applyContrastTargets(paletteResult, targets, options = {}) {
+    const { locked = [] } = options;
+    const preserved = paletteResult.anchorShade !== undefined ? [Number(paletteResult.anchorShade)] : [];
+    const parsed = (targets || []).map(parseContrastTarget);
+    const scale = new LightnessScale(paletteResult.palette, locked);
+    const name = paletteResult.name || 'palette';
+
+    parsed.forEach(target => {
+        [target.foreground, target.background].forEach(side => {
+            if (side.shade !== undefined && !scale.shades.includes(side.shade)) {
+                throw new Error(`Cannot meet contrast target "${target.target}": ${name} has no ${side.shade} shade`);
+            }
+        });
+        if (target.foreground.shade !== undefined && target.foreground.shade === target.background.shade) {
+            throw new Error(`Cannot meet contrast target "${target.target}": a shade has no contrast with itself`);
+        }
+    });
+
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        const failing = parsed.find(target => scale.ratio(target) < target.minRatio);
+        if (!failing) {
+            const adjustments = scale.shades
+                .filter(shade => scale.lightness[shade] !== scale.initial(shade))
+                .map(shade => ({
+                    shade,
+                    from: parseColor(paletteResult.palette[shade]).hex(),
+                    to: scale.hex(shade),
+                    lightness: {
+                        from: Number((scale.initial(shade) * 100).toFixed(1)),
+                        to: Number((scale.lightness[shade] * 100).toFixed(1)),
+                    },
+                }));
+
+            return {
+                ...paletteResult,
+                palette: Object.fromEntries(scale.shades.map(shade => [shade, scale.hex(shade)])),
+                adjustments,
+                contrastTargets: parsed.map(target => ({
+                    target: target.target,
+                    minRatio: target.minRatio,
+                    ratio: Math.floor(scale.ratio(target) * 100) / 100,
+                })),
+            };
+        }
+
+        const movable = [failing.foreground.shade, failing.background.shade]
+            .filter(shade => shade !== undefined && !scale.locked.has(shade));
+        const candidates = movable
+            .map(shade => scale.solve(failing, shade))
+            .filter(Boolean)
+            .sort((a, b) => scale.cost(a, preserved) - scale.cost(b, preserved));
+
+        if (candidates.length === 0) {
+            const reason = movable.length === 0
+                ? `${[failing.foreground.shade, failing.background.shade].filter(shade => shade !== undefined).map(shade => `${name}-${shade}`).join(' and ')} cannot move (locked)`
+                : `no lightness of ${movable.map(shade => `${name}-${shade}`).join(' or ')} reaches ${failing.minRatio}:1 while keeping the other shades distinct, in order${locked.length > 0 ? ' and unlocked' : ''}`;
+            throw new Error(`Cannot meet contrast target "${failing.target}" (currently ${scale.ratio(failing).toFixed(2)}:1): ${reason}`);
+        }
+        scale.lightness = candidates[0];
+    }
+
+    const failing = parsed.filter(target => scale.ratio(target) < target.minRatio).map(target => `"${target.target}"`);
+    throw new Error(`Cannot meet all contrast targets at once: ${failing.join(', ')} still fail${failing.length === 1 ? 's' : ''} because meeting one breaks another`);
+}
+
+// Met targets and moved shades of an applyContrastTargets result, used in
+// tool responses
+function describeContrastTargets({ name, adjustments, contrastTargets }) {
+    const targets = contrastTargets.map(({ target, ratio }) => `- ${target}: ${ratio}:1`);
+    const moved = adjustments.map(({ shade, from, to, lightness }) => {
+        const delta = lightness.to - lightness.from;
+        return `- ${name}-${shade}: ${from} → ${to} (lightness ${lightness.from}% → ${lightness.to}%, ${delta > 0 ? '+' : ''}${delta.toFixed(1)})`;
+    });
+
+    return `Contrast targets met:
+${targets.join('\n')}
+
+${moved.length > 0 ? `Adjusted shades:\n${moved.join('\n')}` : 'No shades needed adjusting.'}`;
+}
+
+function markdownTable(tokens, cell) {
+    const header = `| text \\ bg | ${tokens.join(' | ')} |`;
+    const divider = `|---|${tokens.map(() => '---').join('|')}|`;
+    const rows = tokens.map(row => `| **${row}** | ${tokens.map(column => row === column ? '—' : cell(row, column)).join(' | ')} |`);
+    return [header, divider, ...rows].join('\n');
+}
+
+// Render a contrastMatrix result as markdown tables (chat) or JSON (CI)
+function formatContrastMatrix(result, format = 'markdown') {
+    if (format === 'json') {
+        return JSON.stringify({
+            palettes: result.palettes.map(({ name, palette }) => ({ name, shades: palette })),
+            pairs: result.pairs,
+        }, null, 2);
+    }
+
+    const lookup = new Map(result.pairs.map(pair => [`${pair.foreground}|${pair.background}`, pair]));
+    const find = (row, column) => lookup.get(`${row}|${column}`);
+
+    const sections = result.groups.map(({ label, tokens }) => [
+        `### ${label}: WCAG 2.x contrast ratio`,
+        markdownTable(tokens, (row, column) => {
+            const pair = find(row, column);
+            return `${pair.wcag} ${wcagLabel(pair.wcag)}`;
+        }),
+        '',
+        `### ${label}: APCA Lc`,
+        markdownTable(tokens, (row, column) => String(find(row, column).apca)),
+    ].join('\n'));
+
+    const counts = Object.entries(WCAG_THRESHOLDS).flatMap(([use, levels]) =>
+        Object.keys(levels).map(level => `- ${use} ${level}: ${result.pairs.filter(pair => pair.passes[use][level]).length}/${result.pairs.length} pairs`)
+    );
+
+    return `${sections.join('\n\n')}
+
+Legend: AAA ≥ 7, AA ≥ 4.5 (normal text), AA Large ≥ 3 (large text and UI components). APCA Lc is positive for dark text on light backgrounds and negative for light text on dark; |Lc| ≥ 75 suits body text, ≥ 60 content text, ≥ 45 large text, ≥ 30 non-text UI.
+
+Passing pairs:
+${counts.join('\n')}`;
+}
+
+module.exports = {
+    WCAG_THRESHOLDS,
+    wcagContrast,
+    apcaContrast,
+    wcagLevels,
+    resolvePalettes,
+    parseContrastTarget,
+    applyContrastTargets,
+    describeContrastTargets,
+    contrastMatrix,
+    formatContrastMatrix,
+};
@@ -0,0 +1,196 @@
+const vscode = require('vscode');
+const chroma = require('chroma-js');
+const { findNearestTailwindColors } = require('../color-engine');
+const { GROUP_DELTA_E, findColorLiterals, groupSimilarColors, tokenReplacement } = require('../color-audit');
+
+const SOURCE_GLOB = '**/*.{html,htm,css,scss,sass,less,js,jsx,ts,tsx,vue,svelte,astro}';
+
+// Generated, vendored and minified files, and the configs defining the palettes
+const EXCLUDE_GLOB = '{**/node_modules/**,**/dist/**,**/build/**,**/out/**,**/coverage/**,**/*.min.*,**/tailwind.config.*}';
+
+const MAX_FILES = 2000;
+
+const DIAGNOSTIC_CODE = 'hard-coded-color';
+
+/**
+ * Workspace scan for hard-coded colors. Each one becomes a diagnostic in the
+ * Problems panel with quick fixes to the closest token of the palettes the
+ * scan was run against.
+ */
+class ColorAudit {
+    constructor() {
+        this.diagnostics = vscode.languages.createDiagnosticCollection('tailwind-color-audit');
+        this.tokens = {};
+        this.groups = [];
+    }
+
+    // Scan the workspace against `palettes` (generateTailwindPalette results).
+    // Returns the JSON-ready report.
+    async run(palettes, progress, cancellation) {
+        this.tokens = Object.fromEntries(palettes.flatMap(({ name, palette }) =>
+            Object.entries(palette).map(([shade, hex]) => [`${name}-${shade}`, hex])
+        ));
+        this.diagnostics.clear();
+
+        const files = await vscode.workspace.findFiles(SOURCE_GLOB, EXCLUDE_GLOB, MAX_FILES);
+        const occurrences = [];
+        for (const uri of files) {
+            if (cancellation && cancellation.isCancellationRequested) break;
+            progress.report({ message: vscode.workspace.asRelativePath(uri), increment: 100 / files.length });
+
+            try {
+                const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+                findColorLiterals(text).forEach(literal => occurrences.push({ ...literal, uri, file: vscode.workspace.asRelativePath(uri) }));
+            } catch (error) {
+                console.error(`Could not scan ${uri.fsPath}: ${error.message}`);
+            }
+        }
+
+        this.groups = groupSimilarColors(occurrences).map(group => ({
+            ...group,
+            token: findNearestTailwindColors(group.hex, { colors: this.tokens })[0],
+        }));
+
+        const byFile = new Map();
+        occurrences.forEach(occurrence => {
+            const key = occurrence.uri.toString();
+            if (!byFile.has(key)) byFile.set(key, { uri: occurrence.uri, literals: [] });
+            byFile.get(key).literals.push(occurrence);
+        });
+        byFile.forEach(({ uri, literals }) => this.diagnostics.set(uri, literals.map(literal => this.diagnose(literal))));
+
+        return this.buildReport(palettes, files.length, occurrences);
+    }
+
+    // Group of similar colors a literal belongs to, if any
+    findGroup(literal) {
+        return this.groups.find(group => group.colors.some(color => color.hex === literal.hex))
+            || this.groups.find(group => chroma.deltaE(group.hex, literal.hex) <= GROUP_DELTA_E);
+    }
+
+    diagnose(literal) {
+        const group = this.findGroup(literal);
+        const token = group ? group.token : findNearestTailwindColors(literal.hex, { colors: this.tokens })[0];
+        const similar = group && group.colors.length > 1
+            ? ` Similar colors: ${group.colors.map(color => color.hex).join(', ')} (${group.occurrences.length} uses).`
+            : '';
+
+        const range = new vscode.Range(literal.line, literal.column, literal.line, literal.column + literal.text.length);
+        const diagnostic = new vscode.Diagnostic(
+            range,
+            `Hard-coded color ${literal.text}: closest palette token is ${token.name} (ΔE ${round(chroma.deltaE(literal.hex, token.hex))}).${similar}`,
+            vscode.DiagnosticSeverity.Information
+        );
+        diagnostic.source = 'Tailwind Color Generator';
+        diagnostic.code = DIAGNOSTIC_CODE;
+        return diagnostic;
+    }
+
+    // Re-check a scanned document after it changes so fixed colors drop out
+    refresh(document) {
+        if (!this.diagnostics.has(document.uri)) return;
+        this.diagnostics.set(document.uri, findColorLiterals(document.getText()).map(literal => this.diagnose(literal)));
+    }
+
+    buildReport(palettes, fileCount, occurrences) {
+        return {
+            generatedAt: new Date().toISOString(),
+            palettes: palettes.map(({ name, palette }) => ({ name, shades: palette })),
+            summary: {
+                filesScanned: fileCount,
+                filesWithColors: new Set(occurrences.map(occurrence => occurrence.file)).size,
+                occurrences: occurrences.length,
+                distinctColors: new Set(occurrences.map(occurrence => occurrence.hex)).size,
+                groups: this.groups.length,
+            },
+            groups: this.groups.map(group => ({
+                color: group.hex,
+                token: { name: group.token.name, hex: group.token.hex, deltaE: group.token.deltaE },
+                count: group.occurrences.length,
+                colors: group.colors,
+                occurrences: group.occurrences.map(occurrence => ({
+                    file: occurrence.file,
+                    line: occurrence.line + 1,
+                    column: occurrence.column + 1,
+                    text: occurrence.text,
+                    replacement: tokenReplacement(occurrence, group.token.name),
+                })),
+            })),
+        };
+    }
+
+    clear() {
+        this.diagnostics.clear();
+        this.groups = [];
+    }
+
+    dispose() {
+        this.diagnostics.dispose();
+    }
+}
+
+/**
+ * Quick fixes for audit diagnostics: the token for the color's group, and
+ * the color's own closest token when that differs.
+ */
+class ColorAuditFixProvider {
+    constructor(audit) {
+        this.audit = audit;
+    }
+
+    provideCodeActions(document, range, context) {
+        const actions = [];
+
+        context.diagnostics
+            .filter(diagnostic => diagnostic.code === DIAGNOSTIC_CODE)
+            .forEach(diagnostic => {
+                const { start } = diagnostic.range;
+                const literal = findColorLiterals(document.lineAt(start.line).text)
+                    .find(candidate => candidate.column === start.character);
+                if (!literal) return;
+
+                const group = this.audit.findGroup({ ...literal, line: start.line });
+                const tokens = [
+                    group && group.token,
+                    findNearestTailwindColors(literal.hex, { colors: this.audit.tokens })[0],
+                ].filter(Boolean).filter((token, index, all) => all.findIndex(other => other.name === token.name) === index);
+
+                tokens.forEach((token, index) => {
+                    const replacement = tokenReplacement(literal, token.name);
+                    const action = new vscode.CodeAction(`Replace ${literal.text} with ${replacement} (ΔE ${round(chroma.deltaE(literal.hex, token.hex))})`, vscode.CodeActionKind.QuickFix);
+                    action.edit = new vscode.WorkspaceEdit();
+                    action.edit.replace(document.uri, diagnostic.range, replacement);
+                    action.diagnostics = [diagnostic];
+                    action.isPreferred = index === 0;
+                    actions.push(action);
+                });
+            });
+
+        return actions;
+    }
+}
+
+ColorAuditFixProvider.providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Create the audit and hook its quick fixes and refreshes into the editor
+function registerColorAudit(context) {
+    const audit = new ColorAudit();
+
+    context.subscriptions.push(
+        audit,
+        vscode.languages.registerCodeActionsProvider({ scheme: 'file' }, new ColorAuditFixProvider(audit), {
+            providedCodeActionKinds: ColorAuditFixProvider.providedCodeActionKinds,
+        }),
+        vscode.workspace.onDidChangeTextDocument(event => audit.refresh(event.document))
+    );
+
+    return audit;
+}
+
+module.exports = {
+    registerColorAudit,
+};
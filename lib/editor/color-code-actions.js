@@ -0,0 +1,155 @@
+const vscode = require('vscode');
+const { parseColor, isValidColor, findNearestTailwindColors } = require('../color-engine');
+const { findColorClasses } = require('../tailwind-classes');
+const { LANGUAGES } = require('./color-decorations');
+
+// Languages where color literals are offered as palette seeds: the class
+// languages plus stylesheets and plain scripts (e.g. a Tailwind config)
+const LITERAL_LANGUAGES = [...LANGUAGES, 'css', 'scss', 'less', 'postcss', 'javascript', 'typescript'];
+
+// Hex colors and CSS color functions, e.g. `#3a7bd5` or `oklch(62% 0.19 260)`
+const LITERAL_PATTERN = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\([^()]*\)/gi;
+
+// What a literal is assigned to: `--brand-500:`, `brand:`, `"brand":`
+const ASSIGNMENT_PATTERN = /(?:--([\w-]+)|["']?([A-Za-z_$][\w$-]*|\d+)["']?)\s*[:=]\s*["'`]?$/;
+
+// An object key opening a nested object, e.g. `brand: {`
+const OBJECT_KEY_PATTERN = /["']?([A-Za-z_$][\w$-]*)["']?\s*:\s*\{\s*$/;
+
+// Named colors close enough to stand in for `value`, nearest first, from the
+// workspace's colors (Tailwind's defaults, saved palettes and the project's own)
+async function findReplacements(value, workspaceColors) {
+    const maxDeltaE = vscode.workspace.getConfiguration('tailwindColorGenerator').get('snapMaxDeltaE', 5);
+    const colors = await workspaceColors.getColors();
+
+    return findNearestTailwindColors(value, { colors, limit: 2 })
+        .filter(({ deltaE }) => deltaE <= maxDeltaE)
+        .map(match => ({ ...match, origin: workspaceColors.getSource(match.name) || 'workspace palette' }));
+}
+
+// Whether a class on `line` overlaps the requested range
+function intersects(match, line, range) {
+    const from = line === range.start.line ? range.start.character : 0;
+    const to = line === range.end.line ? range.end.character : Infinity;
+    return match.start <= to && from <= match.end;
+}
+
+/**
+ * Offers to replace arbitrary color classes such as `text-[#3a7bd5]` with
+ * the nearest named utility.
+ */
+class SnapToPaletteProvider {
+    constructor(workspaceColors) {
+        this.workspaceColors = workspaceColors;
+    }
+
+    async provideCodeActions(document, range) {
+        const actions = [];
+
+        for (let line = range.start.line; line <= range.end.line; line++) {
+            const matches = findColorClasses(document.lineAt(line).text, {})
+                .filter(match => match.arbitrary && intersects(match, line, range));
+
+            for (const match of matches) {
+                const body = `${match.utility}-${match.name}`;
+                const start = match.end - match.className.length + match.className.indexOf(body);
+                const alpha = parseColor(match.value).alpha();
+                // Keep the transparency of an arbitrary value like `bg-[#3a7bd580]`
+                const opacity = alpha < 1 && !match.className.includes('/') ? `/${Math.round(alpha * 100)}` : '';
+
+                (await findReplacements(match.value, this.workspaceColors)).forEach(({ name, deltaE, origin }, index) => {
+                    const replacement = `${match.utility}-${name}${opacity}`;
+                    const action = new vscode.CodeAction(`Replace ${body} with ${replacement} (ΔE ${deltaE}, ${origin})`, vscode.CodeActionKind.RefactorRewrite);
+                    action.edit = new vscode.WorkspaceEdit();
+                    action.edit.replace(document.uri, new vscode.Range(line, start, line, start + body.length), replacement);
+                    action.isPreferred = index === 0;
+                    actions.push(action);
+                });
+            }
+        }
+
+        return actions;
+    }
+}
+
+SnapToPaletteProvider.providedCodeActionKinds = [vscode.CodeActionKind.RefactorRewrite];
+
+// Color literals on a line as `{ value, start, end }`, including the value
+// of arbitrary classes such as `bg-[#3a7bd5]`
+function findLiteralsOnLine(text) {
+    const literals = findColorClasses(text, {})
+        .filter(match => match.arbitrary)
+        .map(match => ({ value: match.value, start: match.end - match.className.length, end: match.end, className: true }));
+
+    LITERAL_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = LITERAL_PATTERN.exec(text)) !== null) {
+        const inClass = literals.some(literal => literal.className && literal.start <= match.index && match.index < literal.end);
+        if (!inClass && isValidColor(match[0])) {
+            literals.push({ value: match[0], start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return literals;
+}
+
+// Palette name suggested by what the literal is assigned to: the CSS
+// variable or object key, without a `color-` prefix or shade suffix. A bare
+// shade key (`500: '#...'`) takes the name of its enclosing object.
+// Arbitrary classes have no such name.
+function nameNear(document, line, start) {
+    const match = ASSIGNMENT_PATTERN.exec(document.lineAt(line).text.slice(0, start));
+    if (!match) return undefined;
+
+    let name = (match[1] || match[2]).replace(/^colors?-/, '');
+    if (/^\d+$/.test(name)) {
+        for (let above = line - 1; above >= Math.max(0, line - 20); above--) {
+            const key = OBJECT_KEY_PATTERN.exec(document.lineAt(above).text);
+            if (key) return key[1];
+        }
+        return undefined;
+    }
+    name = name.replace(/-(?:50|[1-9]00|950)$/, '');
+    return /^[A-Za-z][\w-]*$/.test(name) && !['DEFAULT', 'color', 'background', 'backgroundColor'].includes(name) ? name : undefined;
+}
+
+/**
+ * Offers to generate a Tailwind palette from the color literal under the
+ * cursor, through the Generate Color Palette command.
+ */
+class GeneratePaletteProvider {
+    provideCodeActions(document, range) {
+        if (range.start.line !== range.end.line) return [];
+
+        const { line } = range.start;
+        return findLiteralsOnLine(document.lineAt(line).text)
+            .filter(literal => literal.start <= range.end.character && range.start.character <= literal.end)
+            .slice(0, 1)
+            .map(literal => {
+                const action = new vscode.CodeAction('Generate Tailwind palette from this color', vscode.CodeActionKind.Refactor);
+                action.command = {
+                    command: 'tailwind-color-generator.generatePalette',
+                    title: 'Generate Tailwind palette from this color',
+                    arguments: [{ baseColor: literal.value, name: literal.className ? undefined : nameNear(document, line, literal.start), line }],
+                };
+                return action;
+            });
+    }
+}
+
+GeneratePaletteProvider.providedCodeActionKinds = [vscode.CodeActionKind.Refactor];
+
+function registerColorCodeActions(context, workspaceColors) {
+    const selector = LANGUAGES.map(language => ({ language }));
+    context.subscriptions.push(
+        vscode.languages.registerCodeActionsProvider(selector, new SnapToPaletteProvider(workspaceColors), {
+            providedCodeActionKinds: SnapToPaletteProvider.providedCodeActionKinds,
+        }),
+        vscode.languages.registerCodeActionsProvider(LITERAL_LANGUAGES.map(language => ({ language })), new GeneratePaletteProvider(), {
+            providedCodeActionKinds: GeneratePaletteProvider.providedCodeActionKinds,
+        })
+    );
+}
+
+module.exports = {
+    registerColorCodeActions,
+};
@@ -0,0 +1,152 @@
+const vscode = require('vscode');
+const chroma = require('chroma-js');
+const { parseColor, analyzeColor } = require('../color-engine');
+const { findColorClasses } = require('../tailwind-classes');
+
+// Languages where Tailwind classes get swatches and hovers
+const LANGUAGES = ['html', 'javascriptreact', 'typescriptreact', 'vue', 'svelte'];
+
+const UPDATE_DELAY = 250;
+
+function isEnabled() {
+    return vscode.workspace.getConfiguration('tailwindColorGenerator').get('colorDecorators', true);
+}
+
+function applyOpacity(value, opacity) {
+    const color = parseColor(value);
+    return color.alpha(color.alpha() * opacity);
+}
+
+/**
+ * Draws a swatch in front of every resolvable Tailwind color class in the
+ * visible editors.
+ */
+class ColorDecorationController {
+    constructor(workspaceColors) {
+        this.workspaceColors = workspaceColors;
+        this.timers = new Map();
+        this.decorationType = vscode.window.createTextEditorDecorationType({
+            before: {
+                contentText: ' ',
+                width: '0.8em',
+                height: '0.8em',
+                margin: '0.1em 0.2em 0 0.2em',
+                border: '1px solid',
+                borderColor: new vscode.ThemeColor('editorWidget.border'),
+            },
+        });
+    }
+
+    async update(editor) {
+        if (!LANGUAGES.includes(editor.document.languageId) || !isEnabled()) {
+            editor.setDecorations(this.decorationType, []);
+            return;
+        }
+
+        // Runs on every edit without anyone awaiting it, so a color source
+        // that fails to load clears the swatches instead of rejecting
+        try {
+            const colors = await this.workspaceColors.getColors();
+            const { document } = editor;
+            const decorations = findColorClasses(document.getText(), colors).map(match => ({
+                range: new vscode.Range(document.positionAt(match.start), document.positionAt(match.end)),
+                renderOptions: {
+                    before: { backgroundColor: applyOpacity(match.value, match.opacity).css() },
+                },
+            }));
+
+            editor.setDecorations(this.decorationType, decorations);
+        } catch (error) {
+            console.error(`Could not update color swatches: ${error.message}`);
+            editor.setDecorations(this.decorationType, []);
+        }
+    }
+
+    updateVisible() {
+        vscode.window.visibleTextEditors.forEach(editor => this.update(editor));
+    }
+
+    // Debounced refresh after edits
+    scheduleUpdate(document) {
+        const key = document.uri.toString();
+        clearTimeout(this.timers.get(key));
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+            vscode.window.visibleTextEditors
+                .filter(editor => editor.document === document)
+                .forEach(editor => this.update(editor));
+        }, UPDATE_DELAY));
+    }
+
+    dispose() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.decorationType.dispose();
+    }
+}
+
+/**
+ * Shows conversions and contrast figures when hovering a color class.
+ */
+class ColorHoverProvider {
+    constructor(workspaceColors) {
+        this.workspaceColors = workspaceColors;
+    }
+
+    async provideHover(document, position) {
+        if (!isEnabled()) return null;
+
+        const line = document.lineAt(position.line);
+        const colors = await this.workspaceColors.getColors();
+        const match = findColorClasses(line.text, colors)
+            .find(candidate => candidate.start <= position.character && position.character <= candidate.end);
+        if (!match) return null;
+
+        const color = applyOpacity(match.value, match.opacity);
+        const analysis = analyzeColor(color.alpha(1));
+        // Translucent colors are judged as they render over each background
+        const overWhite = chroma.mix('white', color.alpha(1), match.opacity, 'rgb');
+        const overBlack = chroma.mix('black', color.alpha(1), match.opacity, 'rgb');
+        const origin = match.arbitrary ? 'arbitrary value' : this.workspaceColors.getSource(match.name) || 'Tailwind config';
+
+        const markdown = new vscode.MarkdownString();
+        markdown.appendMarkdown(`**\`${match.utility}-${match.name}\`** — ${origin}`);
+        if (match.opacity < 1) {
+            markdown.appendMarkdown(` at ${Math.round(match.opacity * 100)}% opacity`);
+        }
+        markdown.appendMarkdown('\n\n| | |\n|---|---|\n');
+        markdown.appendMarkdown(`| Hex | \`${analysis.hex}\` |\n`);
+        markdown.appendMarkdown(`| RGB | \`${analysis.rgb}\` |\n`);
+        markdown.appendMarkdown(`| OKLCH | \`${analysis.oklch}\` |\n`);
+        markdown.appendMarkdown(`| Contrast with white | ${chroma.contrast(overWhite, 'white').toFixed(2)}:1 |\n`);
+        markdown.appendMarkdown(`| Contrast with black | ${chroma.contrast(overBlack, 'black').toFixed(2)}:1 |\n`);
+
+        const range = new vscode.Range(position.line, match.start, position.line, match.end);
+        return new vscode.Hover(markdown, range);
+    }
+}
+
+// Wire the decorations and hovers to editor, document and config events
+function registerColorDecorations(context, workspaceColors) {
+    const controller = new ColorDecorationController(workspaceColors);
+    const selector = LANGUAGES.map(language => ({ language }));
+
+    context.subscriptions.push(
+        controller,
+        vscode.languages.registerHoverProvider(selector, new ColorHoverProvider(workspaceColors)),
+        vscode.window.onDidChangeVisibleTextEditors(() => controller.updateVisible()),
+        vscode.workspace.onDidChangeTextDocument(event => controller.scheduleUpdate(event.document)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('tailwindColorGenerator.colorDecorators')) {
+                controller.updateVisible();
+            }
+        }),
+        workspaceColors.onDidChange(() => controller.updateVisible())
+    );
+
+    controller.updateVisible();
+}
+
+module.exports = {
+    LANGUAGES,
+    registerColorDecorations,
+};
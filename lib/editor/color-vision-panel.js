@@ -0,0 +1,95 @@
+const vscode = require('vscode');
+const { describeConflicts } = require('../color-vision');
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// One row of swatches, the palette's key shade outlined
+function strip(shades, keyShade) {
+    return `<div>${Object.entries(shades).map(([shade, hex]) =>
+        `<span${Number(shade) === keyShade ? ' class="key"' : ''} style="background: ${hex}" title="${shade}: ${hex}"></span>`).join('')}</div>`;
+}
+
+/**
+ * Read-only webview showing each palette as it looks with normal vision and
+ * under every simulated color vision deficiency, with the palette pairs that
+ * become hard to tell apart listed above.
+ */
+class ColorVisionPanel {
+    static show(context, result) {
+        if (!ColorVisionPanel.current) {
+            const panel = vscode.window.createWebviewPanel('tailwindColorVision', 'Color Vision Simulation', vscode.ViewColumn.Beside, {
+                localResourceRoots: [vscode.Uri.joinPath(context.extensionUri, 'media')],
+            });
+            ColorVisionPanel.current = new ColorVisionPanel(panel, context);
+        }
+        ColorVisionPanel.current.render(result);
+        ColorVisionPanel.current.panel.reveal();
+        return ColorVisionPanel.current;
+    }
+
+    constructor(panel, context) {
+        this.panel = panel;
+        this.context = context;
+        this.disposables = [];
+        panel.onDidDispose(() => this.dispose(), null, this.disposables);
+    }
+
+    render(result) {
+        this.panel.webview.html = this.getHtml(this.panel.webview, result);
+    }
+
+    getHtml(webview, result) {
+        const stylesheet = webview.asWebviewUri(vscode.Uri.joinPath(this.context.extensionUri, 'media', 'color-vision.css'));
+        const columns = ['original', ...result.types];
+
+        const rows = result.palettes.map(({ name, keyShade, palette, simulations }) => `
+        <tr>
+            <th class="palette">${escapeHtml(name)}</th>
+            ${[palette, ...result.types.map(type => simulations[type])].map(shades => `<td class="strip">${strip(shades, keyShade)}</td>`).join('')}
+        </tr>`).join('');
+
+        const conflicts = result.conflicts.length === 0
+            ? `<p class="ok">${escapeHtml(describeConflicts(result))}</p>`
+            : `<ul class="conflicts">${result.conflicts.map(({ type, tokens, simulated, deltaE, originalDeltaE }) => `
+            <li><span class="swatch" style="background: ${simulated[0]}"></span> <span class="swatch" style="background: ${simulated[1]}"></span>
+                ${escapeHtml(tokens[0])} and ${escapeHtml(tokens[1])} with ${type}: ΔE ${deltaE} (${originalDeltaE} with normal vision)</li>`).join('')}
+        </ul>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link href="${stylesheet}" rel="stylesheet">
+    <title>Color Vision Simulation</title>
+</head>
+<body>
+    <h2>Hard to tell apart (ΔE below ${result.threshold})</h2>
+    ${conflicts}
+
+    <h2>Palettes</h2>
+    <table>
+        <tr><th></th>${columns.map(column => `<th>${column}</th>`).join('')}</tr>
+        ${rows}
+    </table>
+
+    <p class="note">Outlined swatches are the shades compared between palettes. Protanopia and deuteranopia use the Machado et al. (2009) matrices, tritanopia the Brettel et al. (1997) projection and achromatopsia relative luminance.</p>
+</body>
+</html>`;
+    }
+
+    dispose() {
+        ColorVisionPanel.current = undefined;
+        this.panel.dispose();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+
+ColorVisionPanel.current = undefined;
+
+module.exports = {
+    ColorVisionPanel,
+};
@@ -0,0 +1,61 @@
+const vscode = require('vscode');
+const { readColorNames, mergePaletteIntoConfig } = require('../tailwind-config');
+
+const CONFIG_GLOB = '**/tailwind.config.{js,cjs,mjs,ts}';
+
+// The workspace's Tailwind config, asking when there are several. Returns
+// undefined when there is none or the pick is cancelled.
+async function pickTailwindConfig() {
+    const configFiles = await vscode.workspace.findFiles(CONFIG_GLOB, '**/node_modules/**', 20);
+    if (configFiles.length === 0) {
+        vscode.window.showErrorMessage('No tailwind.config.{js,cjs,mjs,ts} found in this workspace');
+        return undefined;
+    }
+    if (configFiles.length === 1) return configFiles[0];
+
+    const picked = await vscode.window.showQuickPick(
+        configFiles.map(uri => ({ label: vscode.workspace.asRelativePath(uri), uri })),
+        { placeHolder: 'Select the Tailwind config to update' }
+    );
+    return picked && picked.uri;
+}
+
+// Merge a generated palette into theme.extend.colors of `configUri`, asking
+// before an existing color is replaced. Every change goes into one
+// WorkspaceEdit so a single undo reverts it. Returns whether it was written.
+async function writePaletteToConfig(configUri, palette, options = {}) {
+    const document = await vscode.workspace.openTextDocument(configUri);
+    const source = document.getText();
+    const configName = vscode.workspace.asRelativePath(configUri);
+
+    let overwrite = false;
+    if (readColorNames(source).includes(palette.name)) {
+        const choice = await vscode.window.showWarningMessage(
+            `"${palette.name}" already exists in theme.extend.colors of ${configName}. Overwrite it?`,
+            { modal: true },
+            'Overwrite'
+        );
+        if (choice !== 'Overwrite') return false;
+        overwrite = true;
+    }
+
+    const result = mergePaletteIntoConfig(source, [palette], { overwrite, colorSpace: options.colorSpace });
+    const workspaceEdit = new vscode.WorkspaceEdit();
+    result.edits.forEach(({ start, end, text }) => {
+        workspaceEdit.replace(configUri, new vscode.Range(document.positionAt(start), document.positionAt(end)), text);
+    });
+
+    if (!await vscode.workspace.applyEdit(workspaceEdit)) {
+        vscode.window.showErrorMessage(`Could not update ${configName}`);
+        return false;
+    }
+
+    await vscode.window.showTextDocument(document);
+    vscode.window.showInformationMessage(`✅ ${overwrite ? 'Replaced' : 'Added'} ${palette.name} palette in ${configName}`);
+    return true;
+}
+
+module.exports = {
+    pickTailwindConfig,
+    writePaletteToConfig,
+};
@@ -0,0 +1,286 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const {
+    TAILWIND_SHADES,
+    ALGORITHMS,
+    FORMATS,
+    COLOR_SPACES,
+    wcagLabel,
+    parseColor,
+    generateTailwindPalette,
+    generateTailwindConfig,
+} = require('../color-engine');
+const { apcaContrast, wcagContrast, applyContrastTargets, describeContrastTargets } = require('../contrast');
+const { PALETTE_NAME_PATTERN } = require('../palette-registry');
+const { pickTailwindConfig, writePaletteToConfig } = require('./config-writer');
+
+const DEFAULT_STATE = {
+    baseColor: '#3B82F6',
+    name: 'primary',
+    algorithm: 'hsl',
+    hueShift: 0,
+    anchorShade: 'auto',
+    format: 'js',
+    colorSpace: 'hex',
+    contrastTargets: [],
+    locks: {},
+};
+
+// Palette for the editor's state, built with the same generator, contrast
+// solver and exporter as the tools. Locked shades keep their color, and are
+// never moved by the contrast targets. The name becomes config keys and CSS
+// variables, so it is held to the registry's rules.
+function buildPalette(state) {
+    const name = state.name || 'primary';
+    if (!PALETTE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid palette name "${name}": use letters, digits, dashes and underscores, starting with a letter`);
+    }
+    const result = generateTailwindPalette(state.baseColor, name, {
+        algorithm: state.algorithm,
+        hueShift: Number(state.hueShift) || 0,
+        anchorShade: state.anchorShade,
+    });
+    const locked = Object.keys(state.locks);
+    locked.forEach(shade => {
+        result.palette[shade] = parseColor(state.locks[shade]).hex();
+    });
+    return applyContrastTargets(result, state.contrastTargets, { locked });
+}
+
+function contrastBadge(text, background) {
+    const ratio = wcagContrast(text, background);
+    return {
+        ratio: Math.floor(ratio * 100) / 100,
+        label: wcagLabel(ratio),
+        apca: Number(apcaContrast(text, background).toFixed(1)),
+    };
+}
+
+// What the webview draws for a state, or the error to show instead
+function renderState(state) {
+    try {
+        const palette = buildPalette(state);
+        const moved = new Set(palette.adjustments.map(({ shade }) => String(shade)));
+        return {
+            baseHex: parseColor(state.baseColor).hex().slice(0, 7),
+            anchorShade: palette.anchorShade,
+            shades: TAILWIND_SHADES.map(shade => ({
+                shade,
+                hex: palette.palette[shade],
+                locked: Object.prototype.hasOwnProperty.call(state.locks, shade),
+                adjusted: moved.has(String(shade)),
+                white: contrastBadge('#ffffff', palette.palette[shade]),
+                black: contrastBadge('#000000', palette.palette[shade]),
+            })),
+            output: generateTailwindConfig([palette], state.format, { colorSpace: state.colorSpace }),
+            contrast: state.contrastTargets.length > 0 ? describeContrastTargets(palette) : '',
+        };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+function getNonce() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Webview for building a palette interactively: base color, algorithm,
+ * per-shade locks and tweaks, contrast badges and light/dark previews, with
+ * the result inserted, copied or written to the Tailwind config.
+ */
+class PaletteEditorPanel {
+    static show(context, initial = {}) {
+        const targetEditor = vscode.window.activeTextEditor;
+        if (PaletteEditorPanel.current) {
+            PaletteEditorPanel.current.targetEditor = targetEditor || PaletteEditorPanel.current.targetEditor;
+            PaletteEditorPanel.current.setState({ ...PaletteEditorPanel.current.state, ...initial, locks: {} });
+            PaletteEditorPanel.current.panel.reveal();
+            return PaletteEditorPanel.current;
+        }
+
+        const panel = vscode.window.createWebviewPanel('tailwindPaletteEditor', 'Palette Editor', vscode.ViewColumn.Beside, {
+            enableScripts: true,
+            localResourceRoots: [vscode.Uri.joinPath(context.extensionUri, 'media')],
+        });
+        PaletteEditorPanel.current = new PaletteEditorPanel(panel, context, targetEditor, { ...DEFAULT_STATE, ...initial });
+        return PaletteEditorPanel.current;
+    }
+
+    constructor(panel, context, targetEditor, state) {
+        this.panel = panel;
+        this.context = context;
+        this.targetEditor = targetEditor;
+        this.state = state;
+        this.disposables = [];
+
+        panel.webview.html = this.getHtml(panel.webview);
+        panel.onDidDispose(() => this.dispose(), null, this.disposables);
+        panel.webview.onDidReceiveMessage(message => this.handleMessage(message), null, this.disposables);
+    }
+
+    setState(state) {
+        this.state = state;
+        this.panel.webview.postMessage({ type: 'render', state, result: renderState(state) });
+    }
+
+    async handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.setState(this.state);
+                break;
+            case 'update':
+                this.setState({ ...this.state, ...message.state });
+                break;
+            case 'insert':
+                await this.insert();
+                break;
+            case 'copy':
+                await this.copy();
+                break;
+            case 'writeConfig':
+                await this.writeConfig();
+                break;
+        }
+    }
+
+    // The palette and its export text, or null after reporting why not
+    export() {
+        try {
+            const palette = buildPalette(this.state);
+            return { palette, text: generateTailwindConfig([palette], this.state.format, { colorSpace: this.state.colorSpace }) };
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error generating palette: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Keep what was used in the palette registry, with the options and locks
+    // that regenerate it
+    async record(palette) {
+        if (!PaletteEditorPanel.registry) return;
+        const { baseColor, algorithm, hueShift, anchorShade, contrastTargets, locks } = this.state;
+        try {
+            await PaletteEditorPanel.registry.record(palette.name, baseColor, { algorithm, hueShift, anchorShade, contrastTargets, locks });
+        } catch (error) {
+            vscode.window.showWarningMessage(`Could not save ${palette.name} to the palette registry: ${error.message}`);
+        }
+    }
+
+    async insert() {
+        const editor = vscode.window.visibleTextEditors.includes(this.targetEditor)
+            ? this.targetEditor
+            : vscode.window.visibleTextEditors[0];
+        if (!editor) {
+            vscode.window.showErrorMessage('No open editor to insert the palette into');
+            return;
+        }
+
+        const exported = this.export();
+        if (!exported) return;
+
+        const inserted = await editor.edit(editBuilder => {
+            editBuilder.insert(editor.selection.active, exported.text);
+        });
+        if (!inserted) {
+            vscode.window.showErrorMessage(`Could not insert the palette into ${vscode.workspace.asRelativePath(editor.document.uri)}`);
+            return;
+        }
+        await this.record(exported.palette);
+        vscode.window.showInformationMessage(`✅ Inserted ${exported.palette.name} palette into ${vscode.workspace.asRelativePath(editor.document.uri)}`);
+    }
+
+    async copy() {
+        const exported = this.export();
+        if (!exported) return;
+
+        await vscode.env.clipboard.writeText(exported.text);
+        await this.record(exported.palette);
+        vscode.window.showInformationMessage(`✅ Copied ${exported.palette.name} palette (${this.state.format}) to the clipboard`);
+    }
+
+    async writeConfig() {
+        const exported = this.export();
+        if (!exported) return;
+
+        const configUri = await pickTailwindConfig();
+        if (!configUri) return;
+
+        try {
+            if (await writePaletteToConfig(configUri, exported.palette, { colorSpace: this.state.colorSpace })) {
+                await this.record(exported.palette);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error updating Tailwind config: ${error.message}`);
+        }
+    }
+
+    getHtml(webview) {
+        const media = file => webview.asWebviewUri(vscode.Uri.joinPath(this.context.extensionUri, 'media', file));
+        const nonce = getNonce();
+        const options = values => values.map(value => `<option value="${value}">${value}</option>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link href="${media('palette-editor.css')}" rel="stylesheet">
+    <title>Palette Editor</title>
+</head>
+<body>
+    <section class="controls">
+        <label>Base color
+            <span class="base-color">
+                <input type="color" id="basePicker">
+                <input type="text" id="baseColor" spellcheck="false">
+            </span>
+        </label>
+        <label>Name <input type="text" id="name" spellcheck="false"></label>
+        <label>Algorithm <select id="algorithm">${options(ALGORITHMS)}</select></label>
+        <label>Hue shift <input type="range" id="hueShift" min="-60" max="60" step="5"> <output id="hueShiftValue"></output></label>
+        <label>Anchor shade <select id="anchorShade">${options(['auto', ...TAILWIND_SHADES])}</select></label>
+        <label>Format <select id="format">${options(FORMATS)}</select></label>
+        <label>Color space <select id="colorSpace">${options(COLOR_SPACES)}</select></label>
+        <label class="wide">Contrast targets <input type="text" id="contrastTargets" placeholder="600 on 50 >= 4.5, white on 500 >= AA" spellcheck="false"></label>
+    </section>
+
+    <p id="error" class="error" hidden></p>
+
+    <section id="swatches" class="swatches"></section>
+
+    <section class="previews">
+        <div id="lightPreview" class="preview"></div>
+        <div id="darkPreview" class="preview"></div>
+    </section>
+
+    <section class="actions">
+        <button id="insert">Insert at Cursor</button>
+        <button id="copy" class="secondary">Copy</button>
+        <button id="writeConfig" class="secondary">Write to Tailwind Config</button>
+    </section>
+
+    <pre id="contrast" class="output" hidden></pre>
+    <pre id="output" class="output"></pre>
+
+    <script nonce="${nonce}" src="${media('palette-editor.js')}"></script>
+</body>
+</html>`;
+    }
+
+    dispose() {
+        PaletteEditorPanel.current = undefined;
+        this.panel.dispose();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+
+PaletteEditorPanel.current = undefined;
+
+// The workspace's palette registry, set on activation
+PaletteEditorPanel.registry = undefined;
+
+module.exports = {
+    PaletteEditorPanel,
+};
@@ -0,0 +1,179 @@
+const vscode = require('vscode');
+const path = require('path');
+const {
+    REGISTRY_FILE_NAME,
+    emptyRegistry,
+    parseRegistry,
+    serializeRegistry,
+    savePalette,
+    getPalette,
+    describeRegistryPalette,
+} = require('../palette-registry');
+
+// The registry file for the first workspace folder, from the
+// `tailwindColorGenerator.registryPath` setting, or undefined without a folder
+function getRegistryUri() {
+    const folder = (vscode.workspace.workspaceFolders || [])[0];
+    const setting = vscode.workspace.getConfiguration('tailwindColorGenerator').get('registryPath') || REGISTRY_FILE_NAME;
+    if (path.isAbsolute(setting)) return vscode.Uri.file(setting);
+    return folder ? vscode.Uri.joinPath(folder.uri, setting) : undefined;
+}
+
+/**
+ * The workspace's palette registry file. Reads are fresh each time, so edits
+ * made by hand or by the MCP server are picked up; every change, ours or
+ * on disk, fires `onDidChange`.
+ */
+class PaletteRegistry {
+    constructor() {
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChange = this.changeEmitter.event;
+        this.watch();
+
+        this.configListener = vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('tailwindColorGenerator.registryPath')) {
+                this.watcher.dispose();
+                this.watch();
+                this.changeEmitter.fire();
+            }
+        });
+    }
+
+    watch() {
+        const uri = getRegistryUri();
+        const fire = () => this.changeEmitter.fire();
+        this.watcher = vscode.workspace.createFileSystemWatcher(uri ? uri.fsPath : `**/${REGISTRY_FILE_NAME}`);
+        this.watcher.onDidChange(fire);
+        this.watcher.onDidCreate(fire);
+        this.watcher.onDidDelete(fire);
+    }
+
+    get uri() {
+        return getRegistryUri();
+    }
+
+    refresh() {
+        this.changeEmitter.fire();
+    }
+
+    // The registry, or an empty one until the first palette is saved
+    async read() {
+        const uri = this.uri;
+        if (!uri) return emptyRegistry();
+        try {
+            return parseRegistry(Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8'));
+        } catch (error) {
+            if (error.code === 'FileNotFound') return emptyRegistry();
+            throw error;
+        }
+    }
+
+    // Apply `change` (registry to new registry) and write the result
+    async update(change) {
+        const uri = this.uri;
+        if (!uri) {
+            throw new Error('Open a folder to keep a palette registry');
+        }
+        const registry = change(await this.read());
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(serializeRegistry(registry), 'utf8'));
+        this.changeEmitter.fire();
+        return registry;
+    }
+
+    // Keep a generated palette, unless `tailwindColorGenerator.savePalettes`
+    // is off or there is no folder to keep it in. Returns whether it was saved.
+    async record(name, baseColor, options) {
+        if (!vscode.workspace.getConfiguration('tailwindColorGenerator').get('savePalettes', true) || !this.uri) {
+            return false;
+        }
+        await this.update(registry => savePalette(registry, name, baseColor, options).registry);
+        return true;
+    }
+
+    dispose() {
+        this.watcher.dispose();
+        this.configListener.dispose();
+        this.changeEmitter.dispose();
+    }
+}
+
+// A square swatch for tree items, as an SVG data URI
+function swatchIcon(hex) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><rect x="1" y="1" width="14" height="14" rx="2" fill="${hex}" stroke="#80808080"/></svg>`;
+    return vscode.Uri.parse(`data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`);
+}
+
+function swatchItems(name, shades) {
+    return Object.entries(shades).map(([shade, hex]) => {
+        const item = new vscode.TreeItem(shade, vscode.TreeItemCollapsibleState.None);
+        item.description = hex;
+        item.tooltip = `${name}-${shade}: ${hex}`;
+        item.iconPath = swatchIcon(hex);
+        item.contextValue = 'swatch';
+        return item;
+    });
+}
+
+/**
+ * Explorer view of the registry: a node per palette with its base color and
+ * algorithm, expanding to its swatches (and its dark scale, if it has one).
+ */
+class PaletteTreeProvider {
+    constructor(registry) {
+        this.registry = registry;
+        this.onDidChangeTreeData = registry.onDidChange;
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    async getChildren(element) {
+        if (element) return element.children || [];
+
+        let registry;
+        try {
+            registry = await this.registry.read();
+        } catch (error) {
+            const item = new vscode.TreeItem(`Cannot read ${vscode.workspace.asRelativePath(this.registry.uri)}`, vscode.TreeItemCollapsibleState.None);
+            item.description = error.message;
+            item.iconPath = new vscode.ThemeIcon('warning');
+            return [item];
+        }
+
+        return Object.keys(registry.palettes).map(name => {
+            const { palette, dark, baseColor, algorithm } = getPalette(registry, name);
+            const item = new vscode.TreeItem(name, vscode.TreeItemCollapsibleState.Collapsed);
+            item.description = `${baseColor} · ${algorithm}`;
+            item.tooltip = describeRegistryPalette(registry, name);
+            item.iconPath = swatchIcon(palette[500] || Object.values(palette)[0]);
+            item.contextValue = 'palette';
+            item.paletteName = name;
+            item.children = swatchItems(name, palette);
+            if (dark) {
+                const darkItem = new vscode.TreeItem('dark', vscode.TreeItemCollapsibleState.Collapsed);
+                darkItem.iconPath = new vscode.ThemeIcon('color-mode');
+                darkItem.children = swatchItems(`${name}-dark`, dark);
+                item.children.push(darkItem);
+            }
+            return item;
+        });
+    }
+}
+
+// Create the registry and its Explorer view
+function registerPaletteRegistry(context) {
+    const registry = new PaletteRegistry();
+    const treeView = vscode.window.createTreeView('tailwindColorGenerator.palettes', {
+        treeDataProvider: new PaletteTreeProvider(registry),
+        showCollapseAll: true,
+    });
+
+    context.subscriptions.push(registry, treeView);
+    return registry;
+}
+
+module.exports = {
+    getRegistryUri,
+    registerPaletteRegistry,
+};
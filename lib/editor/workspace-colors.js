@@ -0,0 +1,117 @@
+const vscode = require('vscode');
+const { readConfigColors } = require('../tailwind-config');
+const { colorClassNames, readThemeColors } = require('../tailwind-classes');
+const { TAILWIND_COLORS } = require('../tailwind-defaults');
+const { getPalette } = require('../palette-registry');
+
+const CONFIG_GLOB = '**/tailwind.config.{js,cjs,mjs,ts}';
+
+// Stylesheets that may hold a Tailwind v4 `@theme` block
+const STYLESHEET_GLOB = '**/*.{css,pcss,postcss}';
+
+const EXCLUDE_GLOB = '**/node_modules/**';
+
+/**
+ * Every color the workspace's classes can use, keyed by class name
+ * (`primary-600`): Tailwind's defaults for the `tailwindVersion` setting,
+ * then the palettes saved in the registry, then the colors of
+ * `tailwind.config.*` files and finally `@theme` variables in stylesheets,
+ * each layer overriding the names it redefines. Loaded lazily and reloaded
+ * whenever one of those sources changes.
+ */
+class WorkspaceColors {
+    constructor(paletteRegistry) {
+        this.paletteRegistry = paletteRegistry;
+        this.loading = null;
+        this.sources = {};
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChange = this.changeEmitter.event;
+
+        const reload = () => {
+            this.loading = null;
+            this.changeEmitter.fire();
+        };
+        this.watchers = [CONFIG_GLOB, STYLESHEET_GLOB].map(glob => {
+            const watcher = vscode.workspace.createFileSystemWatcher(glob);
+            watcher.onDidChange(reload);
+            watcher.onDidCreate(reload);
+            watcher.onDidDelete(reload);
+            return watcher;
+        });
+        this.listeners = [
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('tailwindColorGenerator.tailwindVersion')) reload();
+            }),
+            ...(paletteRegistry ? [paletteRegistry.onDidChange(reload)] : []),
+        ];
+    }
+
+    getColors() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        return this.loading;
+    }
+
+    // Where a color name was defined, for hovers and code actions
+    getSource(name) {
+        return this.sources[name];
+    }
+
+    async load() {
+        const version = vscode.workspace.getConfiguration('tailwindColorGenerator').get('tailwindVersion', 'v3');
+        const colors = {};
+        const sources = {};
+        const layer = (layerColors, source) => Object.entries(layerColors).forEach(([name, value]) => {
+            colors[name] = value;
+            sources[name] = source;
+        });
+
+        layer(colorClassNames(TAILWIND_COLORS[version] || TAILWIND_COLORS.v3), `Tailwind ${version} default`);
+
+        if (this.paletteRegistry) {
+            try {
+                const registry = await this.paletteRegistry.read();
+                Object.keys(registry.palettes).forEach(name => {
+                    layer(colorClassNames({ [name]: getPalette(registry, name).palette }), 'palette registry');
+                });
+            } catch (error) {
+                console.error(`Could not read the palette registry: ${error.message}`);
+            }
+        }
+
+        // Within a layer the first file to define a name wins
+        const readLayer = async (glob, read, maxResults) => {
+            const files = await vscode.workspace.findFiles(glob, EXCLUDE_GLOB, maxResults);
+            const fileColors = {};
+            for (const uri of files) {
+                try {
+                    const source = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+                    Object.entries(read(source)).forEach(([name, value]) => {
+                        if (!(name in fileColors)) {
+                            fileColors[name] = value;
+                            layer({ [name]: value }, vscode.workspace.asRelativePath(uri));
+                        }
+                    });
+                } catch (error) {
+                    console.error(`Could not read colors from ${uri.fsPath}: ${error.message}`);
+                }
+            }
+        };
+        await readLayer(CONFIG_GLOB, readConfigColors, 20);
+        await readLayer(STYLESHEET_GLOB, source => source.includes('@theme') ? readThemeColors(source) : {}, 100);
+
+        this.sources = sources;
+        return colors;
+    }
+
+    dispose() {
+        this.watchers.forEach(watcher => watcher.dispose());
+        this.listeners.forEach(listener => listener.dispose());
+        this.changeEmitter.dispose();
+    }
+}
+
+module.exports = {
+    WorkspaceColors,
+};
@@ -0,0 +1,232 @@
+const { TAILWIND_SHADES, parseColor } = require('./color-engine');
+
+// Palettes in the formats design tools read: W3C Design Tokens (DTCG, as
+// used by Tokens Studio for Figma), Style Dictionary, Adobe Swatch Exchange,
+// GIMP/Inkscape palettes and Procreate swatches. Palettes are generation
+// results (`{ name, palette, dark? }`); a dark scale is exported as a
+// "<name>-dark" group next to the light one.
+
+const EXPORT_FORMATS = ['dtcg', 'style-dictionary', 'ase', 'gpl', 'swatches'];
+
+// Formats that are files rather than text, to be written to disk
+const BINARY_EXPORT_FORMATS = ['ase', 'swatches'];
+
+const EXPORT_EXTENSIONS = {
+    dtcg: 'tokens.json',
+    'style-dictionary': 'json',
+    ase: 'ase',
+    gpl: 'gpl',
+    swatches: 'swatches',
+};
+
+// Procreate shows at most 30 swatches in a palette
+const PROCREATE_MAX_SWATCHES = 30;
+
+// Each palette as `[groupName, [[shade, hex]]]`, with dark scales as their
+// own "<name>-dark" group
+function swatchGroups(palettes) {
+    if (!Array.isArray(palettes) || palettes.length === 0) {
+        throw new Error('At least one palette is required');
+    }
+    return palettes.flatMap(({ name, palette, dark }) => {
+        const entries = scale => TAILWIND_SHADES
+            .filter(shade => scale[shade] !== undefined)
+            .map(shade => [shade, parseColor(scale[shade]).hex()]);
+        return dark ? [[name, entries(palette)], [`${name}-dark`, entries(dark)]] : [[name, entries(palette)]];
+    });
+}
+
+// DTCG token groups, `{ primary: { 50: { $type, $value } } }`. `$type` sits
+// on every token rather than the group, which Tokens Studio also reads.
+function exportDtcg(groups) {
+    const tokens = {};
+    groups.forEach(([name, entries]) => {
+        tokens[name] = Object.fromEntries(entries.map(([shade, hex]) => [shade, { $type: 'color', $value: hex }]));
+    });
+    return JSON.stringify(tokens, null, 2);
+}
+
+// Style Dictionary properties under the "color" category, e.g.
+// `color.primary.500.value`
+function exportStyleDictionary(groups) {
+    const color = {};
+    groups.forEach(([name, entries]) => {
+        color[name] = Object.fromEntries(entries.map(([shade, hex]) => [shade, { value: hex, type: 'color' }]));
+    });
+    return JSON.stringify({ color }, null, 2);
+}
+
+function exportGpl(groups, title) {
+    const lines = ['GIMP Palette', `Name: ${title}`, `Columns: ${TAILWIND_SHADES.length}`, '#'];
+    groups.forEach(([name, entries]) => {
+        entries.forEach(([shade, hex]) => {
+            const [r, g, b] = parseColor(hex).rgb();
+            lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${name}-${shade}`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+// ASE block names: UTF-16BE with a terminating null, preceded by their
+// length in characters including the null
+function aseName(name) {
+    const buffer = Buffer.alloc(2 + (name.length + 1) * 2);
+    buffer.writeUInt16BE(name.length + 1, 0);
+    for (let i = 0; i < name.length; i++) {
+        buffer.writeUInt16BE(name.charCodeAt(i), 2 + i * 2);
+    }
+    return buffer;
+}
+
+function aseBlock(type, body) {
+    const header = Buffer.alloc(6);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt32BE(body.length, 2);
+    return Buffer.concat([header, body]);
+}
+
+// Adobe Swatch Exchange: an "ASEF" header, version 1.0 and a block count,
+// then a group per palette holding one RGB color entry per shade
+function exportAse(groups) {
+    const blocks = [];
+    groups.forEach(([name, entries]) => {
+        blocks.push(aseBlock(0xc001, aseName(name)));
+        entries.forEach(([shade, hex]) => {
+            const color = Buffer.alloc(4 + 12 + 2);
+            color.write('RGB ', 0, 'ascii');
+            parseColor(hex).rgb().forEach((channel, index) => color.writeFloatBE(channel / 255, 4 + index * 4));
+            color.writeUInt16BE(2, 16); // normal (not global or spot)
+            blocks.push(aseBlock(0x0001, Buffer.concat([aseName(`${name}-${shade}`), color])));
+        });
+        blocks.push(aseBlock(0xc002, Buffer.alloc(0)));
+    });
+
+    const header = Buffer.alloc(12);
+    header.write('ASEF', 0, 'ascii');
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(0, 6);
+    header.writeUInt32BE(blocks.length, 8);
+    return Buffer.concat([header, ...blocks]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A zip archive of uncompressed ("stored") files, `[{ name, data }]`. Dates
+// are left at the DOS epoch so the same palette gives the same bytes.
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const fileName = Buffer.from(name, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0, 6); // flags
+        local.writeUInt16LE(0, 8); // stored
+        local.writeUInt16LE(0, 10); // time
+        local.writeUInt16LE(0x21, 12); // date: 1980-01-01
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, fileName, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6); // version needed
+        central.writeUInt16LE(0, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, fileName);
+
+        offset += local.length + fileName.length + data.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// Procreate swatches: a zip holding Swatches.json, one palette of HSB
+// swatches in 0..1. Procreate has no swatch names, so shades go in order.
+function exportProcreate(groups, title) {
+    const colors = groups.flatMap(([, entries]) => entries.map(([, hex]) => parseColor(hex)));
+    if (colors.length > PROCREATE_MAX_SWATCHES) {
+        throw new Error(`Procreate palettes hold at most ${PROCREATE_MAX_SWATCHES} swatches, but these palettes have ${colors.length}: export two palettes (or one with a dark scale) at a time`);
+    }
+    const swatches = colors.map(color => {
+        const [hue, saturation, brightness] = color.hsv();
+        return {
+            hue: Number.isNaN(hue) ? 0 : hue / 360,
+            saturation,
+            brightness,
+            alpha: 1,
+            colorSpace: 0,
+        };
+    });
+    const json = JSON.stringify([{ name: title, swatches }]);
+    return zip([{ name: 'Swatches.json', data: Buffer.from(json, 'utf8') }]);
+}
+
+// Export palettes in `format` (one of EXPORT_FORMATS). Returns
+// `{ content, binary, extension }`: `content` is a string for text formats
+// and a Buffer for binary ones. `options.title` names the palette file in
+// formats that have one (default: the palette names).
+function exportPalettes(palettes, format, options = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown export format "${format}": expected one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    const groups = swatchGroups(palettes);
+    const title = options.title || palettes.map(palette => palette.name).join(', ');
+
+    const exporters = {
+        dtcg: () => exportDtcg(groups),
+        'style-dictionary': () => exportStyleDictionary(groups),
+        ase: () => exportAse(groups),
+        gpl: () => exportGpl(groups, title),
+        swatches: () => exportProcreate(groups, title),
+    };
+    return {
+        content: exporters[format](),
+        binary: BINARY_EXPORT_FORMATS.includes(format),
+        extension: EXPORT_EXTENSIONS[format],
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    BINARY_EXPORT_FORMATS,
+    EXPORT_EXTENSIONS,
+    exportPalettes,
+};
@@ -0,0 +1,456 @@
+const chroma = require('chroma-js');
+const { parseColor, toGamut } = require('./color-engine');
+
+// Gradient stops sampled between two or more colors. Colors are mixed in a
+// chosen interpolation space, with optional easing, color hints and explicit
+// positions per color, then written out as CSS or Tailwind classes. Linear,
+// radial and conic gradients can be stacked as layers.
+
+const GRADIENT_TYPES = ['linear', 'radial', 'conic'];
+
+// Tailwind direction suffixes and the CSS side or corner they stand for
+const DIRECTIONS = {
+    'to-t': 'to top',
+    'to-tr': 'to top right',
+    'to-r': 'to right',
+    'to-br': 'to bottom right',
+    'to-b': 'to bottom',
+    'to-bl': 'to bottom left',
+    'to-l': 'to left',
+    'to-tl': 'to top left',
+};
+
+const RADIAL_SHAPES = ['ellipse', 'circle'];
+
+// CSS position keywords, percentages and lengths, e.g. "top left" or "25% 75%"
+const POSITION_PATTERN = /^(?:(?:center|top|bottom|left|right|-?\d+(?:\.\d+)?(?:%|px|rem|em)?)\s*){1,4}$/;
+
+// Spaces colors can be mixed in. "oklch" takes the shorter way around the
+// hue circle, "oklch-longer" the longer one, as in CSS `in oklch longer hue`.
+const INTERPOLATIONS = ['srgb', 'linear-rgb', 'oklab', 'oklch', 'oklch-longer', 'lab'];
+
+// CSS `<color-interpolation-method>` for each space; sRGB is the default
+const CSS_INTERPOLATION = {
+    srgb: '',
+    'linear-rgb': 'in srgb-linear',
+    oklab: 'in oklab',
+    oklch: 'in oklch',
+    'oklch-longer': 'in oklch longer hue',
+    lab: 'in lab',
+};
+
+// Tailwind v4 interpolation modifiers (`bg-linear-to-r/oklch`). OKLab is
+// v4's own default, so it needs none.
+const TAILWIND_INTERPOLATION = {
+    srgb: 'srgb',
+    'linear-rgb': 'srgb-linear',
+    oklch: 'oklch',
+    'oklch-longer': 'longer',
+    lab: 'lab',
+};
+
+// Ways to write a gradient as Tailwind classes. "stops" uses from-/via-/to-
+// with positions, "arbitrary" a single bg-[...] value and "config" a named
+// backgroundImage entry; "auto" uses stops when they can express it.
+const TAILWIND_STRATEGIES = ['auto', 'stops', 'arbitrary', 'config'];
+
+const BACKGROUND_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// CSS easing keywords as cubic-bezier control points
+const EASINGS = {
+    linear: null,
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+const CUBIC_BEZIER_PATTERN = /^cubic-bezier\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^,)]+)\)$/;
+
+// `color` optionally followed by a position, e.g. "#ff0000 25%"
+const COLOR_STOP_PATTERN = /^(.*?)\s+(-?\d+(?:\.\d+)?)%$/;
+
+// Easing as a function of 0..1, from a keyword or "cubic-bezier(x1, y1, x2, y2)"
+function parseEasing(easing = 'linear') {
+    let points = EASINGS[easing];
+    if (points === undefined) {
+        const match = CUBIC_BEZIER_PATTERN.exec(String(easing).trim());
+        points = match && match.slice(1).map(Number);
+        if (!points || points.some(Number.isNaN) || points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+            throw new Error(`Invalid easing "${easing}": expected one of ${Object.keys(EASINGS).join(', ')} or cubic-bezier(x1, y1, x2, y2) with x1 and x2 between 0 and 1`);
+        }
+    }
+    if (points === null) return t => t;
+
+    const [x1, y1, x2, y2] = points;
+    const bezier = (a, b, t) => 3 * a * t * (1 - t) * (1 - t) + 3 * b * t * t * (1 - t) + t * t * t;
+    return x => {
+        if (x <= 0 || x >= 1) return x;
+        // x(t) is monotonic for x1, x2 in 0..1, so bisection always converges
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 30; i++) {
+            const mid = (low + high) / 2;
+            if (bezier(x1, x2, mid) < x) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return bezier(y1, y2, (low + high) / 2);
+    };
+}
+
+function toLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return Math.min(255, Math.max(0, c * 255));
+}
+
+// Hue of `from` to `to` in OKLCH, taking the shorter or longer arc. A gray
+// end borrows the other end's hue so it does not swing through the circle.
+function mixOklch(from, to, factor, longer) {
+    const [l1, c1, rawH1] = from.oklch();
+    const [l2, c2, rawH2] = to.oklch();
+    const h1 = Number.isNaN(rawH1) ? (Number.isNaN(rawH2) ? 0 : rawH2) : rawH1;
+    const h2 = Number.isNaN(rawH2) ? h1 : rawH2;
+
+    let delta = h2 - h1;
+    if (longer) {
+        if (delta > 0 && delta < 180) delta -= 360;
+        else if (delta > -180 && delta <= 0) delta += 360;
+    } else if (delta > 180) {
+        delta -= 360;
+    } else if (delta < -180) {
+        delta += 360;
+    }
+
+    const hue = (h1 + delta * factor + 360) % 360;
+    return toGamut('oklch', l1 + (l2 - l1) * factor, c1 + (c2 - c1) * factor, hue);
+}
+
+// Mix two colors (any CSS syntax) at `factor` in one of INTERPOLATIONS
+function interpolateColors(color1, color2, factor, interpolation = 'srgb') {
+    const from = parseColor(color1);
+    const to = parseColor(color2);
+    let mixed;
+
+    if (interpolation === 'srgb') {
+        mixed = chroma.mix(from, to, factor, 'rgb');
+    } else if (interpolation === 'linear-rgb') {
+        const [r1, g1, b1] = from.rgb(false);
+        const [r2, g2, b2] = to.rgb(false);
+        mixed = chroma.rgb(...[[r1, r2], [g1, g2], [b1, b2]]
+            .map(([a, b]) => fromLinear(toLinear(a) + (toLinear(b) - toLinear(a)) * factor)));
+    } else if (interpolation === 'oklab' || interpolation === 'lab') {
+        mixed = chroma.mix(from, to, factor, interpolation);
+    } else if (interpolation === 'oklch' || interpolation === 'oklch-longer') {
+        mixed = mixOklch(from, to, factor, interpolation === 'oklch-longer');
+    } else {
+        throw new Error(`Unknown interpolation "${interpolation}": expected one of ${INTERPOLATIONS.join(', ')}`);
+    }
+
+    return mixed.alpha(from.alpha() + (to.alpha() - from.alpha()) * factor).hex();
+}
+
+// Split "color position%" entries into colors and positions. Positions are
+// optional, but must then be given for every color.
+function parseColorStops(entries) {
+    const stops = entries.map(entry => {
+        const match = COLOR_STOP_PATTERN.exec(entry.trim());
+        return match ? { color: match[1], position: Number(match[2]) } : { color: entry.trim() };
+    });
+    const positioned = stops.filter(stop => stop.position !== undefined).length;
+    if (positioned > 0 && positioned < stops.length) {
+        throw new Error('Give a position for every color or for none of them');
+    }
+    return {
+        colors: stops.map(stop => stop.color),
+        positions: positioned > 0 ? stops.map(stop => stop.position) : undefined,
+    };
+}
+
+function checkPositions(positions, count, name) {
+    if (!Array.isArray(positions) || positions.length !== count) {
+        throw new Error(`Expected ${count} ${name}, got ${Array.isArray(positions) ? positions.length : positions}`);
+    }
+    positions.forEach((position, index) => {
+        if (typeof position !== 'number' || Number.isNaN(position)) {
+            throw new Error(`Invalid ${name} "${position}": expected a percentage`);
+        }
+        if (index > 0 && position < positions[index - 1]) {
+            throw new Error(`${name[0].toUpperCase()}${name.slice(1)} must not decrease: ${positions[index - 1]}% is followed by ${position}%`);
+        }
+    });
+}
+
+// Shape of the gradient: `type` with a `direction` or `angle` for linear,
+// a `shape` and `position` for radial, and a start `angle` and `position`
+// for conic
+function gradientGeometry(direction, options) {
+    const { type = 'linear', angle, shape = 'ellipse', position = 'center' } = options;
+    if (!GRADIENT_TYPES.includes(type)) {
+        throw new Error(`Unknown gradient type "${type}": expected one of ${GRADIENT_TYPES.join(', ')}`);
+    }
+    if (angle !== undefined && (typeof angle !== 'number' || Number.isNaN(angle))) {
+        throw new Error(`Invalid angle "${angle}": expected a number of degrees`);
+    }
+
+    if (type === 'linear') {
+        if (angle === undefined && !DIRECTIONS[direction]) {
+            throw new Error(`Unknown direction "${direction}": expected one of ${Object.keys(DIRECTIONS).join(', ')}`);
+        }
+        return angle === undefined ? { type, direction } : { type, angle };
+    }
+    if (!POSITION_PATTERN.test(String(position).trim())) {
+        throw new Error(`Invalid position "${position}": expected keywords such as "top left" or percentages such as "25% 75%"`);
+    }
+    if (type === 'radial') {
+        if (!RADIAL_SHAPES.includes(shape)) {
+            throw new Error(`Unknown shape "${shape}": expected one of ${RADIAL_SHAPES.join(', ')}`);
+        }
+        return { type, shape, position: String(position).trim() };
+    }
+    return { type, angle: angle || 0, position: String(position).trim() };
+}
+
+// Sample `steps` evenly spaced stops from `colors` (any CSS syntax).
+// `options.positions` places each color (percentages, default evenly spread),
+// `options.hints` sets the midpoint between each pair of neighbours as CSS
+// color hints do, `options.easing` shapes every segment and
+// `options.interpolation` picks the space colors are mixed in. The other
+// options set the geometry (see gradientGeometry).
+function generateGradientStops(colors, steps = 10, direction = 'to-r', options = {}) {
+    if (!Array.isArray(colors) || colors.length < 2) {
+        throw new Error('At least 2 colors are required for gradient generation');
+    }
+    colors.forEach(color => parseColor(color));
+
+    const { interpolation = 'srgb', easing = 'linear', hints } = options;
+    const geometry = gradientGeometry(direction, options);
+    if (!INTERPOLATIONS.includes(interpolation)) {
+        throw new Error(`Unknown interpolation "${interpolation}": expected one of ${INTERPOLATIONS.join(', ')}`);
+    }
+    const ease = parseEasing(easing);
+
+    const positions = options.positions || colors.map((color, index) => index * 100 / (colors.length - 1));
+    checkPositions(positions, colors.length, 'positions');
+    if (hints) {
+        checkPositions(hints, colors.length - 1, 'hints');
+        hints.forEach((hint, index) => {
+            if (hint <= positions[index] || hint >= positions[index + 1]) {
+                throw new Error(`Hint ${hint}% must lie between ${positions[index]}% and ${positions[index + 1]}%`);
+            }
+        });
+    }
+
+    const colorAt = position => {
+        if (position <= positions[0]) return parseColor(colors[0]).hex();
+        if (position >= positions[positions.length - 1]) return parseColor(colors[colors.length - 1]).hex();
+
+        const index = positions.findIndex((start, i) => position >= start && position < positions[i + 1]);
+        const [start, end] = [positions[index], positions[index + 1]];
+        let factor = (position - start) / (end - start);
+        if (hints) {
+            // The hint's share of the segment is where the mix reaches 50%
+            const midpoint = (hints[index] - start) / (end - start);
+            factor = Math.pow(factor, Math.log(0.5) / Math.log(midpoint));
+        }
+        return interpolateColors(colors[index], colors[index + 1], ease(factor), interpolation);
+    };
+
+    const stops = [];
+    for (let i = 0; i < steps; i++) {
+        const position = Math.round(i * 100 / (steps - 1) * 100) / 100;
+        stops.push({ color: colorAt(position), position });
+    }
+
+    // The input colors at their positions, for output that lets the browser
+    // interpolate between them instead of listing every sample
+    const colorStops = colors.map((color, index) => ({ color: parseColor(color).hex(), position: positions[index] }));
+
+    return { ...geometry, stops, colorStops, interpolation, easing, ...(hints ? { hints } : {}) };
+}
+
+// CSS for the gradient's direction, shape or start angle, e.g. "to right",
+// "circle at top left" or "from 45deg"; empty when the defaults apply
+function cssGeometry(gradient) {
+    const { type, direction, angle, shape, position } = gradient;
+    if (type === 'radial') {
+        return shape === 'ellipse' && position === 'center' ? '' : `${shape} at ${position}`;
+    }
+    if (type === 'conic') {
+        return [angle ? `from ${angle}deg` : '', position === 'center' ? '' : `at ${position}`].filter(Boolean).join(' ');
+    }
+    return angle === undefined ? DIRECTIONS[direction] : `${angle}deg`;
+}
+
+// The part of a gradient function before its stops, e.g. "to right in oklch"
+function cssPrelude(gradient) {
+    return [cssGeometry(gradient), CSS_INTERPOLATION[gradient.interpolation || 'srgb']].filter(Boolean).join(' ');
+}
+
+// One gradient layer as a CSS image, e.g. "linear-gradient(to bottom right, ...)"
+function cssGradient(gradient, stops = gradient.stops.map(stop => `${stop.color} ${stop.position}%`).join(', ')) {
+    const prelude = cssPrelude(gradient);
+    return `${gradient.type || 'linear'}-gradient(${prelude ? `${prelude}, ` : ''}${stops})`;
+}
+
+// Tailwind arbitrary values use `_` for spaces
+function arbitrary(value) {
+    return value.replace(/\s*,\s*/g, ',').replace(/\s+/g, '_');
+}
+
+// Utility that sets the gradient's shape and direction, taking its colors
+// from `from-*`/`via-*`/`to-*`. Tailwind v4 has utilities for every type;
+// v3 only for linear sides and corners, so anything else is an arbitrary
+// value around `var(--tw-gradient-stops)`.
+function gradientShapeClass(gradient, version = 'v3') {
+    const { type = 'linear', direction, angle, shape, position, interpolation } = gradient;
+
+    if (version === 'v4') {
+        // Tailwind drops arbitrary values with a modifier, so those carry
+        // the interpolation themselves (`bg-radial-[circle_at_top_in_oklch]`)
+        const modifier = TAILWIND_INTERPOLATION[interpolation] ? `/${TAILWIND_INTERPOLATION[interpolation]}` : '';
+        if (type === 'radial') {
+            if (shape !== 'ellipse' || position !== 'center') return `bg-radial-[${arbitrary(cssPrelude(gradient))}]`;
+            return `bg-radial${modifier}`;
+        }
+        if (type === 'conic') {
+            if (position !== 'center') return `bg-conic-[${arbitrary(cssPrelude(gradient))}]`;
+            return `${angle < 0 ? '-' : ''}bg-conic${angle ? `-${Math.abs(angle)}` : ''}${modifier}`;
+        }
+        if (angle !== undefined) return `${angle < 0 ? '-' : ''}bg-linear-${Math.abs(angle)}${modifier}`;
+        return `bg-linear-${direction}${modifier}`;
+    }
+
+    if (type === 'linear' && angle === undefined && !CSS_INTERPOLATION[interpolation]) {
+        return `bg-gradient-${direction}`;
+    }
+    return `bg-[${arbitrary(cssGradient(gradient, 'var(--tw-gradient-stops)'))}]`;
+}
+
+// The stops from-/via-/to- can carry for a single layer: its input colors
+// when the browser can interpolate between them itself, otherwise the
+// samples if there are at most three. Returns `{ stops }` or `{ reason }`.
+function tailwindStops(layers) {
+    if (layers.length > 1) {
+        return { reason: `${layers.length} stacked layers only fit in one background-image value` };
+    }
+    const [{ stops, colorStops, easing = 'linear', hints }] = layers;
+    if (stops.length <= 3) return { stops };
+    if (!colorStops || colorStops.length > 3) {
+        return { reason: `${colorStops ? colorStops.length : stops.length} colors need more stops than from-, via- and to- can hold` };
+    }
+    if (easing !== 'linear') return { reason: `easing "${easing}" needs every sampled stop` };
+    if (hints) return { reason: 'color hints need every sampled stop' };
+    return { stops: colorStops };
+}
+
+// Tailwind position class such as `via-40%`. v3 names multiples of 5%, v4
+// any whole percentage; others become arbitrary values like `via-[12.5%]`.
+function positionClass(prefix, position, version) {
+    const named = version === 'v4' ? Number.isInteger(position) : position % 5 === 0;
+    return named && position >= 0 && position <= 100 ? `${prefix}-${position}%` : `${prefix}-[${position}%]`;
+}
+
+// The gradient as Tailwind classes using `options.strategy` (see
+// TAILWIND_STRATEGIES). Returns `{ strategy, classes, reason?, config? }`:
+// `reason` says why "auto" did not use stops, and the "config" strategy adds
+// the `backgroundImage` entry (v3) or `@theme` variable (v4) that defines
+// `bg-<options.name>`.
+function tailwindGradientClasses(gradient, options = {}) {
+    const { version = 'v3', strategy = 'auto', name = 'gradient' } = options;
+    if (!TAILWIND_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown Tailwind strategy "${strategy}": expected one of ${TAILWIND_STRATEGIES.join(', ')}`);
+    }
+    const layers = Array.isArray(gradient) ? gradient : [gradient];
+    const css = layers.map(layer => cssGradient(layer)).join(', ');
+
+    if (strategy === 'config') {
+        if (!BACKGROUND_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid gradient name "${name}": use lowercase letters, digits and dashes, starting with a letter`);
+        }
+        const config = version === 'v4'
+            ? `@theme {\n  --background-image-${name}: ${css};\n}`
+            : `module.exports = {\n  theme: {\n    extend: {\n      backgroundImage: {\n        '${name}': '${css}'\n      }\n    }\n  }\n}`;
+        return { strategy, classes: `bg-${name}`, config };
+    }
+
+    const { stops, reason } = strategy === 'arbitrary' ? {} : tailwindStops(layers);
+    if (!stops) {
+        if (strategy === 'stops') throw new Error(`Cannot write this gradient with from-, via- and to- classes: ${reason}`);
+        return { strategy: 'arbitrary', classes: `bg-[${arbitrary(css)}]`, ...(reason ? { reason } : {}) };
+    }
+
+    const [first, ...rest] = stops;
+    const last = rest.pop();
+    const classes = [gradientShapeClass(layers[0], version), `from-[${first.color}]`];
+    if (first.position !== 0) classes.push(positionClass('from', first.position, version));
+    if (rest.length) {
+        classes.push(`via-[${rest[0].color}]`);
+        if (rest[0].position !== 50) classes.push(positionClass('via', rest[0].position, version));
+    }
+    classes.push(`to-[${last.color}]`);
+    if (last.position !== 100) classes.push(positionClass('to', last.position, version));
+    return { strategy: 'stops', classes: classes.join(' ') };
+}
+
+// What each strategy produced, for tool responses
+function describeTailwindStrategy({ strategy, reason }) {
+    const descriptions = {
+        stops: 'from-/via-/to- color stops with positions',
+        arbitrary: 'a single bg-[...] arbitrary value',
+        config: 'a named backgroundImage entry in the Tailwind theme',
+    };
+    return `${descriptions[strategy]}${reason ? ` (${reason})` : ''}`;
+}
+
+// Generate the gradient in `format`. `gradient` is one generateGradientStops
+// result or an array of them, stacked with the first on top.
+// `options` go to tailwindGradientClasses for the "tailwind" format.
+function generateTailwindGradient(gradient, format = 'css', options = {}) {
+    const layers = Array.isArray(gradient) ? gradient : [gradient];
+    const { stops } = layers[0];
+    const css = layers.map(layer => cssGradient(layer)).join(', ');
+
+    if (format === 'css') {
+        return `background: ${css};`;
+    } else if (format === 'tailwind') {
+        return tailwindGradientClasses(gradient, options).classes;
+    } else if (format === 'json') {
+        return JSON.stringify(gradient, null, 2);
+    } else {
+        // Custom CSS with color stops
+        return {
+            gradient: css,
+            stops: stops,
+            direction: layers[0].direction,
+            ...(layers.length > 1 ? { layers: layers.map(layer => ({ gradient: cssGradient(layer), stops: layer.stops })) } : {})
+        };
+    }
+}
+
+module.exports = {
+    GRADIENT_TYPES,
+    DIRECTIONS,
+    RADIAL_SHAPES,
+    POSITION_PATTERN,
+    INTERPOLATIONS,
+    EASINGS,
+    TAILWIND_STRATEGIES,
+    BACKGROUND_NAME_PATTERN,
+    parseEasing,
+    interpolateColors,
+    parseColorStops,
+    generateGradientStops,
+    cssGeometry,
+    cssGradient,
+    tailwindGradientClasses,
+    describeTailwindStrategy,
+    generateTailwindGradient,
+};
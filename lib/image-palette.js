@@ -0,0 +1,144 @@
+const chroma = require('chroma-js');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+// Dominant colors of a PNG or JPEG image, to seed palettes from. Pixels are
+// quantized with median cut, optionally refined by k-means in OKLab so
+// clusters follow perceived rather than RGB distance.
+
+const QUANTIZE_METHODS = ['kmeans', 'median-cut'];
+
+// Pixels sampled from large images; enough for stable clusters
+const MAX_SAMPLES = 20000;
+
+const KMEANS_ITERATIONS = 20;
+
+// Pixels more transparent than this are left out
+const MIN_ALPHA = 128;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Decode a PNG or JPEG file as `{ width, height, data }` with RGBA bytes
+function decodeImage(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        const { width, height, data } = PNG.sync.read(buffer);
+        return { width, height, data };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { width, height, data };
+    }
+    throw new Error('Unsupported image: expected a PNG or JPEG file');
+}
+
+// Opaque pixels as [r, g, b], evenly strided down to MAX_SAMPLES
+function samplePixels({ data, width, height }) {
+    const total = width * height;
+    const stride = Math.max(1, Math.floor(total / MAX_SAMPLES));
+    const pixels = [];
+    for (let i = 0; i < total; i += stride) {
+        if (data[i * 4 + 3] >= MIN_ALPHA) {
+            pixels.push([data[i * 4], data[i * 4 + 1], data[i * 4 + 2]]);
+        }
+    }
+    return pixels;
+}
+
+function average(points) {
+    const sum = points.reduce((acc, point) => acc.map((value, index) => value + point[index]), [0, 0, 0]);
+    return sum.map(value => value / points.length);
+}
+
+// Median cut: keep splitting the box with the widest channel range at its
+// median until there are `count` boxes. Returns the boxes' pixels.
+function medianCut(pixels, count) {
+    const boxes = [pixels];
+    while (boxes.length < count) {
+        let widest = null;
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            [0, 1, 2].forEach(channel => {
+                const values = box.map(pixel => pixel[channel]);
+                const range = Math.max(...values) - Math.min(...values);
+                if (range > 0 && (!widest || range > widest.range)) widest = { index, channel, range };
+            });
+        });
+        if (!widest) break;
+
+        const box = boxes[widest.index].slice().sort((a, b) => a[widest.channel] - b[widest.channel]);
+        const middle = Math.floor(box.length / 2);
+        boxes.splice(widest.index, 1, box.slice(0, middle), box.slice(middle));
+    }
+    return boxes;
+}
+
+// Refine median-cut clusters with k-means in OKLab. Starting from the boxes
+// keeps the result deterministic.
+function kMeans(pixels, boxes) {
+    const points = pixels.map(pixel => chroma(pixel).oklab());
+    const index = new Map(pixels.map((pixel, i) => [pixel, i]));
+    let centers = boxes.map(box => average(box.map(pixel => points[index.get(pixel)])));
+    let assignments = new Array(points.length).fill(-1);
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        let changed = false;
+        points.forEach((point, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centers.forEach((center, c) => {
+                const distance = (point[0] - center[0]) ** 2 + (point[1] - center[1]) ** 2 + (point[2] - center[2]) ** 2;
+                if (distance < bestDistance) {
+                    best = c;
+                    bestDistance = distance;
+                }
+            });
+            if (assignments[i] !== best) {
+                assignments[i] = best;
+                changed = true;
+            }
+        });
+        if (!changed) break;
+
+        centers = centers.map((center, c) => {
+            const members = points.filter((point, i) => assignments[i] === c);
+            return members.length > 0 ? average(members) : center;
+        });
+    }
+
+    return centers
+        .map((center, c) => ({ center, size: assignments.filter(assignment => assignment === c).length }))
+        .filter(({ size }) => size > 0)
+        .map(({ center, size }) => ({ hex: chroma.oklab(...center).hex(), size }));
+}
+
+// The `count` most dominant colors as `[{ hex, share }]`, largest share
+// first. `options.method` is one of QUANTIZE_METHODS (default "kmeans").
+function extractDominantColors(image, options = {}) {
+    const { count = 5, method = 'kmeans' } = options;
+    if (!QUANTIZE_METHODS.includes(method)) {
+        throw new Error(`Unknown quantization method "${method}": expected one of ${QUANTIZE_METHODS.join(', ')}`);
+    }
+    if (!Number.isInteger(count) || count < 1 || count > 16) {
+        throw new Error(`Invalid color count ${count}: expected a whole number from 1 to 16`);
+    }
+
+    const pixels = samplePixels(image);
+    if (pixels.length === 0) {
+        throw new Error('The image has no opaque pixels');
+    }
+
+    const boxes = medianCut(pixels, count);
+    const clusters = method === 'kmeans'
+        ? kMeans(pixels, boxes)
+        : boxes.map(box => ({ hex: chroma(average(box)).hex(), size: box.length }));
+
+    return clusters
+        .sort((a, b) => b.size - a.size)
+        .map(({ hex, size }) => ({ hex, share: size / pixels.length }));
+}
+
+module.exports = {
+    QUANTIZE_METHODS,
+    decodeImage,
+    extractDominantColors,
+};
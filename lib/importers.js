@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const chroma = require('chroma-js');
+const { TAILWIND_SHADES, parseColor } = require('./color-engine');
+const { CONFIG_FILE_NAMES, findProjectFiles, readConfigColors } = require('./tailwind-config');
+
+// Reads colors a project already defines - a Tailwind config, CSS custom
+// properties, design token JSON or swatch files - back into palettes
+// (`{ name, palette, baseColor }`) the generators, contrast checks and
+// exporters work with. Names ending in a Tailwind shade (`primary-500`) are
+// grouped into palettes; anything else is kept as a single named color.
+
+const IMPORT_FORMATS = ['tailwind-config', 'css', 'tokens', 'ase', 'gpl'];
+
+const CSS_EXTENSIONS = ['.css', '.pcss', '.postcss', '.scss'];
+
+// `--color-primary-500: oklch(...)`, in `:root`, `@theme` or any other block
+const CSS_COLOR_PATTERN = /--color-([\w-]+)\s*:\s*([^;{}]+?)\s*(?:;|})/g;
+
+// A token value that refers to another token, e.g. "{color.primary.500}"
+const TOKEN_ALIAS_PATTERN = /^\{([^{}]+)\}$/;
+
+const MAX_ALIAS_DEPTH = 10;
+
+// Import format of a file, from its name
+function detectImportFormat(fileName) {
+    const base = path.basename(fileName).toLowerCase();
+    const extension = path.extname(base);
+    if (CONFIG_FILE_NAMES.includes(base)) return 'tailwind-config';
+    if (CSS_EXTENSIONS.includes(extension)) return 'css';
+    if (extension === '.json') return 'tokens';
+    if (extension === '.ase') return 'ase';
+    if (extension === '.gpl') return 'gpl';
+    throw new Error(`Cannot tell the format of "${path.basename(fileName)}": expected a tailwind.config.*, a CSS file, token JSON, .ase or .gpl`);
+}
+
+// "Brand Blue" as "brand-blue"
+function slug(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function readCss(source) {
+    const colors = [];
+    for (const [, name, value] of source.matchAll(CSS_COLOR_PATTERN)) {
+        colors.push([name, value]);
+    }
+    return colors;
+}
+
+// Tokens in DTCG (`$value`/`$type`, as Tokens Studio writes them) or Style
+// Dictionary (`value`/`type`) form. Group names join with "-", a leading
+// "color" category is dropped and aliases such as "{color.primary.500}" are
+// resolved. Tokens Studio files list their sets in `$metadata`; the set
+// names are dropped as well.
+function readTokens(source) {
+    const json = JSON.parse(source);
+    const sets = json.$metadata && Array.isArray(json.$metadata.tokenSetOrder)
+        ? json.$metadata.tokenSetOrder.map(set => json[set]).filter(Boolean)
+        : [json];
+
+    const tokens = new Map();
+    const walk = (node, keys, inheritedType) => {
+        if (!node || typeof node !== 'object') return;
+        const type = node.$type || inheritedType;
+        const value = '$value' in node ? node.$value : 'value' in node && typeof node.value !== 'object' ? node.value : undefined;
+        if (value !== undefined) {
+            tokens.set(keys.join('.'), { keys, value, type: type || node.type });
+            return;
+        }
+        Object.entries(node).forEach(([key, child]) => {
+            if (!key.startsWith('$')) walk(child, [...keys, key], type);
+        });
+    };
+    sets.forEach(set => walk(set, []));
+
+    const resolve = (value, depth = 0) => {
+        const alias = typeof value === 'string' && TOKEN_ALIAS_PATTERN.exec(value.trim());
+        if (!alias) return value;
+        const target = tokens.get(alias[1]);
+        if (!target || depth >= MAX_ALIAS_DEPTH) return undefined;
+        return resolve(target.value, depth + 1);
+    };
+
+    const colors = [];
+    tokens.forEach(({ keys, value, type }) => {
+        if (type && type !== 'color') return;
+        let resolved = resolve(value);
+        // DTCG color objects: { colorSpace, components, alpha, hex }
+        if (resolved && typeof resolved === 'object') resolved = resolved.hex;
+        if (typeof resolved !== 'string') return;
+        const names = ['color', 'colors'].includes(keys[0]) && keys.length > 1 ? keys.slice(1) : keys;
+        colors.push([names.join('-'), resolved]);
+    });
+    return colors;
+}
+
+function readGpl(source) {
+    const lines = source.split(/\r?\n/);
+    if (!/^GIMP Palette/.test(lines[0] || '')) {
+        throw new Error('Not a GIMP palette: the file must start with "GIMP Palette"');
+    }
+    const colors = [];
+    lines.slice(1).forEach(line => {
+        const match = /^\s*(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(line);
+        if (match) {
+            const [, r, g, b, name] = match;
+            colors.push([name.trim() || `color${colors.length + 1}`, chroma(Number(r), Number(g), Number(b)).hex()]);
+        }
+    });
+    return colors;
+}
+
+// Adobe Swatch Exchange, as written by exportPalettes: group and color
+// blocks after an "ASEF" header. Colors outside a group keep their own name;
+// unnamed ones in a group are numbered after it.
+function readAse(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'ASEF') {
+        throw new Error('Not an Adobe Swatch Exchange file: missing the "ASEF" header');
+    }
+    const readName = offset => {
+        const length = buffer.readUInt16BE(offset);
+        let name = '';
+        for (let i = 0; i < length - 1; i++) {
+            name += String.fromCharCode(buffer.readUInt16BE(offset + 2 + i * 2));
+        }
+        return { name, end: offset + 2 + length * 2 };
+    };
+
+    const colors = [];
+    let group = null;
+    let offset = 12;
+    for (let block = 0; block < buffer.readUInt32BE(8) && offset + 6 <= buffer.length; block++) {
+        const type = buffer.readUInt16BE(offset);
+        const length = buffer.readUInt32BE(offset + 2);
+        const body = offset + 6;
+
+        if (type === 0xc001) {
+            group = readName(body).name;
+        } else if (type === 0xc002) {
+            group = null;
+        } else if (type === 0x0001) {
+            const { name, end } = readName(body);
+            const model = buffer.toString('ascii', end, end + 4);
+            const value = i => buffer.readFloatBE(end + 4 + i * 4);
+            const color = {
+                'RGB ': () => chroma.gl(value(0), value(1), value(2)),
+                CMYK: () => chroma.cmyk(value(0), value(1), value(2), value(3)),
+                'LAB ': () => chroma.lab(value(0) * 100, value(1), value(2)),
+                Gray: () => chroma.gl(value(0), value(0), value(0)),
+            }[model];
+            if (color) {
+                colors.push([name || `${group || 'color'}-${colors.length + 1}`, color().hex()]);
+            }
+        }
+        offset = body + length;
+    }
+    return colors;
+}
+
+// `[name, value]` pairs as palettes and single colors. Values that are not
+// colors (e.g. `var(--x)` or `currentColor`) are listed in `skipped`; the
+// first definition of a name wins, so dark overrides later in a file do not
+// replace the light values.
+function groupColors(entries) {
+    const palettes = new Map();
+    const colors = {};
+    const skipped = [];
+    const seen = new Set();
+
+    entries.forEach(([rawName, value]) => {
+        const name = slug(rawName);
+        if (!name || seen.has(name)) return;
+        seen.add(name);
+
+        let hex;
+        try {
+            hex = parseColor(String(value).trim()).hex();
+        } catch (error) {
+            skipped.push({ name, value: String(value).trim() });
+            return;
+        }
+
+        const match = /^(.+)-(\d+)$/.exec(name);
+        if (match && TAILWIND_SHADES.includes(Number(match[2]))) {
+            const [, paletteName, shade] = match;
+            if (!palettes.has(paletteName)) palettes.set(paletteName, {});
+            palettes.get(paletteName)[shade] = hex;
+        } else {
+            colors[name] = hex;
+        }
+    });
+
+    return {
+        palettes: [...palettes].map(([name, shades]) => {
+            const palette = Object.fromEntries(TAILWIND_SHADES.filter(shade => shades[shade]).map(shade => [shade, shades[shade]]));
+            const present = Object.keys(palette).map(Number);
+            const baseShade = palette[500] ? 500 : present[Math.floor(present.length / 2)];
+            return { name, palette, baseColor: palette[baseShade] };
+        }),
+        colors,
+        skipped,
+    };
+}
+
+// Import colors from `source` (a string, or a Buffer for "ase") in `format`
+// (one of IMPORT_FORMATS). Returns `{ palettes, colors, skipped }`.
+function importPalettes(source, format) {
+    const readers = {
+        'tailwind-config': () => Object.entries(readConfigColors(String(source))),
+        css: () => readCss(String(source)),
+        tokens: () => readTokens(String(source)),
+        ase: () => readAse(Buffer.isBuffer(source) ? source : Buffer.from(source, 'binary')),
+        gpl: () => readGpl(String(source)),
+    };
+    if (!readers[format]) {
+        throw new Error(`Unknown import format "${format}": expected one of ${IMPORT_FORMATS.join(', ')}`);
+    }
+    return groupColors(readers[format]());
+}
+
+// Several imports merged, e.g. a config and a stylesheet. Palettes with the
+// same name are combined; the first source to define a shade wins.
+function mergeImports(results) {
+    const palettes = new Map();
+    const merged = { palettes: [], colors: {}, skipped: [] };
+    results.forEach(result => {
+        result.palettes.forEach(({ name, palette }) => {
+            palettes.set(name, { ...palette, ...(palettes.get(name) || {}) });
+        });
+        Object.entries(result.colors).forEach(([name, hex]) => {
+            if (!(name in merged.colors)) merged.colors[name] = hex;
+        });
+        merged.skipped.push(...result.skipped);
+    });
+    const entries = [...palettes].flatMap(([name, palette]) => Object.entries(palette).map(([shade, hex]) => [`${name}-${shade}`, hex]));
+    merged.palettes = groupColors(entries).palettes;
+    return merged;
+}
+
+// Import each of `files` in `format` (default: detected from its name). A
+// file that cannot be read or parsed does not stop the others: it is listed
+// in `failures` as `{ file, message }`. Returns `{ sources, failures }`, each
+// source being `{ file, result }`.
+function importFiles(files, format) {
+    const sources = [];
+    const failures = [];
+    files.forEach(file => {
+        try {
+            sources.push({ file, result: importPalettes(fs.readFileSync(file), format || detectImportFormat(file)) });
+        } catch (error) {
+            failures.push({ file, message: error.message });
+        }
+    });
+    return { sources, failures };
+}
+
+// Tailwind configs, stylesheets, token files (`*tokens.json`) and swatch
+// files under `rootDir` that may define colors
+function findColorSources(rootDir) {
+    return findProjectFiles(rootDir, name => CONFIG_FILE_NAMES.includes(name)
+        || CSS_EXTENSIONS.includes(path.extname(name))
+        || ['.ase', '.gpl'].includes(path.extname(name))
+        || name.endsWith('tokens.json'));
+}
+
+// Summary for tool responses: one line per palette and the single colors
+function describeImport({ palettes, colors, skipped }) {
+    const lines = palettes.map(({ name, palette }) =>
+        `- ${name} (${Object.keys(palette).length} ${Object.keys(palette).length === 1 ? 'shade' : 'shades'}): ${Object.entries(palette).map(([shade, hex]) => `${shade} ${hex}`).join(', ')}`);
+    const singles = Object.entries(colors);
+    if (singles.length > 0) {
+        lines.push(`- Single colors: ${singles.map(([name, hex]) => `${name} ${hex}`).join(', ')}`);
+    }
+    if (skipped.length > 0) {
+        lines.push(`- Skipped (not a color value): ${skipped.map(({ name, value }) => `${name} = ${value}`).join(', ')}`);
+    }
+    return lines.length > 0 ? lines.join('\n') : '- No colors found';
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    detectImportFormat,
+    importPalettes,
+    mergeImports,
+    importFiles,
+    findColorSources,
+    describeImport,
+};
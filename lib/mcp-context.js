@@ -0,0 +1,205 @@
+const { parseColor, generateTailwindConfig } = require('./color-engine');
+const { TAILWIND_COLORS, TAILWIND_VERSIONS } = require('./tailwind-defaults');
+const { serializeRegistry, getPalette, describeRegistry, describeRegistryPalette } = require('./palette-registry');
+
+// MCP resources and prompts: the colors a client can attach as context
+// without calling a tool - Tailwind's default palettes, the project's
+// palette registry and each saved palette - and prompt templates for the
+// usual palette tasks that start from them.
+
+const REGISTRY_URI = 'tailwind://registry';
+
+const PALETTE_URI_PREFIX = 'palette://';
+
+const defaultsUri = version => `tailwind://colors/${version}`;
+
+// `palette://brand` for the saved palette "brand"
+const paletteUri = name => `${PALETTE_URI_PREFIX}${encodeURIComponent(name)}`;
+
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: `${PALETTE_URI_PREFIX}{name}`,
+        name: 'Saved palette',
+        description: 'A palette from the project\'s palette registry as JSON (base color, options and shades) and as CSS variables',
+        mimeType: 'application/json',
+    },
+];
+
+// Resources for the Tailwind defaults, the registry and every saved palette
+function listResources(registry) {
+    return [
+        ...TAILWIND_VERSIONS.map(version => ({
+            uri: defaultsUri(version),
+            name: `Tailwind ${version} default colors`,
+            description: `Tailwind CSS ${version}'s built-in color palette, color name to shade to value`,
+            mimeType: 'application/json',
+        })),
+        {
+            uri: REGISTRY_URI,
+            name: 'Project palette registry',
+            description: 'Every palette the project has saved (.tailwind-colors.json), with the base color and options each was generated from',
+            mimeType: 'application/json',
+        },
+        ...Object.keys(registry.palettes).map(name => ({
+            uri: paletteUri(name),
+            name: `${name} palette`,
+            description: describeRegistryPalette(registry, name),
+            mimeType: 'application/json',
+        })),
+    ];
+}
+
+// A saved palette as JSON, then as CSS variables (with dark overrides when
+// it has a dark scale)
+function paletteContents(registry, name) {
+    const { shades, dark, ...source } = registry.palettes[name];
+    const uri = paletteUri(name);
+    return [
+        { uri, mimeType: 'application/json', text: JSON.stringify({ name, ...source, shades, ...(dark ? { dark } : {}) }, null, 2) },
+        { uri, mimeType: 'text/css', text: generateTailwindConfig([getPalette(registry, name)], 'css') },
+    ];
+}
+
+// Contents of a resource listed by listResources, or of `palette://{name}`
+function readResource(uri, registry) {
+    const version = TAILWIND_VERSIONS.find(candidate => uri === defaultsUri(candidate));
+    if (version) {
+        return [{ uri, mimeType: 'application/json', text: JSON.stringify(TAILWIND_COLORS[version], null, 2) }];
+    }
+    if (uri === REGISTRY_URI) {
+        return [{ uri, mimeType: 'application/json', text: serializeRegistry(registry) }];
+    }
+    if (uri.startsWith(PALETTE_URI_PREFIX)) {
+        const name = decodeURIComponent(uri.slice(PALETTE_URI_PREFIX.length));
+        getPalette(registry, name);
+        return paletteContents(registry, name);
+    }
+    throw new Error(`Unknown resource "${uri}": expected ${[...TAILWIND_VERSIONS.map(defaultsUri), REGISTRY_URI, `${PALETTE_URI_PREFIX}<name>`].join(', ')}`);
+}
+
+const PROMPTS = [
+    {
+        name: 'design-brand-palette',
+        description: 'Design a brand palette from a base color that fits the palettes the project already has, meets contrast targets and is saved to the registry',
+        arguments: [
+            { name: 'brandColor', description: 'Base brand color in any CSS color syntax, e.g. #3B82F6', required: true },
+            { name: 'name', description: 'Palette name (default: brand)' },
+            { name: 'personality', description: 'What the brand should feel like, e.g. "calm, trustworthy fintech"' },
+        ],
+    },
+    {
+        name: 'audit-contrast',
+        description: 'Audit the contrast of the project\'s saved palettes (or the named ones) and propose fixes as contrast targets',
+        arguments: [
+            { name: 'palettes', description: 'Saved palette names separated by commas (default: all saved palettes)' },
+            { name: 'level', description: 'WCAG level to hold text to: AA or AAA (default: AA)' },
+        ],
+    },
+    {
+        name: 'create-dark-theme',
+        description: 'Create a dark theme for the project\'s saved palettes: dark scales and light/dark semantic tokens checked for contrast',
+        arguments: [
+            { name: 'palettes', description: 'Saved palette names separated by commas (default: all saved palettes)' },
+            { name: 'output', description: 'Where the tokens go: css, tailwind or shadcn (default: css)' },
+        ],
+    },
+];
+
+// Saved palettes named in a comma-separated prompt argument, or all of them
+function selectPalettes(registry, names) {
+    const selected = names ? names.split(',').map(name => name.trim()).filter(Boolean) : Object.keys(registry.palettes);
+    selected.forEach(name => getPalette(registry, name));
+    return selected;
+}
+
+const textMessage = text => ({ role: 'user', content: { type: 'text', text } });
+
+// The selected palettes attached as embedded resources
+const paletteMessages = (registry, names) => names.map(name => ({
+    role: 'user',
+    content: { type: 'resource', resource: paletteContents(registry, name)[0] },
+}));
+
+// Messages for one of PROMPTS, filled in from `args` and the registry
+function getPrompt(name, args = {}, registry) {
+    const prompt = PROMPTS.find(candidate => candidate.name === name);
+    if (!prompt) {
+        throw new Error(`Unknown prompt "${name}": expected one of ${PROMPTS.map(candidate => candidate.name).join(', ')}`);
+    }
+    prompt.arguments.filter(argument => argument.required).forEach(argument => {
+        if (!args[argument.name]) {
+            throw new Error(`Missing argument "${argument.name}" for prompt "${name}"`);
+        }
+    });
+
+    if (name === 'design-brand-palette') {
+        const paletteName = args.name || 'brand';
+        const brandColor = parseColor(args.brandColor).hex();
+        const existing = Object.keys(registry.palettes);
+        return {
+            description: `Design the ${paletteName} palette from ${args.brandColor}`,
+            messages: [
+                textMessage(`Design a Tailwind palette named "${paletteName}" from the brand color ${args.brandColor} (${brandColor})${args.personality ? ` for a brand that should feel ${args.personality}` : ''}.
+
+1. Generate it with generate_tailwind_palette. Compare the "oklch" and "hsl" algorithms and pick the one whose 50 and 950 ends keep the brand's character; try a small hueShift if the ends look flat.
+2. Make sure it works for text and buttons: add contrast targets such as "white on 600 >= AA" and "700 on 50 >= AA" and regenerate.
+3. ${existing.length > 0 ? `Check it next to the palettes the project already has (${existing.join(', ')}, listed below) with palette_contrast_matrix (crossPalette) and simulate_color_blindness, and adjust the base color if it is too close to one of them.` : 'Check it with simulate_color_blindness against a red and a green status palette, and adjust the base color if it is too close to either.'}
+4. Save the result with save_palette, keeping the algorithm, hue shift and contrast targets you chose${existing.includes(paletteName) ? ` ("${paletteName}" is already saved, so ask before passing overwrite)` : ''}, and show the Tailwind v4 @theme block.
+
+Saved palettes:
+${describeRegistry(registry)}`),
+            ],
+        };
+    }
+
+    if (name === 'audit-contrast') {
+        const level = (args.level || 'AA').toUpperCase();
+        if (!['AA', 'AAA'].includes(level)) {
+            throw new Error(`Invalid level "${args.level}": expected AA or AAA`);
+        }
+        const names = selectPalettes(registry, args.palettes);
+        if (names.length === 0) {
+            throw new Error('No palettes saved yet: save one with save_palette or pass palettes to palette_contrast_matrix directly');
+        }
+        return {
+            description: `Audit the contrast of ${names.join(', ')} at ${level}`,
+            messages: [
+                ...paletteMessages(registry, names),
+                textMessage(`Audit the contrast of the saved palettes ${names.join(', ')} (attached above) at WCAG ${level}.
+
+1. Run palette_contrast_matrix on them${names.length > 1 ? ' with crossPalette, since text of one palette sits on surfaces of another' : ''}.
+2. List the pairs a UI would actually use - body text on 50/100 surfaces, white or 950 text on 500-700 buttons, borders and focus rings (3:1) - that miss ${level}, with their ratio and APCA Lc.
+3. For each palette with failures, propose contrast targets (e.g. "700 on 50 >= ${level}") that fix them, check they can be met with generate_tailwind_palette using the palette's saved base color and options, and offer to save the fixed palette with save_palette.`),
+            ],
+        };
+    }
+
+    const output = args.output || 'css';
+    if (!['css', 'tailwind', 'shadcn'].includes(output)) {
+        throw new Error(`Invalid output "${args.output}": expected css, tailwind or shadcn`);
+    }
+    const names = selectPalettes(registry, args.palettes);
+    if (names.length === 0) {
+        throw new Error('No palettes saved yet: save one with save_palette first');
+    }
+    return {
+        description: `Create a dark theme for ${names.join(', ')}`,
+        messages: [
+            ...paletteMessages(registry, names),
+            textMessage(`Create a dark theme for the saved palettes ${names.join(', ')} (attached above).
+
+1. Regenerate each palette with generate_tailwind_palette and mode "dark", using its saved base color and options, so every palette gets a dark scale with the same shade names.
+2. Map them to light and dark semantic tokens with generate_semantic_tokens (format "${output}"), naming the neutral and destructive palettes if the names do not make them obvious.
+3. Report any token that had to move along its scale to meet contrast, and check the dark primary, success and danger colors stay distinguishable with simulate_color_blindness.
+4. Offer to save the palettes with their dark scales via save_palette (mode "dark", overwrite).`),
+        ],
+    };
+}
+
+module.exports = {
+    RESOURCE_TEMPLATES,
+    PROMPTS,
+    listResources,
+    readResource,
+    getPrompt,
+};
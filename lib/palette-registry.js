@@ -0,0 +1,232 @@
+const fs = require('fs');
+const { TAILWIND_SHADES, parseColor, generateTailwindPalette, applyPaletteMode } = require('./color-engine');
+const { applyContrastTargets } = require('./contrast');
+
+// The project's palette registry: a `.tailwind-colors.json` in the workspace
+// that keeps every named palette with the base color and generator options
+// it came from, so it can be regenerated, exported again or built on later.
+//
+//     {
+//       "version": 1,
+//       "palettes": {
+//         "brand": {
+//           "baseColor": "#3b82f6",
+//           "algorithm": "oklch",
+//           "contrastTargets": ["600 on 50 >= 4.5"],
+//           "shades": { "50": "#eff6ff", ... }
+//         }
+//       }
+//     }
+//
+// The registry functions return a new registry rather than changing the one
+// they are given.
+
+const REGISTRY_FILE_NAME = '.tailwind-colors.json';
+
+const REGISTRY_VERSION = 1;
+
+const PALETTE_NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+
+// Generator options kept per palette, next to its base color. `locks` are
+// the shades pinned in the palette editor, shade to color.
+const OPTION_KEYS = ['algorithm', 'hueShift', 'anchorShade', 'contrastTargets', 'locks', 'mode'];
+
+function emptyRegistry() {
+    return { version: REGISTRY_VERSION, palettes: {} };
+}
+
+function checkName(name) {
+    if (typeof name !== 'string' || !PALETTE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid palette name "${name}": use letters, digits, dashes and underscores, starting with a letter`);
+    }
+}
+
+function requirePalette(registry, name) {
+    const entry = registry.palettes[name];
+    if (!entry) {
+        const names = Object.keys(registry.palettes);
+        throw new Error(`No palette named "${name}" in the registry${names.length > 0 ? `: expected one of ${names.join(', ')}` : ', which is empty'}`);
+    }
+    return entry;
+}
+
+// Registry from the text of a `.tailwind-colors.json`
+function parseRegistry(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid palette registry: ${error.message}`);
+    }
+    if (!json || typeof json !== 'object' || !json.palettes || typeof json.palettes !== 'object' || Array.isArray(json.palettes)) {
+        throw new Error('Invalid palette registry: expected an object with "palettes"');
+    }
+    if (json.version > REGISTRY_VERSION) {
+        throw new Error(`Palette registry version ${json.version} is newer than this extension supports (${REGISTRY_VERSION})`);
+    }
+    Object.entries(json.palettes).forEach(([name, entry]) => {
+        if (!entry || typeof entry.baseColor !== 'string' || !entry.shades || typeof entry.shades !== 'object') {
+            throw new Error(`Invalid palette registry: "${name}" needs a "baseColor" and "shades"`);
+        }
+    });
+    return { version: REGISTRY_VERSION, palettes: json.palettes };
+}
+
+function serializeRegistry(registry) {
+    return `${JSON.stringify(registry, null, 2)}\n`;
+}
+
+// The registry at `filePath`, or an empty one when the file does not exist
+function readRegistry(filePath) {
+    if (!fs.existsSync(filePath)) return emptyRegistry();
+    return parseRegistry(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeRegistry(filePath, registry) {
+    fs.writeFileSync(filePath, serializeRegistry(registry));
+}
+
+// Generate a palette from a base color and the options a registry entry
+// keeps (see OPTION_KEYS), the way the palette editor does: locked shades
+// keep their color and are never moved by the contrast targets
+function generateRegistryPalette(name, baseColor, options = {}) {
+    const { algorithm = 'hsl', hueShift = 0, anchorShade, contrastTargets, locks = {}, mode = 'light' } = options;
+    const palette = generateTailwindPalette(baseColor, name, { algorithm, hueShift: Number(hueShift) || 0, anchorShade });
+    const locked = Object.keys(locks);
+    locked.forEach(shade => {
+        palette.palette[shade] = parseColor(locks[shade]).hex();
+    });
+    return applyPaletteMode(applyContrastTargets(palette, contrastTargets, { locked }), mode);
+}
+
+// Generate `name` from `baseColor` and `options` and store it, replacing any
+// palette of that name. Returns `{ registry, palette }`.
+function savePalette(registry, name, baseColor, options = {}) {
+    checkName(name);
+    const palette = generateRegistryPalette(name, baseColor, options);
+
+    const entry = { baseColor };
+    OPTION_KEYS.forEach(key => {
+        const value = options[key];
+        const isDefault = value === undefined || value === null
+            || (key === 'algorithm' && value === 'hsl')
+            || (key === 'hueShift' && Number(value) === 0)
+            || (key === 'anchorShade' && value === 'auto')
+            || (key === 'contrastTargets' && Array.isArray(value) && value.length === 0)
+            || (key === 'locks' && Object.keys(value).length === 0)
+            || (key === 'mode' && value === 'light');
+        if (!isDefault) entry[key] = ['hueShift', 'anchorShade'].includes(key) ? Number(value) : value;
+    });
+    entry.shades = palette.palette;
+    if (palette.dark) entry.dark = palette.dark;
+
+    return {
+        registry: { ...registry, palettes: { ...registry.palettes, [name]: entry } },
+        palette,
+    };
+}
+
+// Regenerate a stored palette from its base color and options
+function regeneratePalette(registry, name) {
+    const { baseColor, ...options } = requirePalette(registry, name);
+    return generateRegistryPalette(name, baseColor, options);
+}
+
+// A stored palette as `{ name, palette, dark?, baseColor, algorithm }`, the
+// shape the exporters, contrast checks and config writers take
+function getPalette(registry, name) {
+    const entry = requirePalette(registry, name);
+    return {
+        name,
+        palette: Object.fromEntries(TAILWIND_SHADES.filter(shade => entry.shades[shade]).map(shade => [shade, entry.shades[shade]])),
+        ...(entry.dark ? { dark: entry.dark } : {}),
+        baseColor: entry.baseColor,
+        algorithm: entry.algorithm || 'hsl',
+    };
+}
+
+function listPalettes(registry) {
+    return Object.keys(registry.palettes).map(name => getPalette(registry, name));
+}
+
+// Rebuild the palettes object with `name` replaced in place, keeping order
+function replaceEntry(registry, name, replacements) {
+    const palettes = {};
+    Object.entries(registry.palettes).forEach(([key, entry]) => {
+        if (key === name) {
+            replacements.forEach(([newName, newEntry]) => {
+                palettes[newName] = newEntry;
+            });
+        } else {
+            palettes[key] = entry;
+        }
+    });
+    return { ...registry, palettes };
+}
+
+function checkFree(registry, name) {
+    checkName(name);
+    if (registry.palettes[name]) {
+        throw new Error(`A palette named "${name}" already exists`);
+    }
+}
+
+function renamePalette(registry, name, newName) {
+    const entry = requirePalette(registry, name);
+    if (newName === name) return registry;
+    checkFree(registry, newName);
+    return replaceEntry(registry, name, [[newName, entry]]);
+}
+
+function deletePalette(registry, name) {
+    requirePalette(registry, name);
+    return replaceEntry(registry, name, []);
+}
+
+// Copy `name` as `newName`, right after the original
+function duplicatePalette(registry, name, newName) {
+    const entry = requirePalette(registry, name);
+    checkFree(registry, newName);
+    return replaceEntry(registry, name, [[name, entry], [newName, JSON.parse(JSON.stringify(entry))]]);
+}
+
+// One line per palette: its source and its shades
+function describeRegistry(registry) {
+    const names = Object.keys(registry.palettes);
+    if (names.length === 0) return '- No palettes saved yet';
+    return names.map(name => `- ${describeRegistryPalette(registry, name)}`).join('\n');
+}
+
+// A saved palette's name, source and shades on one line
+function describeRegistryPalette(registry, name) {
+    const entry = requirePalette(registry, name);
+    const source = [
+        `from ${entry.baseColor}`,
+        entry.algorithm || 'hsl',
+        entry.hueShift !== undefined ? `hue shift ${entry.hueShift}°` : null,
+        entry.anchorShade !== undefined ? `anchored at ${entry.anchorShade}` : null,
+        entry.contrastTargets ? `targets ${entry.contrastTargets.join('; ')}` : null,
+        entry.locks ? `locked ${Object.keys(entry.locks).join(', ')}` : null,
+        entry.dark ? 'with a dark scale' : null,
+    ].filter(Boolean).join(', ');
+    return `${name} (${source}): ${Object.entries(entry.shades).map(([shade, hex]) => `${shade} ${hex}`).join(', ')}`;
+}
+
+module.exports = {
+    REGISTRY_FILE_NAME,
+    PALETTE_NAME_PATTERN,
+    emptyRegistry,
+    parseRegistry,
+    serializeRegistry,
+    readRegistry,
+    writeRegistry,
+    savePalette,
+    regeneratePalette,
+    getPalette,
+    listPalettes,
+    renamePalette,
+    deletePalette,
+    duplicatePalette,
+    describeRegistry,
+    describeRegistryPalette,
+};
@@ -0,0 +1,311 @@
+const chroma = require('chroma-js');
+const { TAILWIND_SHADES, WCAG_THRESHOLDS, parseColor, formatColor, generateTailwindPalette } = require('./color-engine');
+const { wcagContrast, resolvePalettes } = require('./contrast');
+
+// Maps Tailwind palettes onto semantic roles (`background`, `primary`,
+// `muted-foreground`, ...) for light and dark mode, following the token set
+// used by shadcn/ui. Every foreground is checked against the surface it sits
+// on and moved further along its scale when the contrast falls short.
+
+const SEMANTIC_FORMATS = ['css', 'tailwind', 'shadcn'];
+
+// Palette roles a token can draw from
+const PALETTE_ROLES = ['primary', 'secondary', 'accent', 'neutral', 'destructive'];
+
+// Palette names picked up for a role when no palette is named after it
+const ROLE_ALIASES = {
+    neutral: ['gray', 'grey', 'slate', 'zinc', 'stone', 'base'],
+    destructive: ['danger', 'error', 'red'],
+};
+
+// Stand-in for a missing destructive palette (Tailwind's red-600)
+const DEFAULT_DESTRUCTIVE = '#dc2626';
+
+// OKLCH chroma of a neutral derived from the primary hue
+const NEUTRAL_CHROMA = 0.015;
+
+// [token, light source, dark source, surface it is read on, use]. A source is
+// a [role, shade] pair or a fixed ['white'] / ['black'].
+const TOKENS = [
+    ['background', ['neutral', 50], ['neutral', 950]],
+    ['foreground', ['neutral', 950], ['neutral', 50], 'background', 'text'],
+    ['card', ['white'], ['neutral', 900]],
+    ['card-foreground', ['neutral', 950], ['neutral', 50], 'card', 'text'],
+    ['popover', ['white'], ['neutral', 900]],
+    ['popover-foreground', ['neutral', 950], ['neutral', 50], 'popover', 'text'],
+    ['primary', ['primary', 600], ['primary', 500]],
+    ['primary-foreground', ['primary', 50], ['primary', 950], 'primary', 'text'],
+    ['secondary', ['secondary', 100], ['secondary', 800]],
+    ['secondary-foreground', ['secondary', 900], ['secondary', 50], 'secondary', 'text'],
+    ['muted', ['neutral', 100], ['neutral', 800]],
+    ['muted-foreground', ['neutral', 600], ['neutral', 400], 'muted', 'text'],
+    ['accent', ['accent', 100], ['accent', 800]],
+    ['accent-foreground', ['accent', 900], ['accent', 50], 'accent', 'text'],
+    ['destructive', ['destructive', 600], ['destructive', 500]],
+    ['destructive-foreground', ['destructive', 50], ['destructive', 950], 'destructive', 'text'],
+    ['border', ['neutral', 200], ['neutral', 800]],
+    ['input', ['neutral', 200], ['neutral', 800]],
+    ['ring', ['primary', 500], ['primary', 400], 'background', 'ui'],
+];
+
+const MODES = ['light', 'dark'];
+
+// Minimum ratio per use and conformance level
+const MINIMUMS = {
+    AA: { text: WCAG_THRESHOLDS.normalText.AA, ui: WCAG_THRESHOLDS.uiComponents.AA },
+    AAA: { text: WCAG_THRESHOLDS.normalText.AAA, ui: WCAG_THRESHOLDS.uiComponents.AA },
+};
+
+function findPalette(palettes, role, roles) {
+    const wanted = roles[role];
+    if (wanted) {
+        const palette = palettes.find(({ name }) => name === wanted);
+        if (!palette) {
+            throw new Error(`No palette named "${wanted}" for the ${role} role: expected one of ${palettes.map(({ name }) => name).join(', ')}`);
+        }
+        return palette;
+    }
+    return palettes.find(({ name }) => name === role)
+        || palettes.find(({ name }) => (ROLE_ALIASES[role] || []).includes(name.toLowerCase()));
+}
+
+// Palette behind every role. A missing neutral is derived from the primary
+// hue, secondary and accent fall back to the neutral as in shadcn/ui, and
+// destructive falls back to a red.
+function assignRoles(palettes, roles = {}) {
+    Object.keys(roles).forEach(role => {
+        if (!PALETTE_ROLES.includes(role)) {
+            throw new Error(`Unknown role "${role}": expected one of ${PALETTE_ROLES.join(', ')}`);
+        }
+    });
+
+    const assigned = {};
+    const derived = [];
+    assigned.primary = findPalette(palettes, 'primary', roles) || palettes[0];
+
+    assigned.neutral = findPalette(palettes, 'neutral', roles);
+    if (!assigned.neutral) {
+        const hue = parseColor(assigned.primary.palette[500] || Object.values(assigned.primary.palette)[0]).get('oklch.h');
+        const base = chroma.oklch(0.55, NEUTRAL_CHROMA, Number.isNaN(hue) ? 0 : hue).hex();
+        assigned.neutral = generateTailwindPalette(base, 'neutral', { algorithm: 'oklch', anchorShade: 500 });
+        derived.push('neutral');
+    }
+
+    assigned.secondary = findPalette(palettes, 'secondary', roles) || assigned.neutral;
+    assigned.accent = findPalette(palettes, 'accent', roles) || assigned.neutral;
+
+    assigned.destructive = findPalette(palettes, 'destructive', roles);
+    if (!assigned.destructive) {
+        assigned.destructive = generateTailwindPalette(DEFAULT_DESTRUCTIVE, 'destructive');
+        derived.push('destructive');
+    }
+
+    return { assigned, derived };
+}
+
+function resolveSource(source, assigned) {
+    const [role, shade] = source;
+    if (shade === undefined) return { value: chroma(role).hex() };
+    const { name, palette } = assigned[role];
+    return { role, palette: name, shade, value: palette[shade] };
+}
+
+// Step a foreground (or, failing that, its surface) along its scale, away
+// from the other, until the pair reaches `minimum`
+function meetContrast(tokens, token, surface, minimum, assigned) {
+    const ratio = () => wcagContrast(tokens[token].value, tokens[surface].value);
+    const darker = chroma(tokens[token].value).luminance() <= chroma(tokens[surface].value).luminance();
+
+    const step = (name, direction) => {
+        const current = tokens[name];
+        if (current.shade === undefined) return false;
+        const index = TAILWIND_SHADES.indexOf(current.shade) + direction;
+        if (index < 0 || index >= TAILWIND_SHADES.length) return false;
+        tokens[name] = resolveSource([current.role, TAILWIND_SHADES[index]], assigned);
+        return true;
+    };
+
+    while (ratio() < minimum && step(token, darker ? 1 : -1));
+    while (ratio() < minimum && step(surface, darker ? -1 : 1));
+}
+
+// Build light and dark token sets from `palettes` (`{ name, shades }` or
+// `{ name, baseColor }`). `options.roles` picks palettes for roles by name
+// and `options.level` ("AA" or "AAA") sets the contrast each foreground must
+// meet. Returns `{ roles, derived, light, dark, checks, adjustments }`.
+function generateSemanticTokens(palettes, options = {}) {
+    const { roles = {}, level = 'AA' } = options;
+    if (!MINIMUMS[level]) {
+        throw new Error(`Unknown level "${level}": expected one of ${Object.keys(MINIMUMS).join(', ')}`);
+    }
+
+    const { assigned, derived } = assignRoles(resolvePalettes(palettes), roles);
+    const result = {
+        roles: Object.fromEntries(PALETTE_ROLES.map(role => [role, assigned[role].name])),
+        derived,
+        checks: [],
+        adjustments: [],
+    };
+
+    MODES.forEach((mode, modeIndex) => {
+        const tokens = {};
+        TOKENS.forEach(([token, ...sources]) => {
+            tokens[token] = resolveSource(sources[modeIndex], assigned);
+        });
+        const initial = { ...tokens };
+
+        TOKENS.forEach(([token, , , surface, use]) => {
+            if (surface) meetContrast(tokens, token, surface, MINIMUMS[level][use], assigned);
+        });
+
+        TOKENS.forEach(([token, , , surface, use]) => {
+            if (tokens[token] !== initial[token]) {
+                result.adjustments.push({ mode, token, from: initial[token], to: tokens[token] });
+            }
+            if (surface) {
+                const ratio = wcagContrast(tokens[token].value, tokens[surface].value);
+                const minimum = MINIMUMS[level][use];
+                result.checks.push({ mode, token, surface, ratio, minimum, pass: ratio >= minimum });
+            }
+        });
+
+        result[mode] = tokens;
+    });
+
+    return result;
+}
+
+function declarations(tokens, colorSpace, indent = '  ') {
+    return Object.entries(tokens)
+        .map(([token, { value }]) => `${indent}--${token}: ${formatColor(value, colorSpace)};`)
+        .join('\n');
+}
+
+function cssVariables(result, colorSpace, extra = []) {
+    return `:root {
+${[...extra, declarations(result.light, colorSpace)].join('\n')}
+}
+
+.dark {
+${declarations(result.dark, colorSpace)}
+}`;
+}
+
+// Tailwind v3 colors object: `primary` and `primary-foreground` become
+// `primary.DEFAULT` and `primary.foreground`. color-mix keeps opacity
+// modifiers such as `bg-primary/50` working with any color space.
+function tailwindColors() {
+    const reference = token => `color-mix(in oklab, var(--${token}) calc(<alpha-value> * 100%), transparent)`;
+    const colors = {};
+    TOKENS.forEach(([token]) => {
+        const match = /^(.+)-foreground$/.exec(token);
+        if (match && match[1] !== 'foreground') {
+            colors[match[1]] = { DEFAULT: reference(match[1]), foreground: reference(token) };
+        } else if (!colors[token]) {
+            colors[token] = reference(token);
+        }
+    });
+    return colors;
+}
+
+// Serialize a generateSemanticTokens result. "css" gives `:root` and `.dark`
+// variables, "tailwind" a v3 config reading them through `var(--...)` and
+// "shadcn" a complete shadcn/ui globals.css for Tailwind v4.
+// `options.colorSpace` defaults to "oklch" for "shadcn" and "hex" otherwise.
+function formatSemanticTokens(result, format = 'css', options = {}) {
+    const { colorSpace = format === 'shadcn' ? 'oklch' : 'hex' } = options;
+
+    if (format === 'css') {
+        return cssVariables(result, colorSpace);
+    }
+    if (format === 'tailwind') {
+        const colors = JSON.stringify(tailwindColors(), null, 2).replace(/\n/g, '\n    ');
+        return `// Reads the variables from the "css" output; toggle dark mode with the .dark class
+module.exports = {
+  darkMode: 'class',
+  theme: {
+    extend: {
+      colors: ${colors.replace(/\n/g, '\n  ')}
+    }
+  }
+}`;
+    }
+    if (format === 'shadcn') {
+        const theme = TOKENS.map(([token]) => `  --color-${token}: var(--${token});`).join('\n');
+        return `@import "tailwindcss";
+
+@custom-variant dark (&:is(.dark *));
+
+${cssVariables(result, colorSpace, ['  --radius: 0.625rem;'])}
+
+@theme inline {
+  --radius-sm: calc(var(--radius) - 4px);
+  --radius-md: calc(var(--radius) - 2px);
+  --radius-lg: var(--radius);
+  --radius-xl: calc(var(--radius) + 4px);
+${theme}
+}
+
+@layer base {
+  * {
+    @apply border-border outline-ring/50;
+  }
+  body {
+    @apply bg-background text-foreground;
+  }
+}`;
+    }
+    throw new Error(`Unknown format "${format}": expected one of ${SEMANTIC_FORMATS.join(', ')}`);
+}
+
+// Files a format produces, for opening in editors: the "tailwind" config
+// reads the CSS variables, so those come with it
+function semanticTokenFiles(result, format = 'css', options = {}) {
+    if (format === 'tailwind') {
+        return [
+            { language: 'css', content: formatSemanticTokens(result, 'css', options) },
+            { language: 'javascript', content: formatSemanticTokens(result, 'tailwind', options) },
+        ];
+    }
+    return [{ language: 'css', content: formatSemanticTokens(result, format, options) }];
+}
+
+function sourceLabel({ palette, shade, value }) {
+    return palette ? `${palette}-${shade} (${value})` : value;
+}
+
+// Role assignments, token mapping and contrast checks, used in tool responses
+function describeSemanticTokens(result) {
+    const roles = PALETTE_ROLES
+        .map(role => `- ${role}: ${result.roles[role]}${result.derived.includes(role) ? ' (generated)' : ''}`)
+        .join('\n');
+    const mapping = TOKENS
+        .map(([token]) => `- ${token}: ${sourceLabel(result.light[token])} / ${sourceLabel(result.dark[token])}`)
+        .join('\n');
+    const checks = result.checks
+        .map(({ mode, token, surface, ratio, minimum, pass }) => `- ${mode} ${token} on ${surface}: ${ratio.toFixed(2)}:1 ${pass ? `(meets ${minimum}:1)` : `(FAILS ${minimum}:1)`}`)
+        .join('\n');
+    const adjustments = result.adjustments
+        .map(({ mode, token, from, to }) => `- ${mode} ${token}: ${sourceLabel(from)} → ${sourceLabel(to)}`)
+        .join('\n');
+
+    return `Palette roles:
+${roles}
+
+Tokens (light / dark):
+${mapping}
+
+Contrast checks:
+${checks}
+
+${adjustments ? `Moved for contrast:\n${adjustments}` : 'No tokens needed moving for contrast.'}`;
+}
+
+module.exports = {
+    SEMANTIC_FORMATS,
+    PALETTE_ROLES,
+    generateSemanticTokens,
+    formatSemanticTokens,
+    semanticTokenFiles,
+    describeSemanticTokens,
+};
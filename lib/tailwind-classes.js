@@ -0,0 +1,131 @@
+const { isValidColor } = require('./color-engine');
+
+// Finds Tailwind color utilities (`bg-primary-600`, `hover:text-brand-50/80`,
+// `from-[#ff0000]`) in source text and resolves them to CSS colors.
+
+// Utilities that take a color, longest first so `border-t-red-500` is not
+// read as `border` + `t-red-500`
+const COLOR_UTILITIES = [
+    'ring-offset', 'inset-shadow', 'inset-ring', 'placeholder', 'decoration',
+    'border-x', 'border-y', 'border-t', 'border-r', 'border-b', 'border-l', 'border-s', 'border-e',
+    'outline', 'divide', 'border', 'accent', 'shadow', 'stroke', 'caret', 'ring', 'text', 'fill',
+    'from', 'via', 'bg', 'to',
+];
+
+// Candidate class tokens: anything between whitespace, quotes and braces
+const TOKEN_PATTERN = /[^\s"'`{}<>;]+/g;
+
+// variants, optional `!`, utility body, optional `/opacity`, optional trailing `!`
+const CLASS_PATTERN = /^((?:[\w-]+:|\[[^\]]*\]:|@[\w-]+:)*)!?([a-z][\w-]*-(?:\[[^\]\s]+\]|[\w.-]+))(?:\/(\d{1,3}|\[[^\]\s]+\]))?!?$/;
+
+function parseOpacity(value) {
+    if (value === undefined) return 1;
+    const raw = value.startsWith('[') ? value.slice(1, -1) : `${value}%`;
+    const number = parseFloat(raw);
+    if (Number.isNaN(number)) return 1;
+    return Math.min(1, Math.max(0, raw.endsWith('%') ? number / 100 : number));
+}
+
+// Value inside `[...]`, with Tailwind's `_` for spaces and an optional `color:` hint
+function parseArbitrary(value) {
+    const css = value.slice(1, -1).replace(/^color:/, '').replace(/_/g, ' ');
+    return isValidColor(css) ? css : null;
+}
+
+// Resolve a utility body like `bg-primary-600` against `colors` (class name
+// to CSS value). Returns `{ utility, name, value, arbitrary }` or null.
+function resolveUtility(body, colors) {
+    for (const utility of COLOR_UTILITIES) {
+        if (!body.startsWith(`${utility}-`)) continue;
+
+        const name = body.slice(utility.length + 1);
+        if (name.startsWith('[')) {
+            const value = parseArbitrary(name);
+            if (value) return { utility, name, value, arbitrary: true };
+        } else if (Object.prototype.hasOwnProperty.call(colors, name) && isValidColor(colors[name])) {
+            return { utility, name, value: colors[name], arbitrary: false };
+        }
+    }
+    return null;
+}
+
+// Every resolvable color class in `text`. Offsets point at the utility
+// itself, after any variants such as `hover:` or `md:`.
+function findColorClasses(text, colors) {
+    const matches = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    let token;
+    while ((token = TOKEN_PATTERN.exec(text)) !== null) {
+        const parsed = CLASS_PATTERN.exec(token[0]);
+        if (!parsed) continue;
+
+        const [className, variants, body, opacity] = parsed;
+        const resolved = resolveUtility(body, colors);
+        if (!resolved) continue;
+
+        const start = token.index + variants.length;
+        matches.push({
+            ...resolved,
+            className,
+            start,
+            end: token.index + className.length,
+            opacity: parseOpacity(opacity),
+        });
+    }
+
+    return matches;
+}
+
+// Flatten `{ sky: { 500: ... }, black: ... }` into class names (`sky-500`,
+// `black`); a `DEFAULT` shade is the bare name, as in Tailwind
+function colorClassNames(colors, prefix = '') {
+    const names = {};
+    Object.entries(colors).forEach(([key, value]) => {
+        const name = key === 'DEFAULT' ? prefix.replace(/-$/, '') : `${prefix}${key}`;
+        if (value && typeof value === 'object') {
+            Object.assign(names, colorClassNames(value, `${name}-`));
+        } else if (typeof value === 'string') {
+            names[name] = value;
+        }
+    });
+    return names;
+}
+
+// Start of a Tailwind v4 `@theme` block, including `@theme inline` and the like
+const THEME_BLOCK_PATTERN = /@theme\b[^{;]*\{/g;
+
+// `--color-primary-500: oklch(...)` inside a block
+const THEME_COLOR_PATTERN = /--color-([\w-]+)\s*:\s*([^;{}]+?)\s*(?:;|})/g;
+
+// Colors a stylesheet defines in its `@theme` blocks, keyed by class name
+// (`primary-500`). Later definitions of a name win, as they do in Tailwind.
+function readThemeColors(source) {
+    const css = source.replace(/\/\*[\s\S]*?\*\//g, '');
+    const colors = {};
+    THEME_BLOCK_PATTERN.lastIndex = 0;
+
+    let block;
+    while ((block = THEME_BLOCK_PATTERN.exec(css)) !== null) {
+        let depth = 1;
+        let end = THEME_BLOCK_PATTERN.lastIndex;
+        while (end < css.length && depth > 0) {
+            if (css[end] === '{') depth++;
+            if (css[end] === '}') depth--;
+            end++;
+        }
+        for (const [, name, value] of css.slice(THEME_BLOCK_PATTERN.lastIndex, end).matchAll(THEME_COLOR_PATTERN)) {
+            colors[name] = value;
+        }
+    }
+
+    return colors;
+}
+
+module.exports = {
+    COLOR_UTILITIES,
+    findColorClasses,
+    resolveUtility,
+    colorClassNames,
+    readThemeColors,
+};
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { formatColor } = require('./color-engine');
+
+// Reads and edits tailwind.config.* files. The file is parsed to locate the
+// exported config object, then changed with minimal text edits at the AST
+// node offsets, so existing keys, comments and formatting are left untouched.
+// Shared by the extension and the MCP server.
+
+const CONFIG_FILE_NAMES = [
+    'tailwind.config.js',
+    'tailwind.config.cjs',
+    'tailwind.config.mjs',
+    'tailwind.config.ts',
+];
+
+// Directories never worth descending into when looking for a config
+const IGNORED_DIRECTORIES = new Set(['node_modules', 'dist', 'build', 'out', 'coverage']);
+
+// Find tailwind.config.* files under `rootDir`, shallowest first
+function findTailwindConfigs(rootDir, maxDepth = 4) {
+    return findProjectFiles(rootDir, name => CONFIG_FILE_NAMES.includes(name), maxDepth);
+}
+
+// Files under `rootDir` whose name passes `matches`, shallowest first,
+// skipping dependencies, build output and dot-directories
+function findProjectFiles(rootDir, matches, maxDepth = 4) {
+    const found = [];
+    const queue = [{ dir: rootDir, depth: 0 }];
+
+    while (queue.length > 0) {
+        const { dir, depth } = queue.shift();
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            continue;
+        }
+
+        entries.forEach(entry => {
+            if (entry.isFile() && matches(entry.name)) {
+                found.push(path.join(dir, entry.name));
+            } else if (entry.isDirectory() && depth < maxDepth && !IGNORED_DIRECTORIES.has(entry.name) && !entry.name.startsWith('.')) {
+                queue.push({ dir: path.join(dir, entry.name), depth: depth + 1 });
+            }
+        });
+    }
+
+    return found;
+}
+
+function parseConfig(source) {
+    return parse(source, { sourceType: 'unambiguous', plugins: ['typescript'] });
+}
+
+// Strip `satisfies Config`, `as Config` and the like
+function unwrap(node) {
+    while (node && ['TSSatisfiesExpression', 'TSAsExpression', 'TSNonNullExpression'].includes(node.type)) {
+        node = node.expression;
+    }
+    return node;
+}
+
+function keyName(property) {
+    if (property.computed || !property.key) return null;
+    const { key } = property;
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+    return null;
+}
+
+function findProperty(objectNode, name) {
+    return objectNode.properties.find(property => property.type === 'ObjectProperty' && keyName(property) === name);
+}
+
+// Locate the object literal the file exports: `module.exports = {...}`,
+// `export default {...}`, `export default defineConfig({...})` or an
+// identifier bound to one of those at the top level.
+function findConfigObject(ast) {
+    const declarations = {};
+    ast.program.body.forEach(statement => {
+        const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+        if (declaration && declaration.type === 'VariableDeclaration') {
+            declaration.declarations.forEach(declarator => {
+                if (declarator.id.type === 'Identifier' && declarator.init) {
+                    declarations[declarator.id.name] = declarator.init;
+                }
+            });
+        }
+    });
+
+    const resolve = (node, seen = new Set()) => {
+        node = unwrap(node);
+        if (!node) return null;
+        if (node.type === 'ObjectExpression') return node;
+        if (node.type === 'Identifier' && declarations[node.name] && !seen.has(node.name)) {
+            seen.add(node.name);
+            return resolve(declarations[node.name], seen);
+        }
+        if (node.type === 'CallExpression') {
+            for (const argument of node.arguments) {
+                const resolved = resolve(argument, seen);
+                if (resolved) return resolved;
+            }
+        }
+        return null;
+    };
+
+    for (const statement of ast.program.body) {
+        if (statement.type === 'ExportDefaultDeclaration') {
+            const resolved = resolve(statement.declaration);
+            if (resolved) return resolved;
+        }
+        if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+            const { left, right } = statement.expression;
+            const isModuleExports = left.type === 'MemberExpression' && !left.computed
+                && left.object.type === 'Identifier' && left.object.name === 'module'
+                && left.property.type === 'Identifier' && left.property.name === 'exports';
+            if (isModuleExports) {
+                const resolved = resolve(right);
+                if (resolved) return resolved;
+            }
+        }
+    }
+
+    throw new Error('Could not find the exported Tailwind config object');
+}
+
+// Follow `path` (e.g. ['theme', 'extend', 'colors']) as far as it exists.
+// Returns the deepest object literal reached and the keys still missing.
+function walkObjects(object, keys) {
+    let current = object;
+    for (let i = 0; i < keys.length; i++) {
+        const property = findProperty(current, keys[i]);
+        if (!property) {
+            return { object: current, missing: keys.slice(i) };
+        }
+        const value = unwrap(property.value);
+        if (!value || value.type !== 'ObjectExpression') {
+            throw new Error(`${keys.slice(0, i + 1).join('.')} is not an object literal and cannot be edited automatically`);
+        }
+        current = value;
+    }
+    return { object: current, missing: [] };
+}
+
+// Names already defined under theme.extend.colors
+function readColorNames(source) {
+    const { object, missing } = walkObjects(findConfigObject(parseConfig(source)), ['theme', 'extend', 'colors']);
+    if (missing.length > 0) return [];
+    return object.properties.map(property => property.type === 'ObjectProperty' && keyName(property)).filter(Boolean);
+}
+
+function literalString(node) {
+    node = unwrap(node);
+    if (!node) return null;
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+}
+
+// Flatten a colors object literal into Tailwind class names, e.g.
+// `{ brand: { DEFAULT: '#f00', 50: '#fee' } }` gives `brand` and `brand-50`.
+// Values that are not plain string literals are ignored.
+function flattenColors(object, prefix, colors) {
+    object.properties.forEach(property => {
+        const key = property.type === 'ObjectProperty' && keyName(property);
+        if (!key) return;
+
+        const name = key === 'DEFAULT' ? prefix : prefix ? `${prefix}-${key}` : key;
+        const value = unwrap(property.value);
+        if (value && value.type === 'ObjectExpression') {
+            flattenColors(value, name, colors);
+        } else {
+            const literal = literalString(value);
+            if (literal !== null && name) colors[name] = literal;
+        }
+    });
+    return colors;
+}
+
+// Colors the config defines in theme.colors and theme.extend.colors, keyed
+// by the name used in classes (`primary-600`) with the raw CSS value
+function readConfigColors(source) {
+    const config = findConfigObject(parseConfig(source));
+    const colors = {};
+
+    [['theme', 'colors'], ['theme', 'extend', 'colors']].forEach(keys => {
+        let found;
+        try {
+            found = walkObjects(config, keys);
+        } catch (error) {
+            // Computed colors (e.g. a theme function) cannot be read statically
+            return;
+        }
+        if (found.missing.length === 0) flattenColors(found.object, '', colors);
+    });
+
+    return colors;
+}
+
+// Formatting conventions of the existing file, applied to inserted text
+function detectStyle(source) {
+    const indents = source.split('\n')
+        .map(line => /^([ \t]+)\S/.exec(line))
+        .filter(Boolean)
+        .map(match => match[1]);
+    const unit = indents.some(indent => indent.startsWith('\t'))
+        ? '\t'
+        : ' '.repeat(Math.min(...indents.map(indent => indent.length), 8) || 2);
+
+    const single = (source.match(/'/g) || []).length;
+    const double = (source.match(/"/g) || []).length;
+
+    return {
+        unit: indents.length > 0 ? unit : '  ',
+        quote: double > single ? '"' : '\'',
+        trailingComma: /,\s*\n\s*[}\]]/.test(source),
+    };
+}
+
+function lineIndent(source, offset) {
+    const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+    return /^[ \t]*/.exec(source.slice(lineStart))[0];
+}
+
+function sameLine(source, from, to) {
+    return !source.slice(from, to).includes('\n');
+}
+
+function renderKey(name, style) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) || /^\d+$/.test(name) ? name : `${style.quote}${name}${style.quote}`;
+}
+
+// Render `{ key: value, ... }` across lines; values are functions of their indent
+function renderObject(entries, indent, style) {
+    const inner = indent + style.unit;
+    const lines = entries.map(([key, render]) => `${inner}${key}: ${render(inner)}`);
+    return `{\n${lines.join(',\n')}${style.trailingComma ? ',' : ''}\n${indent}}`;
+}
+
+function renderPalette(palette, colorSpace, style) {
+    return indent => renderObject(
+        Object.entries(palette).map(([shade, hex]) => [shade, () => `${style.quote}${formatColor(hex, colorSpace)}${style.quote}`]),
+        indent,
+        style
+    );
+}
+
+// Offset past the spaces and comments that follow `offset` on its line
+function skipLineTrivia(source, offset) {
+    const trivia = /(?:[ \t]+|\/\*(?:[^*\n]|\*(?!\/))*\*\/|\/\/[^\n]*)*/y;
+    trivia.lastIndex = offset;
+    trivia.exec(source);
+    return trivia.lastIndex;
+}
+
+// Indent of a property of `object` once the palettes are merged in. An
+// object written on one line is spread over several lines (see
+// spreadEdits), its properties one level in from the line it is on.
+function propertyIndent(source, object, property, style) {
+    return sameLine(source, object.start, object.end)
+        ? lineIndent(source, object.start) + style.unit
+        : lineIndent(source, property.start);
+}
+
+// Text edits spreading a non-empty object written on one line over several
+// lines, one property per line with its comments kept in place, and adding
+// `entries` as its last properties
+function spreadEdits(source, object, entries, style) {
+    const outerIndent = lineIndent(source, object.start);
+    const childIndent = outerIndent + style.unit;
+    const { properties } = object;
+    const first = properties[0];
+    const last = properties[properties.length - 1];
+
+    const leading = source.slice(object.start + 1, first.start).trim();
+    const edits = [{ start: object.start + 1, end: first.start, text: `\n${childIndent}${leading ? `${leading} ` : ''}` }];
+    properties.slice(1).forEach((property, index) => {
+        const previous = properties[index];
+        edits.push({ start: previous.end, end: property.start, text: `${source.slice(previous.end, property.start).trim()}\n${childIndent}` });
+    });
+
+    const tail = source.slice(last.end, object.end - 1).trimEnd();
+    const hasComma = tail.replace(/\/\*[^]*?\*\//g, '').includes(',');
+    const rendered = entries.map(([key, render]) => `\n${childIndent}${key}: ${render(childIndent)}`);
+    const text = entries.length > 0
+        ? `${hasComma ? '' : ','}${tail}${rendered.join(',')}${style.trailingComma ? ',' : ''}`
+        : `${!hasComma && style.trailingComma ? ',' : ''}${tail}`;
+    edits.push({ start: last.end, end: object.end, text: `${text}\n${outerIndent}}` });
+    return edits;
+}
+
+// Text edits adding `entries` as the last properties of `object`. A
+// comment after the last property stays on its line.
+function insertionEdits(source, object, entries, style) {
+    const outerIndent = lineIndent(source, object.start);
+    const { properties } = object;
+
+    if (properties.length === 0) {
+        return [{ start: object.start, end: object.end, text: renderObject(entries, outerIndent, style) }];
+    }
+    if (sameLine(source, object.start, object.end)) {
+        return spreadEdits(source, object, entries, style);
+    }
+
+    const first = properties[0];
+    const last = properties[properties.length - 1];
+    const childIndent = sameLine(source, object.start, first.start) ? outerIndent + style.unit : lineIndent(source, first.start);
+    const rendered = entries.map(([key, render]) => `\n${childIndent}${key}: ${render(childIndent)}`).join(',');
+    const afterLast = skipLineTrivia(source, last.end);
+    if (source[afterLast] === ',') {
+        const start = skipLineTrivia(source, afterLast + 1);
+        return [{ start, end: start, text: `${rendered},` }];
+    }
+    return [{ start: last.end, end: afterLast, text: `,${source.slice(last.end, afterLast)}${rendered}` }];
+}
+
+function applyEdits(source, edits) {
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((code, edit) => code.slice(0, edit.start) + edit.text + code.slice(edit.end), source);
+}
+
+// Merge palettes into theme.extend.colors. Existing names are left alone
+// unless `options.overwrite` is true or lists them. Returns the new source,
+// the text edits (offsets into the original source) that produce it, and
+// which names were added, replaced and skipped.
+function mergePaletteIntoConfig(source, palettes, options = {}) {
+    const { overwrite = false, colorSpace = 'hex' } = options;
+    const style = detectStyle(source);
+    const { object, missing } = walkObjects(findConfigObject(parseConfig(source)), ['theme', 'extend', 'colors']);
+    const result = { edits: [], added: [], replaced: [], skipped: [] };
+    const additions = [];
+
+    palettes.forEach(({ name, palette }) => {
+        const existing = missing.length === 0 && findProperty(object, name);
+
+        if (!existing) {
+            additions.push([renderKey(name, style), renderPalette(palette, colorSpace, style)]);
+            result.added.push(name);
+        } else if (overwrite === true || (Array.isArray(overwrite) && overwrite.includes(name))) {
+            const text = renderPalette(palette, colorSpace, style)(propertyIndent(source, object, existing, style));
+            result.edits.push({ start: existing.value.start, end: existing.value.end, text });
+            result.replaced.push(name);
+        } else {
+            result.skipped.push(name);
+        }
+    });
+
+    if (additions.length > 0) {
+        // Wrap the new palettes in whichever of theme/extend/colors is missing
+        const entries = missing.reduceRight(
+            (inner, key) => [[key, indent => renderObject(inner, indent, style)]],
+            additions
+        );
+        result.edits.push(...insertionEdits(source, object, entries, style));
+    } else if (result.replaced.length > 0 && sameLine(source, object.start, object.end)) {
+        // The replacements span lines, so the object holding them does too
+        result.edits.push(...spreadEdits(source, object, [], style));
+    }
+
+    return { code: applyEdits(source, result.edits), ...result };
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    findTailwindConfigs,
+    findProjectFiles,
+    parseConfig,
+    findConfigObject,
+    readColorNames,
+    readConfigColors,
+    mergePaletteIntoConfig,
+};
@@ -5,64 +5,42 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
     CallToolRequestSchema,
     ListToolsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    ListPromptsRequestSchema,
+    GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import chroma from 'chroma-js';
-
-// Tailwind's standard shade structure
-const TAILWIND_SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
-
-// Generate a complete Tailwind-compatible color palette from a base color
-function generateTailwindPalette(baseColor, name = 'primary') {
-    const base = chroma(baseColor);
-    const palette = {};
-
-    TAILWIND_SHADES.forEach(shade => {
-        let color;
-        if (shade <= 500) {
-            const ratio = (500 - shade) / 450;
-            const lightness = base.get('hsl.l') + (0.95 - base.get('hsl.l')) * ratio;
-            const saturation = Math.max(0.1, base.get('hsl.s') * (1 - ratio * 0.7));
-            color = chroma.hsl(base.get('hsl.h'), saturation, lightness);
-        } else {
-            const ratio = (shade - 500) / 450;
-            const lightness = base.get('hsl.l') * (1 - ratio * 0.85);
-            const saturation = Math.min(1, base.get('hsl.s') * (1 + ratio * 0.2));
-            color = chroma.hsl(base.get('hsl.h'), saturation, lightness);
-        }
-        palette[shade] = color.hex();
-    });
-
-    return { name, palette };
-}
-
-// Generate Tailwind config format
-function generateTailwindConfig(palettes, format = 'js') {
-    const colors = {};
-    palettes.forEach(({ name, palette }) => {
-        colors[name] = palette;
-    });
-
-    if (format === 'css') {
-        let css = ':root {\\n';
-        Object.entries(colors).forEach(([colorName, shades]) => {
-            Object.entries(shades).forEach(([shade, hex]) => {
-                css += `  --color-${colorName}-${shade}: ${hex};\\n`;
-            });
-        });
-        css += '}';
-        return css;
-    } else if (format === 'js') {
-        return `module.exports = {
-  theme: {
-    extend: {
-      colors: ${JSON.stringify(colors, null, 8)}
-    }
-  }
-}`;
-    } else {
-        return JSON.stringify(colors, null, 2);
-    }
-}
+import fs from 'fs';
+import path from 'path';
+import {
+    generateTailwindPalette,
+    applyPaletteMode,
+    generateTailwindConfig,
+    describePalette,
+    analyzeColor,
+    describeColorAnalysis,
+    findNearestTailwindColors,
+    describeNearestColors,
+} from './lib/color-engine.js';
+import { findTailwindConfigs, mergePaletteIntoConfig } from './lib/tailwind-config.js';
+import { generateColorScheme, describeColorScheme } from './lib/color-schemes.js';
+import { generateSemanticTokens, semanticTokenFiles, describeSemanticTokens } from './lib/semantic-tokens.js';
+import { applyContrastTargets, describeContrastTargets, contrastMatrix, formatContrastMatrix, resolvePalettes } from './lib/contrast.js';
+import { exportPalettes } from './lib/exporters.js';
+import { importPalettes, mergeImports, importFiles, findColorSources, describeImport } from './lib/importers.js';
+import { simulateColorBlindness, formatColorBlindness } from './lib/color-vision.js';
+import {
+    REGISTRY_FILE_NAME,
+    readRegistry,
+    writeRegistry,
+    savePalette,
+    getPalette,
+    listPalettes,
+    describeRegistry,
+    describeRegistryPalette,
+} from './lib/palette-registry.js';
+import { RESOURCE_TEMPLATES, PROMPTS, listResources, readResource, getPrompt } from './lib/mcp-context.js';
 
 const server = new Server(
     {
@@ -72,10 +50,18 @@ const server = new Server(
     {
         capabilities: {
             tools: {},
+            resources: { listChanged: true },
+            prompts: {},
         },
     }
 );
 
+// The palette registry: the file the extension points the server at, or
+// .tailwind-colors.json in the working directory
+function registryPath() {
+    return process.env.TAILWIND_COLORS_REGISTRY || path.join(process.cwd(), REGISTRY_FILE_NAME);
+}
+
 // List available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
@@ -96,8 +82,37 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                         },
                         format: {
                             type: 'string',
-                            enum: ['js', 'css', 'json'],
-                            description: 'Output format (default: "js")',
+                            enum: ['js', 'css', 'json', 'tailwind4'],
+                            description: 'Output format: "js" (Tailwind v3 config), "css" (:root variables), "json", or "tailwind4" (@theme block for app.css) (default: "js")',
+                        },
+                        colorSpace: {
+                            type: 'string',
+                            enum: ['hex', 'rgb', 'oklch'],
+                            description: 'How colors are written: "hex", "rgb" or "oklch" (default: "oklch" for "tailwind4", "hex" otherwise)',
+                        },
+                        algorithm: {
+                            type: 'string',
+                            enum: ['hsl', 'oklch', 'lab'],
+                            description: 'Palette generation algorithm: "hsl" lightness lerp, "oklch" perceptual scale close to Tailwind v4\'s defaults, or "lab" perceptual scale in CIELAB (default: "hsl")',
+                        },
+                        hueShift: {
+                            type: 'number',
+                            description: 'Degrees to rotate the hue at the 50 and 950 ends for "oklch"/"lab": positive gives warm lights and cool darks, negative the reverse (default: 0)',
+                        },
+                        anchorShade: {
+                            type: 'number',
+                            enum: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950],
+                            description: 'Shade that keeps the exact base color (default: the shade whose lightness is closest to the base color)',
+                        },
+                        contrastTargets: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Contrast guarantees as "<text> on <background> >= <minimum>". Each side is a shade or a color, and the minimum is a WCAG ratio or AA, AAA, AA-large, AAA-large or UI, e.g. ["600 on 50 >= 4.5", "white on 500 >= AA"]. Shades are nudged in lightness as little as needed, the anchor shade only as a last resort',
+                        },
+                        mode: {
+                            type: 'string',
+                            enum: ['light', 'dark'],
+                            description: 'Color mode: "light" (default) or "dark", which adds a dark scale with the same shade names. It runs from dark surfaces at 50 to light text at 950 with muted chroma at both ends, so bg-<name>-50 text-<name>-900 works in both modes. "css" and "tailwind4" output override the shade variables under @media (prefers-color-scheme: dark) and .dark; "js" and "json" add a "<name>-dark" color for dark: variant classes',
                         },
                     },
                     required: ['baseColor'],
@@ -105,28 +120,45 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             {
                 name: 'generate_color_scheme',
-                description: 'Generate a complete color scheme with multiple palettes using predefined strategies',
+                description: 'Generate a complete color scheme with multiple palettes using color harmony strategies. Reports the base colors, the base hue and the seed behind a random hue',
                 inputSchema: {
                     type: 'object',
                     properties: {
                         strategy: {
                             type: 'string',
-                            enum: ['complementary', 'analogous', 'monochromatic', 'triadic'],
-                            description: 'Color harmony strategy to use',
+                            enum: ['complementary', 'analogous', 'monochromatic', 'triadic', 'split-complementary', 'tetradic', 'square', 'compound', 'neutral-accent'],
+                            description: 'Color harmony strategy: "complementary", "analogous", "monochromatic", "triadic", "split-complementary" (base plus the two hues beside its complement), "tetradic" (two complementary pairs 60° apart), "square" (four hues 90° apart), "compound" (base, a neighbour, its complement and the complement\'s neighbour) or "neutral-accent" (base, a gray tinted with its hue and a complementary accent)',
                         },
                         baseHue: {
                             type: 'number',
-                            description: 'Base hue (0-360 degrees) for the color scheme',
+                            description: 'Base hue (0-360 degrees) for the color scheme. When omitted a hue is picked from `seed`',
+                        },
+                        seed: {
+                            type: 'number',
+                            description: 'Seed for the random base hue used when baseHue is omitted. The response reports the seed it used, so passing it back reproduces the scheme',
+                        },
+                        saturation: {
+                            type: 'number',
+                            description: 'Saturation (0-100) of the base colors in HSL (default: 80)',
+                        },
+                        lightness: {
+                            type: 'number',
+                            description: 'Lightness (0-100) of the base colors in HSL (default: 60)',
                         },
                         colorNames: {
                             type: 'array',
                             items: { type: 'string' },
-                            description: 'Names for the generated color palettes',
+                            description: 'Names for the generated color palettes (default: primary, secondary, accent; primary, neutral, accent for "neutral-accent"). Extra colors are named color4 and so on',
                         },
                         format: {
                             type: 'string',
-                            enum: ['js', 'css', 'json'],
-                            description: 'Output format (default: "js")',
+                            enum: ['js', 'css', 'json', 'tailwind4'],
+                            description: 'Output format: "js" (Tailwind v3 config), "css" (:root variables), "json", or "tailwind4" (@theme block for app.css) (default: "js")',
+                        },
+                        colorSpace: {
+                            type: 'string',
+                            enum: ['hex', 'rgb', 'oklch'],
+                            description: 'How colors are written: "hex", "rgb" or "oklch" (default: "oklch" for "tailwind4", "hex" otherwise)',
                         },
                     },
                     required: ['strategy'],
@@ -140,12 +172,363 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     properties: {
                         color: {
                             type: 'string',
-                            description: 'Color to analyze in hex, hsl, or named format',
+                            description: 'Color to analyze as hex, rgb(), hsl(), oklch() or a CSS color name',
+                        },
+                    },
+                    required: ['color'],
+                },
+            },
+            {
+                name: 'add_palette_to_tailwind_config',
+                description: 'Generate a palette and merge it into theme.extend.colors of the project\'s tailwind.config.{js,cjs,mjs,ts}, keeping existing keys and formatting. Existing color names are only replaced when "overwrite" is true.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        baseColor: {
+                            type: 'string',
+                            description: 'Base color in hex, hsl, or named format (e.g., "#3B82F6", "hsl(220, 91%, 65%)", "blue")',
+                        },
+                        name: {
+                            type: 'string',
+                            description: 'Name for the color palette (default: "primary")',
+                        },
+                        algorithm: {
+                            type: 'string',
+                            enum: ['hsl', 'oklch', 'lab'],
+                            description: 'Palette generation algorithm (default: "hsl")',
+                        },
+                        anchorShade: {
+                            type: 'number',
+                            enum: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950],
+                            description: 'Shade that keeps the exact base color (default: the shade whose lightness is closest to the base color)',
+                        },
+                        contrastTargets: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Contrast guarantees as "<text> on <background> >= <minimum>". Each side is a shade or a color, and the minimum is a WCAG ratio or AA, AAA, AA-large, AAA-large or UI, e.g. ["600 on 50 >= 4.5", "white on 500 >= AA"]. Shades are nudged in lightness as little as needed, the anchor shade only as a last resort',
+                        },
+                        colorSpace: {
+                            type: 'string',
+                            enum: ['hex', 'rgb', 'oklch'],
+                            description: 'How colors are written into the config (default: "hex")',
+                        },
+                        configPath: {
+                            type: 'string',
+                            description: 'Path to the Tailwind config, absolute or relative to the server\'s working directory (default: the first tailwind.config.* found)',
+                        },
+                        overwrite: {
+                            type: 'boolean',
+                            description: 'Replace the palette if the name already exists (default: false)',
+                        },
+                        dryRun: {
+                            type: 'boolean',
+                            description: 'Return the updated config without writing it (default: false)',
+                        },
+                    },
+                    required: ['baseColor'],
+                },
+            },
+            {
+                name: 'find_nearest_tailwind_color',
+                description: 'Find the default Tailwind colors closest to a color by CIEDE2000 distance (ΔE), e.g. to replace an arbitrary value like text-[#3a7bd5] with a named utility',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        color: {
+                            type: 'string',
+                            description: 'Color to match as hex, rgb(), hsl(), oklch() or a CSS color name',
+                        },
+                        version: {
+                            type: 'string',
+                            enum: ['v3', 'v4'],
+                            description: 'Tailwind default palette to search: "v3" (hex values) or "v4" (oklch values) (default: "v3")',
+                        },
+                        limit: {
+                            type: 'number',
+                            description: 'How many matches to return, nearest first (default: 3)',
                         },
                     },
                     required: ['color'],
                 },
             },
+            {
+                name: 'palette_contrast_matrix',
+                description: 'Compute the WCAG 2.x contrast ratio and APCA Lc of every shade pair in one or more palettes, flagging AA/AAA passes for normal text, large text and UI components',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        palettes: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    baseColor: { type: 'string' },
+                                    shades: { type: 'object', additionalProperties: { type: 'string' } },
+                                },
+                                required: ['name'],
+                            },
+                            minItems: 1,
+                            description: 'Palettes to compare. Each needs a "name" and either "shades" (shade to color, e.g. {"50": "#eff6ff", "500": "#3b82f6"}) or a "baseColor" to generate the palette from',
+                        },
+                        crossPalette: {
+                            type: 'boolean',
+                            description: 'Also compare shades across palettes, not just within each one (default: false)',
+                        },
+                        format: {
+                            type: 'string',
+                            enum: ['markdown', 'json'],
+                            description: 'Output format: markdown tables for chat or JSON for CI (default: "markdown")',
+                        },
+                    },
+                    required: ['palettes'],
+                },
+            },
+            {
+                name: 'generate_semantic_tokens',
+                description: 'Map palettes to semantic design tokens (background, foreground, card, popover, primary, secondary, muted, accent, destructive and their foregrounds, border, input, ring) for light and dark mode, moving foregrounds along their scale until they meet WCAG contrast on their surface',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        palettes: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    baseColor: { type: 'string' },
+                                    shades: { type: 'object', additionalProperties: { type: 'string' } },
+                                },
+                                required: ['name'],
+                            },
+                            minItems: 1,
+                            description: 'Palettes to map, e.g. the output of generate_color_scheme or generate_tailwind_palette. Each needs a "name" and either "shades" (shade to color, e.g. {"50": "#eff6ff", "500": "#3b82f6"}) or a "baseColor" to generate the palette from. Palettes named primary, secondary, accent, neutral (or gray, slate, zinc, stone) and destructive (or danger, error, red) fill those roles; the first palette is primary otherwise',
+                        },
+                        roles: {
+                            type: 'object',
+                            properties: {
+                                primary: { type: 'string' },
+                                secondary: { type: 'string' },
+                                accent: { type: 'string' },
+                                neutral: { type: 'string' },
+                                destructive: { type: 'string' },
+                            },
+                            description: 'Palette name to use for each role when the names do not say, e.g. {"primary": "brand", "neutral": "stone"}. A missing neutral is generated from the primary hue, secondary and accent default to the neutral, and destructive defaults to a red',
+                        },
+                        level: {
+                            type: 'string',
+                            enum: ['AA', 'AAA'],
+                            description: 'WCAG level every foreground must meet on its surface: "AA" (4.5:1) or "AAA" (7:1). The ring must reach 3:1 on the background either way (default: "AA")',
+                        },
+                        format: {
+                            type: 'string',
+                            enum: ['css', 'tailwind', 'shadcn'],
+                            description: 'Output format: "css" (:root variables with a .dark override), "tailwind" (the CSS variables plus a Tailwind v3 config reading them with var(--...)) or "shadcn" (a shadcn/ui globals.css for Tailwind v4) (default: "css")',
+                        },
+                        colorSpace: {
+                            type: 'string',
+                            enum: ['hex', 'rgb', 'oklch'],
+                            description: 'How colors are written: "hex", "rgb" or "oklch" (default: "oklch" for "shadcn", "hex" otherwise)',
+                        },
+                    },
+                    required: ['palettes'],
+                },
+            },
+            {
+                name: 'export_palette',
+                description: 'Export palettes for design tools: W3C Design Tokens (DTCG) for Tokens Studio/Figma, Style Dictionary, Adobe Swatch Exchange (.ase), GIMP/Inkscape (.gpl) or Procreate (.swatches)',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        palettes: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    baseColor: { type: 'string' },
+                                    shades: { type: 'object', additionalProperties: { type: 'string' } },
+                                },
+                                required: ['name'],
+                            },
+                            minItems: 1,
+                            description: 'Palettes to export. Each needs a "name" and either "shades" (shade to color, e.g. {"50": "#eff6ff", "500": "#3b82f6"}) or a "baseColor" to generate the palette from',
+                        },
+                        format: {
+                            type: 'string',
+                            enum: ['dtcg', 'style-dictionary', 'ase', 'gpl', 'swatches'],
+                            description: 'Export format: "dtcg" (W3C Design Tokens JSON, read by Tokens Studio for Figma), "style-dictionary" (Style Dictionary JSON under "color"), "ase" (Adobe Swatch Exchange for Photoshop, Illustrator and InDesign), "gpl" (GIMP/Inkscape palette) or "swatches" (Procreate, at most 30 colors). "ase" and "swatches" are binary and need "outputPath"',
+                        },
+                        mode: {
+                            type: 'string',
+                            enum: ['light', 'dark'],
+                            description: 'Color mode: "light" (default) or "dark", which also exports each palette\'s dark scale as a "<name>-dark" group',
+                        },
+                        title: {
+                            type: 'string',
+                            description: 'Palette title in formats that carry one ("gpl" and "swatches") (default: the palette names)',
+                        },
+                        outputPath: {
+                            type: 'string',
+                            description: 'File to write, relative to the working directory. Required for "ase" and "swatches"; text formats are returned in the response when omitted',
+                        },
+                    },
+                    required: ['palettes', 'format'],
+                },
+            },
+            {
+                name: 'import_palette',
+                description: 'Read the colors a project already defines - in tailwind.config.*, CSS --color-* variables or a v4 @theme block, DTCG/Tokens Studio/Style Dictionary JSON, or .ase/.gpl swatch files - as palettes. Without a path or content, scans the working directory',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'File to import, relative to the working directory. Its format is taken from the name: tailwind.config.*, .css/.scss/.pcss, .json (design tokens), .ase or .gpl',
+                        },
+                        content: {
+                            type: 'string',
+                            description: 'Text to import instead of a file, e.g. a pasted @theme block or token JSON. Needs "format"',
+                        },
+                        format: {
+                            type: 'string',
+                            enum: ['tailwind-config', 'css', 'tokens', 'ase', 'gpl'],
+                            description: 'Format of "content", or of "path" when its name does not tell: "tailwind-config", "css", "tokens" (DTCG, Tokens Studio or Style Dictionary JSON), "ase" or "gpl"',
+                        },
+                    },
+                },
+            },
+            {
+                name: 'simulate_color_blindness',
+                description: 'Simulate protanopia, deuteranopia, tritanopia and achromatopsia on palettes or a generated color scheme, listing the simulated colors side by side with the originals and flagging pairs of palettes whose 500 shades fall below a ΔE (CIEDE2000) threshold under any simulation',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        palettes: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    baseColor: { type: 'string' },
+                                    shades: { type: 'object', additionalProperties: { type: 'string' } },
+                                },
+                                required: ['name'],
+                            },
+                            minItems: 1,
+                            description: 'Palettes to check, e.g. primary, success, warning and danger. Each needs a "name" and either "shades" (shade to color, e.g. {"50": "#eff6ff", "500": "#3b82f6"}) or a "baseColor" to generate the palette from',
+                        },
+                        scheme: {
+                            type: 'object',
+                            properties: {
+                                strategy: {
+                                    type: 'string',
+                                    enum: ['complementary', 'analogous', 'monochromatic', 'triadic', 'split-complementary', 'tetradic', 'square', 'compound', 'neutral-accent'],
+                                },
+                                baseHue: { type: 'number' },
+                                seed: { type: 'number' },
+                                saturation: { type: 'number' },
+                                lightness: { type: 'number' },
+                                colorNames: { type: 'array', items: { type: 'string' } },
+                            },
+                            required: ['strategy'],
+                            description: 'Instead of "palettes", the options of a generate_color_scheme call whose palettes to check (pass the seed it reported to check the same scheme)',
+                        },
+                        types: {
+                            type: 'array',
+                            items: { type: 'string', enum: ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'] },
+                            description: 'Simulations to run (default: all four). Protanopia and deuteranopia use the Machado et al. (2009) matrices, tritanopia the Brettel et al. (1997) projection and achromatopsia relative luminance',
+                        },
+                        threshold: {
+                            type: 'number',
+                            description: 'CIEDE2000 distance below which two palettes\' 500 shades are flagged as hard to tell apart (default: 10)',
+                        },
+                        format: {
+                            type: 'string',
+                            enum: ['markdown', 'json'],
+                            description: 'Output format: markdown tables for chat or JSON for CI (default: "markdown")',
+                        },
+                    },
+                },
+            },
+            {
+                name: 'list_palettes',
+                description: 'List the palettes saved in the project\'s palette registry (.tailwind-colors.json) with the base color, algorithm and options each was generated from',
+                inputSchema: {
+                    type: 'object',
+                    properties: {},
+                },
+            },
+            {
+                name: 'get_palette',
+                description: 'Get a palette from the project\'s palette registry, with the options it was generated from and its shades in any output format',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            description: 'Name of the saved palette',
+                        },
+                        format: {
+                            type: 'string',
+                            enum: ['js', 'css', 'json', 'tailwind4'],
+                            description: 'Output format: "js" (Tailwind v3 config), "css" (:root variables), "json", or "tailwind4" (@theme block for app.css) (default: "json")',
+                        },
+                        colorSpace: {
+                            type: 'string',
+                            enum: ['hex', 'rgb', 'oklch'],
+                            description: 'How colors are written: "hex", "rgb" or "oklch" (default: "oklch" for "tailwind4", "hex" otherwise)',
+                        },
+                    },
+                    required: ['name'],
+                },
+            },
+            {
+                name: 'save_palette',
+                description: 'Generate a palette and save it in the project\'s palette registry (.tailwind-colors.json) with its base color and options, so the team and later requests can reuse and regenerate it',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            description: 'Name for the palette: letters, digits, dashes and underscores, starting with a letter',
+                        },
+                        baseColor: {
+                            type: 'string',
+                            description: 'Base color in any CSS color syntax (e.g., "#3B82F6", "oklch(62% 0.19 260)", "blue")',
+                        },
+                        algorithm: {
+                            type: 'string',
+                            enum: ['hsl', 'oklch', 'lab'],
+                            description: 'Palette generation algorithm (default: "hsl")',
+                        },
+                        hueShift: {
+                            type: 'number',
+                            description: 'Degrees to rotate the hue at the 50 and 950 ends for "oklch"/"lab" (default: 0)',
+                        },
+                        anchorShade: {
+                            type: 'number',
+                            enum: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950],
+                            description: 'Shade that keeps the exact base color (default: the shade whose lightness is closest to the base color)',
+                        },
+                        contrastTargets: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Contrast guarantees such as ["600 on 50 >= 4.5", "white on 500 >= AA"]',
+                        },
+                        mode: {
+                            type: 'string',
+                            enum: ['light', 'dark'],
+                            description: '"dark" also saves a dark scale with the same shade names (default: "light")',
+                        },
+                        overwrite: {
+                            type: 'boolean',
+                            description: 'Replace a saved palette with the same name (default: false)',
+                        },
+                    },
+                    required: ['name', 'baseColor'],
+                },
+            },
         ],
     };
 });
@@ -156,110 +539,312 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     try {
         if (name === 'generate_tailwind_palette') {
-            const { baseColor, name: paletteName = 'primary', format = 'js' } = args;
-            const palette = generateTailwindPalette(baseColor, paletteName);
-            const config = generateTailwindConfig([palette], format);
+            const {
+                baseColor,
+                name: paletteName = 'primary',
+                format = 'js',
+                colorSpace,
+                algorithm = 'hsl',
+                hueShift = 0,
+                anchorShade,
+                contrastTargets,
+                mode = 'light'
+            } = args;
+            const palette = applyPaletteMode(applyContrastTargets(generateTailwindPalette(baseColor, paletteName, { algorithm, hueShift, anchorShade }), contrastTargets), mode);
+            const config = generateTailwindConfig([palette], format, { colorSpace });
 
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `Generated Tailwind palette for "${paletteName}" from base color "${baseColor}":
+                        text: `Generated Tailwind palette for "${paletteName}" from base color "${baseColor}" (${algorithm}, anchored at ${paletteName}-${palette.anchorShade}${palette.dark ? ', with a dark scale' : ''}):
 
 ${config}
 
 Palette details:
-${Object.entries(palette.palette).map(([shade, hex]) => `- ${paletteName}-${shade}: ${hex}`).join('\\n')}`,
+${describePalette(palette)}${contrastTargets ? `\n\n${describeContrastTargets(palette)}` : ''}`,
                     },
                 ],
             };
         }
 
         if (name === 'generate_color_scheme') {
+            const { format = 'js', colorSpace, ...options } = args;
+            const scheme = generateColorScheme(options);
+            const config = generateTailwindConfig(scheme.palettes, format, { colorSpace });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: describeColorScheme(scheme, config),
+                    },
+                ],
+            };
+        }
+
+        if (name === 'analyze_color') {
+            const { color } = args;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: describeColorAnalysis(color, analyzeColor(color)),
+                    },
+                ],
+            };
+        }
+
+        if (name === 'add_palette_to_tailwind_config') {
             const {
-                strategy,
-                baseHue = Math.random() * 360,
-                colorNames = ['primary', 'secondary', 'accent'],
-                format = 'js'
+                baseColor,
+                name: paletteName = 'primary',
+                algorithm = 'hsl',
+                anchorShade,
+                contrastTargets,
+                colorSpace = 'hex',
+                configPath,
+                overwrite = false,
+                dryRun = false
             } = args;
 
-            // Define color strategies
-            const strategies = {
-                complementary: (hue) => [
-                    chroma.hsl(hue, 0.8, 0.6),
-                    chroma.hsl(hue + 180, 0.8, 0.6),
-                    chroma.hsl(hue + 90, 0.7, 0.5),
+            const resolvedPath = configPath
+                ? path.resolve(process.cwd(), configPath)
+                : findTailwindConfigs(process.cwd())[0];
+            if (!resolvedPath || !fs.existsSync(resolvedPath)) {
+                throw new Error(configPath
+                    ? `Tailwind config not found: ${resolvedPath}`
+                    : `No tailwind.config.{js,cjs,mjs,ts} found under ${process.cwd()}`);
+            }
+
+            const palette = applyContrastTargets(generateTailwindPalette(baseColor, paletteName, { algorithm, anchorShade }), contrastTargets);
+            const source = fs.readFileSync(resolvedPath, 'utf8');
+            const result = mergePaletteIntoConfig(source, [palette], { overwrite, colorSpace });
+
+            if (!dryRun && result.edits.length > 0) {
+                fs.writeFileSync(resolvedPath, result.code);
+            }
+
+            const summary = [
+                result.added.length > 0 && `Added: ${result.added.join(', ')}`,
+                result.replaced.length > 0 && `Replaced: ${result.replaced.join(', ')}`,
+                result.skipped.length > 0 && `Skipped (already defined, pass "overwrite": true to replace): ${result.skipped.join(', ')}`,
+            ].filter(Boolean).join('\n');
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `${dryRun ? 'Dry run for' : result.edits.length > 0 ? 'Updated' : 'No changes to'} ${resolvedPath} (theme.extend.colors):
+${summary}
+
+Palette details:
+${describePalette(palette)}${contrastTargets ? `\n\n${describeContrastTargets(palette)}` : ''}${dryRun ? `\n\nResulting config:\n${result.code}` : ''}`,
+                    },
                 ],
-                analogous: (hue) => [
-                    chroma.hsl(hue, 0.8, 0.6),
-                    chroma.hsl(hue + 30, 0.8, 0.6),
-                    chroma.hsl(hue - 30, 0.8, 0.6),
+            };
+        }
+
+        if (name === 'find_nearest_tailwind_color') {
+            const { color, version = 'v3', limit = 3 } = args;
+            const matches = findNearestTailwindColors(color, { version, limit });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: describeNearestColors(color, matches, `Tailwind ${version}`),
+                    },
                 ],
-                monochromatic: (hue) => [
-                    chroma.hsl(hue, 0.8, 0.6),
-                    chroma.hsl(hue, 0.6, 0.5),
-                    chroma.hsl(hue, 0.9, 0.7),
+            };
+        }
+
+        if (name === 'palette_contrast_matrix') {
+            const { palettes, crossPalette = false, format = 'markdown' } = args;
+            const result = contrastMatrix(palettes, { crossPalette });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: format === 'json'
+                            ? formatContrastMatrix(result, 'json')
+                            : `Contrast matrix for ${result.palettes.map(p => p.name).join(', ')} (rows are text, columns are backgrounds):
+
+${formatContrastMatrix(result, 'markdown')}`,
+                    },
                 ],
-                triadic: (hue) => [
-                    chroma.hsl(hue, 0.8, 0.6),
-                    chroma.hsl(hue + 120, 0.8, 0.6),
-                    chroma.hsl(hue + 240, 0.8, 0.6),
+            };
+        }
+
+        if (name === 'generate_semantic_tokens') {
+            const { palettes, roles, level = 'AA', format = 'css', colorSpace } = args;
+            const result = generateSemanticTokens(palettes, { roles, level });
+            const files = semanticTokenFiles(result, format, { colorSpace });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Generated semantic tokens (${level}):
+
+${describeSemanticTokens(result)}
+
+${files.map(file => file.content).join('\n\n')}`,
+                    },
                 ],
             };
+        }
 
-            const baseColors = strategies[strategy](baseHue);
-            const palettes = baseColors.map((color, index) => {
-                const name = colorNames[index] || `color${index + 1}`;
-                return generateTailwindPalette(color.hex(), name);
-            });
+        if (name === 'export_palette') {
+            const { palettes, format, mode = 'light', title, outputPath } = args;
+            const resolved = resolvePalettes(palettes).map(palette => applyPaletteMode(palette, mode));
+            const result = exportPalettes(resolved, format, { title });
+            const names = resolved.map(palette => palette.name).join(', ');
 
-            const config = generateTailwindConfig(palettes, format);
+            if (!outputPath) {
+                if (result.binary) {
+                    throw new Error(`"${format}" is a binary format: pass "outputPath" (e.g. "palette.${result.extension}") to write it to a file`);
+                }
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Exported ${names} as ${format}:
+
+${result.content}`,
+                        },
+                    ],
+                };
+            }
+
+            const resolvedPath = path.resolve(process.cwd(), outputPath);
+            fs.writeFileSync(resolvedPath, result.content);
 
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `Generated ${strategy} color scheme (base hue: ${Math.round(baseHue)}°):
+                        text: `Exported ${names} as ${format} to ${resolvedPath} (${Buffer.byteLength(result.content)} bytes)`,
+                    },
+                ],
+            };
+        }
 
-${config}
+        if (name === 'import_palette') {
+            const { path: filePath, content, format } = args;
+            const label = file => path.relative(process.cwd(), file) || file;
+            let sources;
+            let failures = [];
+            if (content !== undefined) {
+                if (!format) throw new Error('"format" is required with "content"');
+                sources = [{ label: 'the given content', result: importPalettes(content, format) }];
+            } else {
+                const files = filePath ? [path.resolve(process.cwd(), filePath)] : findColorSources(process.cwd());
+                if (files.length === 0) {
+                    throw new Error(`No Tailwind configs, stylesheets, token or swatch files found under ${process.cwd()}`);
+                }
+                const imported = importFiles(files, filePath ? format : undefined);
+                failures = imported.failures.map(failure => `${label(failure.file)}: ${failure.message}`);
+                if (imported.sources.length === 0) {
+                    throw new Error(`Could not import ${failures.join('; ')}`);
+                }
+                sources = imported.sources.map(source => ({ label: label(source.file), result: source.result }));
+            }
+            const result = mergeImports(sources.map(source => source.result));
+            const found = sources.filter(source => source.result.palettes.length > 0 || Object.keys(source.result.colors).length > 0);
+            const failed = failures.length > 0
+                ? `\n\nCould not import ${failures.length} file(s):\n${failures.map(failure => `- ${failure}`).join('\n')}`
+                : '';
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Imported ${result.palettes.length} palette(s) and ${Object.keys(result.colors).length} single color(s) from ${found.length > 0 ? found.map(source => source.label).join(', ') : sources.map(source => source.label).join(', ')}:
+
+${describeImport(result)}${failed}
 
-Color breakdown:
-${palettes.map(p => `- ${p.name}: ${Object.entries(p.palette).map(([shade, hex]) => `${shade}(${hex})`).join(', ')}`).join('\\n')}`,
+As palettes for the other tools:
+${JSON.stringify(result.palettes.map(({ name: paletteName, palette }) => ({ name: paletteName, shades: palette })), null, 2)}`,
                     },
                 ],
             };
         }
 
-        if (name === 'analyze_color') {
-            const { color } = args;
-            const chromaColor = chroma(color);
+        if (name === 'simulate_color_blindness') {
+            const { palettes, scheme, types, threshold, format = 'markdown' } = args;
+            const result = simulateColorBlindness(palettes, { scheme, types, threshold });
 
-            const hsl = chromaColor.hsl();
-            const rgb = chromaColor.rgb();
-            const hex = chromaColor.hex();
-            const luminance = chromaColor.luminance();
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: format === 'json'
+                            ? formatColorBlindness(result, 'json')
+                            : `Color vision simulation for ${result.palettes.map(p => p.name).join(', ')}:
+
+${formatColorBlindness(result, 'markdown')}`,
+                    },
+                ],
+            };
+        }
+
+        if (name === 'list_palettes') {
+            const registry = readRegistry(registryPath());
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Palettes in ${registryPath()}:
+
+${describeRegistry(registry)}
+
+As palettes for the other tools:
+${JSON.stringify(listPalettes(registry).map(({ name: paletteName, palette }) => ({ name: paletteName, shades: palette })), null, 2)}`,
+                    },
+                ],
+            };
+        }
+
+        if (name === 'get_palette') {
+            const { name: paletteName, format = 'json', colorSpace } = args;
+            const registry = readRegistry(registryPath());
+            const palette = getPalette(registry, paletteName);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Palette from ${registryPath()}:
+${describeRegistryPalette(registry, paletteName)}
+
+${generateTailwindConfig([palette], format, { colorSpace })}`,
+                    },
+                ],
+            };
+        }
+
+        if (name === 'save_palette') {
+            const { name: paletteName, baseColor, overwrite = false, ...options } = args;
+            const filePath = registryPath();
+            const registry = readRegistry(filePath);
+            if (registry.palettes[paletteName] && !overwrite) {
+                throw new Error(`A palette named "${paletteName}" is already saved (from ${registry.palettes[paletteName].baseColor}): pass "overwrite": true to replace it, or choose another name`);
+            }
+            const result = savePalette(registry, paletteName, baseColor, options);
+            writeRegistry(filePath, result.registry);
+            await server.sendResourceListChanged();
 
             return {
                 content: [
                     {
                         type: 'text',
-                        text: `Color Analysis for "${color}":
-
-Format conversions:
-- Hex: ${hex}
-- RGB: rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})
-- HSL: hsl(${Math.round(hsl[0] || 0)}, ${Math.round(hsl[1] * 100)}%, ${Math.round(hsl[2] * 100)}%)
-
-Properties:
-- Luminance: ${luminance.toFixed(3)}
-- Temperature: ${chromaColor.temperature()}K
-- Brightness: ${Math.round(chromaColor.get('hsl.l') * 100)}%
-- Saturation: ${Math.round(chromaColor.get('hsl.s') * 100)}%
-
-Accessibility:
-- Contrast with white: ${chroma.contrast(chromaColor, 'white').toFixed(2)}
-- Contrast with black: ${chroma.contrast(chromaColor, 'black').toFixed(2)}
-- Recommended text color: ${chroma.contrast(chromaColor, 'white') > 4.5 ? 'white' : 'black'}`,
+                        text: `Saved "${paletteName}" to ${filePath}:
+
+${describeRegistryPalette(result.registry, paletteName)}`,
                     },
                 ],
             };
@@ -271,6 +856,30 @@ Accessibility:
     }
 });
 
+// Resources: Tailwind's default colors, the palette registry and each saved
+// palette as palette://<name>
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResources(readRegistry(registryPath())) };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return { contents: readResource(request.params.uri, readRegistry(registryPath())) };
+});
+
+// Prompts: templates for the usual palette tasks, filled in from the registry
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: PROMPTS };
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return getPrompt(name, args, readRegistry(registryPath()));
+});
+
 // Start the server
 async function main() {
     const transport = new StdioServerTransport();
@@ -0,0 +1,158 @@
+// Palette editor webview. All palette math happens in the extension; this
+// script only sends the editor state and draws what comes back.
+(function () {
+    const vscode = acquireVsCodeApi();
+    const $ = id => document.getElementById(id);
+
+    const FIELDS = ['baseColor', 'name', 'algorithm', 'hueShift', 'anchorShade', 'format', 'colorSpace'];
+    const TEXT_DELAY = 300;
+
+    let state = null;
+    let shades = [];
+    let timer;
+    // Fields typed into but not sent yet, merged so a quick edit to another
+    // field does not drop them
+    let pending = {};
+
+    function update(partial) {
+        clearTimeout(timer);
+        const changes = { ...pending, ...partial };
+        pending = {};
+        state = { ...state, ...changes };
+        vscode.postMessage({ type: 'update', state: changes });
+    }
+
+    function updateLater(partial) {
+        pending = { ...pending, ...partial };
+        clearTimeout(timer);
+        timer = setTimeout(() => update({}), TEXT_DELAY);
+    }
+
+    // Split "600 on 50 >= 4.5, white on rgb(0, 0, 0) >= AA" on top-level commas
+    function splitTargets(value) {
+        return value.split(/,(?![^()]*\))/).map(entry => entry.trim()).filter(Boolean);
+    }
+
+    function syncControls() {
+        FIELDS.forEach(field => {
+            const element = $(field);
+            if (document.activeElement !== element) element.value = state[field];
+        });
+        if (document.activeElement !== $('contrastTargets')) {
+            $('contrastTargets').value = state.contrastTargets.join(', ');
+        }
+        $('hueShiftValue').textContent = `${state.hueShift}°`;
+        $('hueShift').disabled = state.algorithm === 'hsl';
+    }
+
+    function badge(text, contrast) {
+        return `<span class="badge badge-${contrast.label.replace(' ', '-').toLowerCase()}" style="color: ${text}" title="WCAG ${contrast.ratio}:1, APCA Lc ${contrast.apca}">Aa ${contrast.ratio} ${contrast.label}</span>`;
+    }
+
+    function renderSwatches(result) {
+        $('swatches').innerHTML = result.shades.map(shade => `
+            <div class="swatch${shade.locked ? ' locked' : ''}" style="background: ${shade.hex}">
+                <div class="swatch-header" style="color: ${textOn(shade)}">
+                    <strong>${shade.shade}</strong>
+                    ${shade.shade === result.anchorShade ? '<span title="Anchor shade: the exact base color">★</span>' : ''}
+                    ${shade.adjusted ? '<span title="Lightness adjusted to meet a contrast target">◐</span>' : ''}
+                </div>
+                ${badge('#ffffff', shade.white)}
+                ${badge('#000000', shade.black)}
+                <div class="swatch-footer" style="color: ${textOn(shade)}">
+                    <code>${shade.hex}</code>
+                    <span class="swatch-tools">
+                        <input type="color" value="${shade.hex.slice(0, 7)}" data-tweak="${shade.shade}" title="Tweak this shade (locks it)">
+                        <button class="icon" data-lock="${shade.shade}" title="${shade.locked ? 'Unlock' : 'Lock'} this shade">${shade.locked ? '🔒' : '🔓'}</button>
+                    </span>
+                </div>
+            </div>`).join('');
+    }
+
+    function textOn(shade) {
+        return shade.white.ratio >= shade.black.ratio ? '#ffffff' : '#000000';
+    }
+
+    // Light and dark sample cards using the palette the way a UI would
+    function renderPreviews() {
+        const color = value => shades.find(shade => shade.shade === value);
+        const card = (title, background, border, heading, body, button, secondary) => `
+            <div class="card" style="background: ${background.hex}; border-color: ${border.hex}">
+                <h3 style="color: ${heading.hex}">${title}</h3>
+                <p style="color: ${body.hex}">The quick brown fox jumps over the lazy dog.</p>
+                <div class="card-actions">
+                    <span class="sample-button" style="background: ${button.hex}; color: ${textOn(button)}">Primary</span>
+                    <span class="sample-button" style="background: ${secondary.hex}; color: ${heading.hex}">Secondary</span>
+                </div>
+            </div>`;
+
+        $('lightPreview').innerHTML = card('Light', color(50), color(200), color(900), color(700), color(600), color(100));
+        $('darkPreview').innerHTML = card('Dark', color(950), color(800), color(50), color(300), color(500), color(900));
+    }
+
+    function render(result) {
+        $('error').hidden = !result.error;
+        $('error').textContent = result.error || '';
+        document.body.classList.toggle('stale', Boolean(result.error));
+        if (result.error) return;
+
+        shades = result.shades;
+        $('basePicker').value = result.baseHex;
+        renderSwatches(result);
+        renderPreviews();
+        $('contrast').hidden = !result.contrast;
+        $('contrast').textContent = result.contrast;
+        $('output').textContent = result.output;
+    }
+
+    $('basePicker').addEventListener('input', event => {
+        $('baseColor').value = event.target.value;
+        updateLater({ baseColor: event.target.value });
+    });
+    $('baseColor').addEventListener('input', event => updateLater({ baseColor: event.target.value }));
+    $('name').addEventListener('input', event => updateLater({ name: event.target.value }));
+    $('hueShift').addEventListener('input', event => {
+        $('hueShiftValue').textContent = `${event.target.value}°`;
+        updateLater({ hueShift: Number(event.target.value) });
+    });
+    ['algorithm', 'anchorShade', 'format', 'colorSpace'].forEach(field => {
+        $(field).addEventListener('change', event => update({ [field]: event.target.value }));
+    });
+    $('contrastTargets').addEventListener('change', event => update({ contrastTargets: splitTargets(event.target.value) }));
+
+    $('swatches').addEventListener('click', event => {
+        const shade = event.target.dataset.lock;
+        if (!shade) return;
+        const locks = { ...state.locks };
+        if (locks[shade]) {
+            delete locks[shade];
+        } else {
+            locks[shade] = shades.find(candidate => String(candidate.shade) === shade).hex;
+        }
+        update({ locks });
+    });
+    $('swatches').addEventListener('change', event => {
+        const shade = event.target.dataset.tweak;
+        if (shade) update({ locks: { ...state.locks, [shade]: event.target.value } });
+    });
+
+    ['insert', 'copy', 'writeConfig'].forEach(action => {
+        $(action).addEventListener('click', () => {
+            // Send edits still waiting on the debounce first, so the action
+            // uses what is on screen
+            if (Object.keys(pending).length > 0) update({});
+            vscode.postMessage({ type: action });
+        });
+    });
+
+    window.addEventListener('message', event => {
+        const message = event.data;
+        if (message.type === 'render') {
+            state = message.state;
+            syncControls();
+            render(message.result);
+        }
+    });
+
+    vscode.postMessage({ type: 'ready' });
+}());
@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    TAILWIND_SHADES,
+    parseColor,
+    isValidColor,
+    generateTailwindPalette,
+    generateTailwindConfig,
+    findNearestTailwindColors,
+} = require('../lib/color-engine');
+const { readConfigColors } = require('../lib/tailwind-config');
+
+// Shades of #3b82f6 with the default hsl algorithm. The engine is shared by
+// the extension and the MCP server, so any change here changes both outputs.
+const BLUE_HSL = {
+    50: '#eff1f6',
+    100: '#e0e6f0',
+    200: '#c0cfe9',
+    300: '#99b7e8',
+    400: '#6d9dec',
+    500: '#3b82f6',
+    600: '#065ff2',
+    700: '#0148bd',
+    800: '#003284',
+    900: '#001c4b',
+    950: '#00112e',
+};
+
+describe('parseColor', () => {
+    it('reads hex, named and legacy CSS colors', () => {
+        assert.equal(parseColor('#3B82F6').hex(), '#3b82f6');
+        assert.equal(parseColor('#38f').hex(), '#3388ff');
+        assert.equal(parseColor('rebeccapurple').hex(), '#663399');
+        assert.equal(parseColor('rgb(59, 130, 246)').hex(), '#3b82f6');
+        assert.equal(parseColor('  hsl(0, 100%, 50%) ').hex(), '#ff0000');
+    });
+
+    it('reads CSS Color 4 space-separated syntax', () => {
+        assert.equal(parseColor('rgb(59 130 246)').hex(), '#3b82f6');
+        assert.equal(parseColor('hsl(0 100 50)').hex(), '#ff0000');
+        assert.equal(parseColor('oklch(62.3% 0.214 259.815)').hex(), '#2b7fff');
+        assert.equal(parseColor('oklch(0.623 0.214 259.815)').hex(), '#2b7fff');
+        assert.equal(parseColor('oklch(98.5% 0 none)').hex(), '#fafafa');
+    });
+
+    it('keeps alpha', () => {
+        assert.equal(parseColor('rgb(0 0 0 / 50%)').alpha(), 0.5);
+        assert.equal(parseColor('rgba(255, 0, 0, 0.25)').alpha(), 0.25);
+        assert.equal(parseColor('transparent').alpha(), 0);
+    });
+
+    it('rejects missing and invalid colors with a readable message', () => {
+        assert.throws(() => parseColor(''), /^Error: Missing color/);
+        assert.throws(() => parseColor(undefined), /^Error: Missing color/);
+        assert.throws(() => parseColor('notacolor'), /Invalid color "notacolor": expected hex, rgb\(\), hsl\(\), oklch\(\) or a named color/);
+        assert.throws(() => parseColor('rgb(1 2)'), /Invalid color/);
+        assert.equal(isValidColor('#3b82f6'), true);
+        assert.equal(isValidColor('#3b82f'), false);
+    });
+});
+
+describe('generateTailwindPalette', () => {
+    it('produces the same hsl shades for the same input', () => {
+        const result = generateTailwindPalette('#3b82f6', 'brand');
+        assert.deepEqual(result, { name: 'brand', palette: BLUE_HSL, algorithm: 'hsl', anchorShade: 500 });
+        assert.deepEqual(generateTailwindPalette('#3B82F6', 'brand'), result);
+        assert.deepEqual(generateTailwindPalette('rgb(59 130 246)', 'brand').palette, BLUE_HSL);
+    });
+
+    it('returns every shade, lightest first, with the base color at its anchor', () => {
+        ['hsl', 'oklch', 'lab'].forEach(algorithm => {
+            ['#3b82f6', '#ef4444', '#fde047', '#1e293b', '#808080'].forEach(base => {
+                const { palette, anchorShade } = generateTailwindPalette(base, 'primary', { algorithm });
+                assert.deepEqual(Object.keys(palette).map(Number), TAILWIND_SHADES);
+                assert.equal(palette[anchorShade], parseColor(base).hex(), `${algorithm} ${base}`);
+                const lightness = TAILWIND_SHADES.map(shade => parseColor(palette[shade]).get('oklch.l'));
+                lightness.slice(1).forEach((l, index) => {
+                    assert.ok(l < lightness[index], `${algorithm} ${base}: ${TAILWIND_SHADES[index + 1]} is not darker than ${TAILWIND_SHADES[index]}`);
+                });
+            });
+        });
+    });
+
+    it('anchors the base color to a forced shade', () => {
+        const { palette, anchorShade } = generateTailwindPalette('#3b82f6', 'brand', { algorithm: 'oklch', anchorShade: '600' });
+        assert.equal(anchorShade, 600);
+        assert.equal(palette[600], '#3b82f6');
+        assert.throws(() => generateTailwindPalette('#3b82f6', 'brand', { anchorShade: 550 }), /Invalid anchor shade "550"/);
+    });
+
+    it('rejects unknown algorithms and invalid colors', () => {
+        assert.throws(() => generateTailwindPalette('#3b82f6', 'brand', { algorithm: 'hsv' }), /Unknown algorithm "hsv": expected one of hsl, oklch, lab/);
+        assert.throws(() => generateTailwindPalette('nope'), /Invalid color "nope"/);
+    });
+});
+
+describe('generateTailwindConfig', () => {
+    const palettes = [{ name: 'brand', palette: BLUE_HSL }, { name: 'gray', palette: { 50: '#f9fafb', 900: '#111827' } }];
+
+    it('writes a Tailwind v3 config module', () => {
+        const module = {};
+        new Function('module', generateTailwindConfig(palettes, 'js'))(module);
+        assert.deepEqual(module.exports, {
+            theme: { extend: { colors: { brand: BLUE_HSL, gray: { 50: '#f9fafb', 900: '#111827' } } } },
+        });
+    });
+
+    it('writes CSS variables', () => {
+        const css = generateTailwindConfig(palettes, 'css');
+        assert.match(css, /^:root \{\n/);
+        assert.match(css, /\n {2}--color-brand-500: #3b82f6;\n/);
+        assert.match(css, /\n {2}--color-gray-900: #111827;\n\}$/);
+        assert.equal(css.match(/--color-/g).length, 13);
+    });
+
+    it('writes JSON', () => {
+        assert.deepEqual(JSON.parse(generateTailwindConfig(palettes, 'json')), {
+            brand: BLUE_HSL,
+            gray: { 50: '#f9fafb', 900: '#111827' },
+        });
+    });
+
+    it('writes a Tailwind v4 @theme block in oklch by default', () => {
+        const theme = generateTailwindConfig(palettes, 'tailwind4');
+        assert.match(theme, /^@theme \{\n/);
+        assert.match(theme, /--color-brand-500: oklch\(62\.3% 0\.188 259\.815\);/);
+        assert.match(generateTailwindConfig(palettes, 'tailwind4', { colorSpace: 'hex' }), /--color-brand-500: #3b82f6;/);
+        assert.match(generateTailwindConfig(palettes, 'css', { colorSpace: 'rgb' }), /--color-brand-500: rgb\(59 130 246\);/);
+    });
+
+    it('adds dark overrides for palettes with a dark scale', () => {
+        const dark = [{ name: 'brand', palette: { 500: '#3b82f6' }, dark: { 500: '#427dde' } }];
+        const css = generateTailwindConfig(dark, 'css');
+        assert.match(css, /@media \(prefers-color-scheme: dark\) \{\n {2}:root:not\(\.light\) \{\n {4}--color-brand-500: #427dde;/);
+        assert.match(css, /\.dark \{\n {2}--color-brand-500: #427dde;\n\}$/);
+        assert.deepEqual(JSON.parse(generateTailwindConfig(dark, 'json')), { brand: { 500: '#3b82f6' }, 'brand-dark': { 500: '#427dde' } });
+    });
+});
+
+describe('findNearestTailwindColors', () => {
+    it('finds the closest Tailwind defaults', () => {
+        assert.deepEqual(findNearestTailwindColors('#3b82f6', { limit: 1 }), [{ name: 'blue-500', value: '#3b82f6', hex: '#3b82f6', deltaE: 0 }]);
+        assert.equal(findNearestTailwindColors('#3b82f6', { version: 'v4' })[0].name, 'blue-500');
+        assert.throws(() => findNearestTailwindColors('#000', { version: 'v5' }), /Unknown Tailwind version "v5"/);
+    });
+
+    it('never snaps to transparent or translucent colors', () => {
+        const colors = readConfigColors(`module.exports = {
+  theme: {
+    colors: {
+      transparent: 'transparent',
+      current: 'currentColor',
+      black: '#000',
+      brand: { 500: '#3b82f680', 600: '#2563eb' },
+    },
+  },
+}`);
+        assert.deepEqual(findNearestTailwindColors('#000000', { colors, limit: 5 }).map(({ name }) => name), ['black', 'brand-600']);
+        assert.equal(findNearestTailwindColors('#3b82f6', { colors })[0].name, 'brand-600');
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateTailwindPalette, TAILWIND_SHADES, parseColor } = require('../lib/color-engine');
+const {
+    wcagContrast,
+    apcaContrast,
+    wcagLevels,
+    contrastMatrix,
+    formatContrastMatrix,
+    parseContrastTarget,
+    applyContrastTargets,
+} = require('../lib/contrast');
+
+describe('apcaContrast', () => {
+    // Reference values from the APCA-W3 0.0.98G-4g test suite
+    [
+        ['#888888', '#ffffff', 63.056469930209424],
+        ['#ffffff', '#888888', -68.54146436644962],
+        ['#000000', '#aaaaaa', 58.146262578561334],
+        ['#aaaaaa', '#000000', -56.24113336839742],
+        ['#112233', '#ddeeff', 91.66830811481631],
+        ['#ddeeff', '#112233', -93.06770049484275],
+        ['#112233', '#444444', 8.32326136957393],
+        ['#444444', '#112233', -7.526878460278154],
+    ].forEach(([text, background, lc]) => {
+        it(`gives Lc ${lc.toFixed(2)} for ${text} on ${background}`, () => {
+            assert.ok(Math.abs(apcaContrast(text, background) - lc) < 1e-9);
+        });
+    });
+
+    it('clips low contrast to 0', () => {
+        assert.equal(apcaContrast('#777777', '#787878'), 0);
+        assert.equal(apcaContrast('#ffffff', '#ffffff'), 0);
+    });
+});
+
+describe('wcagContrast', () => {
+    it('matches WCAG 2.x ratios', () => {
+        assert.equal(wcagContrast('#000', '#fff'), 21);
+        assert.equal(wcagContrast('#fff', '#fff'), 1);
+        assert.equal(wcagContrast('#767676', '#fff').toFixed(2), '4.54');
+    });
+
+    it('reports the levels a ratio meets per use', () => {
+        assert.deepEqual(wcagLevels(4.5), {
+            normalText: { AA: true, AAA: false },
+            largeText: { AA: true, AAA: true },
+            uiComponents: { AA: true },
+        });
+        assert.deepEqual(wcagLevels(2.9).uiComponents, { AA: false });
+    });
+});
+
+describe('contrastMatrix', () => {
+    const gray = { name: 'gray', shades: { 50: '#ffffff', 500: '#767676', 900: '#000000' } };
+
+    it('pairs every shade with every other shade of a palette', () => {
+        const { pairs, groups } = contrastMatrix([gray]);
+        assert.deepEqual(groups, [{ label: 'gray', tokens: ['gray-50', 'gray-500', 'gray-900'] }]);
+        assert.equal(pairs.length, 6);
+        const pair = pairs.find(({ foreground, background }) => foreground === 'gray-500' && background === 'gray-50');
+        assert.equal(pair.wcag, 4.54);
+        assert.equal(pair.apca, 71.6);
+        assert.equal(pair.passes.normalText.AA, true);
+    });
+
+    it('truncates ratios so a failing pair never reads as passing', () => {
+        const { pairs } = contrastMatrix([{ name: 'x', shades: { 1: '#777777', 2: '#ffffff' } }]);
+        assert.equal(pairs[0].wcag, 4.47);
+        assert.equal(pairs[0].passes.normalText.AA, false);
+    });
+
+    it('pairs shades across palettes with crossPalette', () => {
+        const brand = { name: 'brand', baseColor: '#3b82f6' };
+        assert.equal(contrastMatrix([gray, brand]).pairs.length, 6 + 11 * 10);
+        const cross = contrastMatrix([gray, brand], { crossPalette: true });
+        assert.equal(cross.groups[0].label, 'gray + brand');
+        assert.equal(cross.pairs.length, 14 * 13);
+    });
+
+    it('rejects palettes without shades or a base color', () => {
+        assert.throws(() => contrastMatrix([]), /At least one palette is required/);
+        assert.throws(() => contrastMatrix([{ name: 'x' }]), /Palette "x" needs either "shades" or "baseColor"/);
+    });
+
+    it('formats as JSON for CI', () => {
+        const json = JSON.parse(formatContrastMatrix(contrastMatrix([gray]), 'json'));
+        assert.equal(json.pairs.length, 6);
+    });
+});
+
+describe('parseContrastTarget', () => {
+    it('reads shades, colors, ratios and level names', () => {
+        assert.deepEqual(parseContrastTarget('white on 500 >= aa-large'), {
+            target: 'white on 500 >= aa-large',
+            foreground: { color: '#ffffff' },
+            background: { shade: 500 },
+            minRatio: 3,
+        });
+        assert.deepEqual(parseContrastTarget(' 700 ON #fff ≥ 7 '), {
+            target: '700 ON #fff ≥ 7',
+            foreground: { shade: 700 },
+            background: { color: '#ffffff' },
+            minRatio: 7,
+        });
+        assert.equal(parseContrastTarget('600 on 50 >= AAA').minRatio, 7);
+        assert.equal(parseContrastTarget('600 on 50 >= UI').minRatio, 3);
+    });
+
+    it('rejects malformed targets', () => {
+        assert.throws(() => parseContrastTarget('600 over 50'), /expected "<text> on <background> >= <ratio/);
+        assert.throws(() => parseContrastTarget('600 on 50 >= 25'), /between 1 and 21/);
+        assert.throws(() => parseContrastTarget('500 on 550 >= 3'), /550 is not a Tailwind shade/);
+    });
+});
+
+describe('applyContrastTargets', () => {
+    const brand = generateTailwindPalette('#3b82f6', 'brand', { algorithm: 'oklch' });
+
+    it('nudges shades until every target holds', () => {
+        const result = applyContrastTargets(brand, ['white on 500 >= AA', '600 on 50 >= AAA']);
+        assert.deepEqual(result.contrastTargets, [
+            { target: 'white on 500 >= AA', minRatio: 4.5, ratio: 4.52 },
+            { target: '600 on 50 >= AAA', minRatio: 7, ratio: 7.02 },
+        ]);
+        assert.ok(wcagContrast('#ffffff', result.palette[500]) >= 4.5);
+        assert.ok(wcagContrast(result.palette[600], result.palette[50]) >= 7);
+        assert.deepEqual(result.adjustments.map(({ shade }) => shade), [500, 600, 700]);
+        assert.equal(result.palette[50], brand.palette[50]);
+    });
+
+    it('keeps the shades in order from light to dark', () => {
+        const { palette } = applyContrastTargets(brand, ['white on 400 >= AA', '300 on 50 >= 3']);
+        const lightness = TAILWIND_SHADES.map(shade => parseColor(palette[shade]).get('oklch.l'));
+        lightness.slice(1).forEach((l, index) => assert.ok(l < lightness[index]));
+    });
+
+    it('leaves a palette that already meets its targets alone', () => {
+        const result = applyContrastTargets(brand, ['900 on 50 >= AA']);
+        assert.deepEqual(result.palette, brand.palette);
+        assert.deepEqual(result.adjustments, []);
+        assert.deepEqual(applyContrastTargets(brand, []).palette, brand.palette);
+    });
+
+    it('moves the anchor shade only when nothing else can meet the target', () => {
+        const result = applyContrastTargets(brand, ['700 on 50 >= AAA']);
+        assert.equal(result.palette[500], '#3b82f6');
+    });
+
+    it('never moves locked shades', () => {
+        assert.throws(
+            () => applyContrastTargets(brand, ['white on 500 >= AA'], { locked: [500] }),
+            /Cannot meet contrast target "white on 500 >= AA" \(currently 3\.68:1\): brand-500 cannot move \(locked\)/
+        );
+    });
+
+    it('explains targets that cannot be met', () => {
+        assert.throws(() => applyContrastTargets(brand, ['50 on 50 >= 3']), /a shade has no contrast with itself/);
+        assert.throws(() => applyContrastTargets(brand, ['white on 900 >= 21']), /Cannot meet contrast target "white on 900 >= 21" \(currently 10\.45:1\): no lightness of brand-900 reaches 21:1/);
+        assert.throws(() => applyContrastTargets({ name: 'x', palette: { 500: '#888' } }, ['600 on 500 >= 3']), /x has no 600 shade/);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TAILWIND_SHADES } = require('../lib/color-engine');
+const { exportPalettes } = require('../lib/exporters');
+
+const brand = { name: 'brand', palette: { 500: '#3b82f6', 50: '#eff6ff' }, dark: { 500: '#427dde' } };
+
+describe('exportPalettes', () => {
+    it('writes DTCG tokens with a dark group', () => {
+        const { content, binary, extension } = exportPalettes([brand], 'dtcg');
+        assert.deepEqual(JSON.parse(content), {
+            brand: { 50: { $type: 'color', $value: '#eff6ff' }, 500: { $type: 'color', $value: '#3b82f6' } },
+            'brand-dark': { 500: { $type: 'color', $value: '#427dde' } },
+        });
+        assert.equal(binary, false);
+        assert.equal(extension, 'tokens.json');
+    });
+
+    it('writes Style Dictionary properties under "color"', () => {
+        const { color } = JSON.parse(exportPalettes([{ name: 'gray', palette: { 900: 'rgb(17 24 39)' } }], 'style-dictionary').content);
+        assert.deepEqual(color, { gray: { 900: { value: '#111827', type: 'color' } } });
+    });
+
+    it('writes a GIMP palette, lightest shade first', () => {
+        assert.equal(exportPalettes([brand], 'gpl', { title: 'Brand' }).content, [
+            'GIMP Palette',
+            'Name: Brand',
+            'Columns: 11',
+            '#',
+            '239 246 255\tbrand-50',
+            ' 59 130 246\tbrand-500',
+            ' 66 125 222\tbrand-dark-500',
+            '',
+        ].join('\n'));
+    });
+
+    it('writes Adobe Swatch Exchange groups of RGB colors', () => {
+        const { content, binary } = exportPalettes([{ name: 'x', palette: { 500: '#ff8000' } }], 'ase');
+        assert.equal(binary, true);
+        assert.equal(content.toString('ascii', 0, 4), 'ASEF');
+        assert.equal(content.readUInt32BE(8), 3);
+
+        // Group start "x", then the color "x-500"
+        assert.equal(content.readUInt16BE(12), 0xc001);
+        const color = 12 + 6 + content.readUInt32BE(14);
+        assert.equal(content.readUInt16BE(color), 0x0001);
+        assert.equal(content.readUInt16BE(color + 6), 6);
+        const model = color + 6 + 2 + 6 * 2;
+        assert.equal(content.toString('ascii', model, model + 4), 'RGB ');
+        assert.deepEqual([0, 1, 2].map(i => Math.round(content.readFloatBE(model + 4 + i * 4) * 255)), [255, 128, 0]);
+        assert.equal(content.readUInt16BE(content.length - 6), 0xc002);
+    });
+
+    it('writes Procreate swatches as a zip holding Swatches.json', () => {
+        const { content, extension } = exportPalettes([brand], 'swatches', { title: 'Brand' });
+        assert.equal(extension, 'swatches');
+        assert.equal(content.readUInt32LE(0), 0x04034b50);
+        const nameLength = content.readUInt16LE(26);
+        const size = content.readUInt32LE(22);
+        assert.equal(content.toString('utf8', 30, 30 + nameLength), 'Swatches.json');
+        const data = content.subarray(30 + nameLength, 30 + nameLength + size);
+
+        const [palette] = JSON.parse(data.toString('utf8'));
+        assert.equal(palette.name, 'Brand');
+        assert.equal(palette.swatches.length, 3);
+        const { hue, saturation, brightness, ...rest } = palette.swatches[1];
+        assert.deepEqual([hue * 360, saturation, brightness].map(value => Number(value.toFixed(3))), [217.219, 0.76, 0.965]);
+        assert.deepEqual(rest, { alpha: 1, colorSpace: 0 });
+        // Fixed dates keep the archive byte for byte the same
+        assert.deepEqual(exportPalettes([brand], 'swatches', { title: 'Brand' }).content, content);
+    });
+
+    it('rejects what the formats cannot hold', () => {
+        const full = { name: 'a', palette: Object.fromEntries(TAILWIND_SHADES.map(shade => [shade, '#888888'])) };
+        assert.throws(
+            () => exportPalettes([full, { ...full, name: 'b' }, { ...full, name: 'c' }], 'swatches'),
+            /Procreate palettes hold at most 30 swatches, but these palettes have 33/
+        );
+        assert.throws(() => exportPalettes([brand], 'sketch'), /Unknown export format "sketch": expected one of dtcg, /);
+        assert.throws(() => exportPalettes([], 'dtcg'), /At least one palette is required/);
+    });
+});
@@ -0,0 +1,187 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    parseEasing,
+    generateGradientStops,
+    generateTailwindGradient,
+    tailwindGradientClasses,
+    describeTailwindStrategy,
+} = require('../lib/gradients');
+
+// Tailwind v4's utilities, compiled the way its CLI would for a single class
+async function compileTailwind(className) {
+    const { compile } = require('tailwindcss');
+    const base = path.dirname(require.resolve('tailwindcss/package.json'));
+    const compiler = await compile('@import "tailwindcss/utilities.css";', {
+        base,
+        loadStylesheet: async (id, from) => ({
+            base: from,
+            path: id,
+            content: fs.readFileSync(path.join(base, id.replace(/^tailwindcss\//, '')), 'utf8'),
+        }),
+    });
+    return compiler.build([className]);
+}
+
+describe('generateGradientStops', () => {
+    const colors = gradient => gradient.stops.map(stop => stop.color);
+    const blackToWhite = options => colors(generateGradientStops(['#000000', '#ffffff'], 5, 'to-r', options));
+
+    it('samples evenly spaced stops in sRGB by default', () => {
+        const gradient = generateGradientStops(['#000', '#fff'], 5);
+        assert.deepEqual(gradient.stops.map(stop => stop.position), [0, 25, 50, 75, 100]);
+        assert.deepEqual(colors(gradient), ['#000000', '#404040', '#808080', '#bfbfbf', '#ffffff']);
+        assert.equal(gradient.interpolation, 'srgb');
+    });
+
+    it('mixes in the requested color space', () => {
+        assert.deepEqual(blackToWhite({ interpolation: 'linear-rgb' }), ['#000000', '#898989', '#bcbcbc', '#e1e1e1', '#ffffff']);
+        assert.deepEqual(blackToWhite({ interpolation: 'oklab' }), ['#000000', '#222222', '#636363', '#aeaeae', '#ffffff']);
+        const redToBlue = interpolation => colors(generateGradientStops(['#ff0000', '#0000ff'], 5, 'to-r', { interpolation }));
+        assert.deepEqual(redToBlue('oklch'), ['#ff0000', '#dd007b', '#b200b8', '#7700e7', '#0000ff']);
+        assert.deepEqual(redToBlue('oklch-longer'), ['#ff0000', '#997600', '#00862d', '#007079', '#0000ff']);
+    });
+
+    it('eases each segment and moves the midpoint to a color hint', () => {
+        assert.deepEqual(blackToWhite({ easing: 'ease-in' }), ['#000000', '#181818', '#505050', '#9f9f9f', '#ffffff']);
+        assert.deepEqual(blackToWhite({ hints: [25] }), ['#000000', '#808080', '#b4b4b4', '#dddddd', '#ffffff']);
+        assert.ok(Math.abs(parseEasing('ease-in-out')(0.5) - 0.5) < 1e-6);
+        assert.ok(Math.abs(parseEasing('cubic-bezier(0.4, 0, 0.2, 1)')(0.25) - 0.2366) < 1e-4);
+    });
+
+    it('holds the end colors outside their positions', () => {
+        assert.deepEqual(blackToWhite({ positions: [20, 80] }), ['#000000', '#151515', '#808080', '#eaeaea', '#ffffff']);
+        const gradient = generateGradientStops(['#000', 'red', '#fff'], 3, 'to-br', { positions: [0, 25, 100] });
+        assert.deepEqual(gradient.colorStops, [
+            { color: '#000000', position: 0 },
+            { color: '#ff0000', position: 25 },
+            { color: '#ffffff', position: 100 },
+        ]);
+        assert.equal(gradient.stops[1].color, '#ff5555');
+    });
+
+    it('writes the geometry and interpolation into CSS', () => {
+        const oklch = generateGradientStops(['#000', '#fff'], 3, 'to-r', { interpolation: 'oklch' });
+        assert.equal(generateTailwindGradient(oklch), 'background: linear-gradient(to right in oklch, #000000 0%, #636363 50%, #ffffff 100%);');
+        const radial = generateGradientStops(['#000', '#fff'], 3, 'to-r', { type: 'radial', shape: 'circle', position: 'top' });
+        assert.equal(generateTailwindGradient(radial), 'background: radial-gradient(circle at top, #000000 0%, #808080 50%, #ffffff 100%);');
+        const conic = generateGradientStops(['#000', '#fff'], 2, 'to-r', { type: 'conic', angle: 45, position: '25% 75%' });
+        assert.equal(generateTailwindGradient([conic, radial]), 'background: conic-gradient(from 45deg at 25% 75%, #000000 0%, #ffffff 100%), radial-gradient(circle at top, #000000 0%, #808080 50%, #ffffff 100%);');
+    });
+
+    it('rejects invalid options with a readable message', () => {
+        const generate = options => () => generateGradientStops(['#000', '#fff'], 2, 'to-r', options);
+        assert.throws(() => generateGradientStops(['#000']), /At least 2 colors are required/);
+        assert.throws(() => generateGradientStops(['#000', '#fff'], 2, 'to-x'), /Unknown direction "to-x": expected one of to-t, /);
+        assert.throws(generate({ interpolation: 'hsv' }), /Unknown interpolation "hsv": expected one of srgb, /);
+        assert.throws(generate({ easing: 'bounce' }), /Invalid easing "bounce"/);
+        assert.throws(generate({ positions: [50, 10] }), /Positions must not decrease: 50% is followed by 10%/);
+        assert.throws(generate({ hints: [0] }), /Hint 0% must lie between 0% and 100%/);
+        assert.throws(generate({ type: 'radial', position: 'middle' }), /Invalid position "middle"/);
+    });
+});
+
+describe('tailwindGradientClasses with Tailwind v4', () => {
+    const shapeClass = (options, interpolation) => {
+        const gradient = generateGradientStops(['#3b82f6', '#ef4444'], 2, options.direction, { ...options, interpolation });
+        return tailwindGradientClasses(gradient, { version: 'v4', strategy: 'stops' }).classes.split(' ')[0];
+    };
+
+    it('adds the interpolation as a modifier to named utilities', () => {
+        assert.equal(shapeClass({ direction: 'to-r' }, 'srgb'), 'bg-linear-to-r/srgb');
+        assert.equal(shapeClass({ direction: 'to-r' }, 'oklab'), 'bg-linear-to-r');
+        assert.equal(shapeClass({ angle: -45 }, 'oklch-longer'), '-bg-linear-45/longer');
+        assert.equal(shapeClass({ type: 'radial' }, 'lab'), 'bg-radial/lab');
+        assert.equal(shapeClass({ type: 'conic', angle: 90 }, 'linear-rgb'), 'bg-conic-90/srgb-linear');
+    });
+
+    it('keeps the interpolation inside arbitrary values', () => {
+        assert.equal(shapeClass({ type: 'radial', shape: 'circle', position: 'top left' }, 'oklch'), 'bg-radial-[circle_at_top_left_in_oklch]');
+        assert.equal(shapeClass({ type: 'radial', shape: 'circle', position: 'top left' }, 'srgb'), 'bg-radial-[circle_at_top_left]');
+        assert.equal(shapeClass({ type: 'conic', angle: 45, position: '25% 75%' }, 'oklch-longer'), 'bg-conic-[from_45deg_at_25%_75%_in_oklch_longer_hue]');
+        assert.equal(shapeClass({ type: 'conic', position: 'top' }, 'oklab'), 'bg-conic-[at_top_in_oklab]');
+    });
+
+    it('emits classes Tailwind compiles', async () => {
+        const geometries = [
+            { direction: 'to-br' },
+            { angle: -45 },
+            { type: 'radial' },
+            { type: 'radial', shape: 'circle', position: 'top left' },
+            { type: 'conic', angle: 90 },
+            { type: 'conic', angle: 45, position: '25% 75%' },
+        ];
+        for (const geometry of geometries) {
+            for (const interpolation of ['srgb', 'linear-rgb', 'oklab', 'oklch', 'oklch-longer', 'lab']) {
+                const className = shapeClass(geometry, interpolation);
+                assert.match(await compileTailwind(className), /background-image:/, `${className} generates no CSS`);
+            }
+        }
+    });
+});
+
+describe('tailwindGradientClasses strategies', () => {
+    const gradient = (colors, steps, options = {}) => generateGradientStops(colors, steps, 'to-r', options);
+    const twoColors = gradient(['#3b82f6', '#ef4444'], 2);
+    const threeColors = gradient(['#3b82f6', '#22c55e', '#ef4444'], 10, { positions: [12.5, 40, 80] });
+
+    it('uses from-/via-/to- with positions when they can express the gradient', () => {
+        assert.deepEqual(tailwindGradientClasses(twoColors), { strategy: 'stops', classes: 'bg-gradient-to-r from-[#3b82f6] to-[#ef4444]' });
+        assert.equal(
+            tailwindGradientClasses(threeColors).classes,
+            'bg-gradient-to-r from-[#3b82f6] from-[12.5%] via-[#22c55e] via-40% to-[#ef4444] to-80%'
+        );
+        const v4 = gradient(['#3b82f6', '#22c55e', '#ef4444'], 10, { positions: [10, 42, 90], interpolation: 'oklab' });
+        assert.equal(
+            tailwindGradientClasses(v4, { version: 'v4' }).classes,
+            'bg-linear-to-r from-[#3b82f6] from-10% via-[#22c55e] via-42% to-[#ef4444] to-90%'
+        );
+    });
+
+    it('falls back to an arbitrary value and says why', () => {
+        const cases = [
+            [gradient(['#3b82f6', '#ef4444'], 5, { easing: 'ease-in' }), 'easing "ease-in" needs every sampled stop'],
+            [gradient(['#3b82f6', '#ef4444'], 5, { hints: [30] }), 'color hints need every sampled stop'],
+            [gradient(['#000', '#111', '#222', '#333'], 4), '4 colors need more stops than from-, via- and to- can hold'],
+            [[twoColors, gradient(['#3b82f6', '#ef4444'], 2, { type: 'radial' })], '2 stacked layers only fit in one background-image value'],
+        ];
+        cases.forEach(([input, reason]) => {
+            const result = tailwindGradientClasses(input);
+            assert.equal(result.strategy, 'arbitrary');
+            assert.equal(result.reason, reason);
+            assert.match(result.classes, /^bg-\[[^\s]+\]$/);
+            assert.equal(describeTailwindStrategy(result), `a single bg-[...] arbitrary value (${reason})`);
+        });
+        assert.equal(
+            tailwindGradientClasses(cases[3][0]).classes,
+            'bg-[linear-gradient(to_right,#3b82f6_0%,#ef4444_100%),radial-gradient(#3b82f6_0%,#ef4444_100%)]'
+        );
+    });
+
+    it('writes an arbitrary value on request', () => {
+        assert.deepEqual(tailwindGradientClasses(twoColors, { strategy: 'arbitrary' }), {
+            strategy: 'arbitrary',
+            classes: 'bg-[linear-gradient(to_right,#3b82f6_0%,#ef4444_100%)]',
+        });
+    });
+
+    it('defines a named background image for the config strategy', () => {
+        const v3 = tailwindGradientClasses(twoColors, { strategy: 'config', name: 'hero' });
+        assert.equal(v3.classes, 'bg-hero');
+        assert.match(v3.config, /backgroundImage: \{\n {8}'hero': 'linear-gradient\(to right, #3b82f6 0%, #ef4444 100%\)'/);
+        const v4 = tailwindGradientClasses(twoColors, { strategy: 'config', name: 'hero', version: 'v4' });
+        assert.equal(v4.config, '@theme {\n  --background-image-hero: linear-gradient(to right, #3b82f6 0%, #ef4444 100%);\n}');
+        assert.equal(describeTailwindStrategy(v4), 'a named backgroundImage entry in the Tailwind theme');
+    });
+
+    it('rejects strategies it cannot follow', () => {
+        assert.throws(
+            () => tailwindGradientClasses(gradient(['#000', '#111', '#222', '#333'], 4), { strategy: 'stops' }),
+            /Cannot write this gradient with from-, via- and to- classes: 4 colors need more stops/
+        );
+        assert.throws(() => tailwindGradientClasses(twoColors, { strategy: 'css' }), /Unknown Tailwind strategy "css": expected one of auto, stops, arbitrary, config/);
+        assert.throws(() => tailwindGradientClasses(twoColors, { strategy: 'config', name: 'Hero' }), /Invalid gradient name "Hero"/);
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectImportFormat, importPalettes, mergeImports, importFiles, describeImport } = require('../lib/importers');
+const { exportPalettes } = require('../lib/exporters');
+
+const brand = { name: 'brand', palette: { 50: '#eff6ff', 500: '#3b82f6' }, dark: { 500: '#427dde' } };
+
+describe('detectImportFormat', () => {
+    it('tells the format from the file name', () => {
+        assert.deepEqual(
+            ['tailwind.config.ts', 'src/app.css', 'theme.scss', 'design.tokens.json', 'Brand.ASE', 'brand.gpl'].map(detectImportFormat),
+            ['tailwind-config', 'css', 'css', 'tokens', 'ase', 'gpl']
+        );
+        assert.throws(() => detectImportFormat('notes/colors.txt'), /Cannot tell the format of "colors.txt"/);
+    });
+});
+
+describe('importPalettes', () => {
+    it('groups CSS variables by shade and keeps the first definition', () => {
+        const source = `@theme {
+  --color-brand-500: oklch(62.3% 0.214 259.815);
+  --color-brand-50: #eff6ff;
+  --color-accent: var(--x);
+  --color-ink: #111
+}
+.dark { --color-brand-500: #000; }`;
+        assert.deepEqual(importPalettes(source, 'css'), {
+            palettes: [{ name: 'brand', palette: { 50: '#eff6ff', 500: '#2b7fff' }, baseColor: '#2b7fff' }],
+            colors: { ink: '#111111' },
+            skipped: [{ name: 'accent', value: 'var(--x)' }],
+        });
+    });
+
+    it('reads Tailwind config colors', () => {
+        const source = 'module.exports = { theme: { extend: { colors: { brand: { 500: "#3b82f6" }, white: "#fff" } } } }';
+        assert.deepEqual(importPalettes(source, 'tailwind-config'), {
+            palettes: [{ name: 'brand', palette: { 500: '#3b82f6' }, baseColor: '#3b82f6' }],
+            colors: { white: '#ffffff' },
+            skipped: [],
+        });
+    });
+
+    it('resolves token aliases and ignores other token types', () => {
+        const tokens = {
+            color: {
+                brand: { 500: { $value: '#3b82f6', $type: 'color' }, 600: { $value: '{color.brand.500}', $type: 'color' } },
+            },
+            space: { sm: { $value: '4px', $type: 'dimension' } },
+        };
+        assert.deepEqual(importPalettes(JSON.stringify(tokens), 'tokens').palettes, [
+            { name: 'brand', palette: { 500: '#3b82f6', 600: '#3b82f6' }, baseColor: '#3b82f6' },
+        ]);
+        const studio = { $metadata: { tokenSetOrder: ['global'] }, global: { primary: { 500: { value: '#ff0000', type: 'color' } } } };
+        assert.deepEqual(importPalettes(JSON.stringify(studio), 'tokens').palettes.map(({ name }) => name), ['primary']);
+    });
+
+    it('reads back every format exportPalettes writes', () => {
+        const expected = [
+            { name: 'brand', palette: { 50: '#eff6ff', 500: '#3b82f6' }, baseColor: '#3b82f6' },
+            { name: 'brand-dark', palette: { 500: '#427dde' }, baseColor: '#427dde' },
+        ];
+        [['dtcg', 'tokens'], ['style-dictionary', 'tokens'], ['ase', 'ase'], ['gpl', 'gpl']].forEach(([exportFormat, importFormat]) => {
+            const { palettes, colors, skipped } = importPalettes(exportPalettes([brand], exportFormat).content, importFormat);
+            assert.deepEqual(palettes, expected, exportFormat);
+            assert.deepEqual(colors, {});
+            assert.deepEqual(skipped, []);
+        });
+    });
+
+    it('rejects unknown formats and files that are not palettes', () => {
+        assert.throws(() => importPalettes('', 'sketch'), /Unknown import format "sketch": expected one of tailwind-config, css, tokens, ase, gpl/);
+        assert.throws(() => importPalettes('nope', 'gpl'), /Not a GIMP palette/);
+        assert.throws(() => importPalettes(Buffer.from('nope'), 'ase'), /missing the "ASEF" header/);
+    });
+});
+
+describe('mergeImports', () => {
+    it('combines palettes, the first source of a shade winning', () => {
+        const merged = mergeImports([
+            importPalettes('--color-brand-500: #3b82f6;', 'css'),
+            importPalettes('--color-brand-500: #000; --color-brand-600: #2563eb; --color-x: red; --color-y: currentColor;', 'css'),
+        ]);
+        assert.deepEqual(merged, {
+            palettes: [{ name: 'brand', palette: { 500: '#3b82f6', 600: '#2563eb' }, baseColor: '#3b82f6' }],
+            colors: { x: '#ff0000' },
+            skipped: [{ name: 'y', value: 'currentColor' }],
+        });
+        assert.equal(describeImport(merged), [
+            '- brand (2 shades): 500 #3b82f6, 600 #2563eb',
+            '- Single colors: x #ff0000',
+            '- Skipped (not a color value): y = currentColor',
+        ].join('\n'));
+        assert.equal(describeImport(mergeImports([])), '- No colors found');
+    });
+});
+
+describe('importFiles', () => {
+    it('imports the files it can read and lists the others', () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'import-files-'));
+        try {
+            const good = path.join(root, 'app.css');
+            const bad = path.join(root, 'design.tokens.json');
+            fs.writeFileSync(good, '@theme { --color-brand-500: #3b82f6; }');
+            fs.writeFileSync(bad, '{ broken');
+
+            const { sources, failures } = importFiles([bad, good]);
+            assert.deepEqual(sources.map(({ file }) => file), [good]);
+            assert.deepEqual(sources[0].result.palettes.map(({ name }) => name), ['brand']);
+            assert.equal(failures.length, 1);
+            assert.equal(failures[0].file, bad);
+            assert.match(failures[0].message, /JSON/);
+
+            assert.match(importFiles([path.join(root, 'missing.css')]).failures[0].message, /ENOENT/);
+            assert.deepEqual(importFiles([good], 'gpl').failures.map(({ message }) => message), ['Not a GIMP palette: the file must start with "GIMP Palette"']);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
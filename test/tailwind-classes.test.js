@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findColorClasses, colorClassNames, readThemeColors } = require('../lib/tailwind-classes');
+const { TAILWIND_COLORS } = require('../lib/tailwind-defaults');
+
+describe('findColorClasses', () => {
+    const colors = { 'brand-500': '#3b82f6', white: '#fff' };
+
+    it('resolves named classes with variants and opacity', () => {
+        const [match] = findColorClasses('<p class="md:hover:bg-brand-500/50">', colors);
+        assert.equal(match.utility, 'bg');
+        assert.equal(match.name, 'brand-500');
+        assert.equal(match.value, '#3b82f6');
+        assert.equal(match.opacity, 0.5);
+        assert.equal(match.className, 'md:hover:bg-brand-500/50');
+        assert.equal(match.start, '<p class="md:hover:'.length);
+    });
+
+    it('resolves arbitrary values and skips unknown names', () => {
+        const matches = findColorClasses('border-t-white from-[#ff0000] text-[oklch(62%_0.2_260)] bg-nope-500 p-4', colors);
+        assert.deepEqual(matches.map(({ utility, name, arbitrary }) => [utility, name, arbitrary]), [
+            ['border-t', 'white', false],
+            ['from', '[#ff0000]', true],
+            ['text', '[oklch(62%_0.2_260)]', true],
+        ]);
+    });
+});
+
+describe('colorClassNames', () => {
+    it('flattens nested palettes into class names', () => {
+        assert.deepEqual(colorClassNames({ black: '#000', brand: { DEFAULT: '#00f', 50: '#eef', dark: { 500: '#003' } } }), {
+            black: '#000',
+            brand: '#00f',
+            'brand-50': '#eef',
+            'brand-dark-500': '#003',
+        });
+    });
+
+    it('names every Tailwind default shade', () => {
+        const v4 = colorClassNames(TAILWIND_COLORS.v4);
+        assert.equal(v4['blue-500'], 'oklch(62.3% 0.214 259.815)');
+        assert.equal(colorClassNames(TAILWIND_COLORS.v3)['slate-950'], '#020617');
+        assert.equal(findColorClasses('bg-blue-500', v4).length, 1);
+    });
+});
+
+describe('readThemeColors', () => {
+    it('reads --color-* variables from @theme blocks only', () => {
+        const css = `@import "tailwindcss";
+:root { --color-root: #fff; }
+/* @theme { --color-commented: #000; } */
+@theme inline {
+  --font-sans: Inter, sans-serif;
+  --color-brand-500: oklch(62% 0.2 260);
+  --color-surface: var(--surface);
+}
+@media (prefers-color-scheme: dark) { :root { --color-brand-500: #000; } }
+@theme { --color-brand-50: #eef; --color-brand-500: #00f }
+`;
+        assert.deepEqual(readThemeColors(css), {
+            'brand-500': '#00f',
+            surface: 'var(--surface)',
+            'brand-50': '#eef',
+        });
+    });
+
+    it('returns nothing for stylesheets without @theme', () => {
+        assert.deepEqual(readThemeColors(':root { --color-brand-500: #00f; }'), {});
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findTailwindConfigs, readColorNames, readConfigColors, mergePaletteIntoConfig } = require('../lib/tailwind-config');
+
+const brand = { name: 'brand', palette: { 50: '#eff6ff', 500: '#3b82f6' } };
+
+describe('mergePaletteIntoConfig', () => {
+    it('creates theme.extend.colors in the file\'s own style', () => {
+        const result = mergePaletteIntoConfig('module.exports = {\n  content: [],\n}\n', [brand]);
+        assert.equal(result.code, `module.exports = {
+  content: [],
+  theme: {
+    extend: {
+      colors: {
+        brand: {
+          50: '#eff6ff',
+          500: '#3b82f6',
+        },
+      },
+    },
+  },
+}
+`);
+        assert.deepEqual(result.added, ['brand']);
+    });
+
+    it('appends to existing colors, keeping comments, quotes and indentation', () => {
+        const source = `import type { Config } from "tailwindcss";
+
+export default {
+    theme: {
+        extend: {
+            colors: {
+                // keep
+                accent: "#f00"
+            }
+        }
+    }
+} satisfies Config;
+`;
+        assert.equal(mergePaletteIntoConfig(source, [brand]).code, `import type { Config } from "tailwindcss";
+
+export default {
+    theme: {
+        extend: {
+            colors: {
+                // keep
+                accent: "#f00",
+                brand: {
+                    50: "#eff6ff",
+                    500: "#3b82f6"
+                }
+            }
+        }
+    }
+} satisfies Config;
+`);
+    });
+
+    it('finds the config through defineConfig and a top-level binding', () => {
+        const wrapped = mergePaletteIntoConfig('export default defineConfig({ theme: {} })\n', [brand]);
+        assert.match(wrapped.code, /theme: \{\n {2}extend: \{\n {4}colors: \{\n {6}brand: \{/);
+        const bound = mergePaletteIntoConfig('const config = { plugins: [] };\nmodule.exports = config;\n', [brand]);
+        assert.match(bound.code, /^const config = \{\n {2}plugins: \[\],\n {2}theme: \{\n/);
+        assert.deepEqual(bound.added, ['brand']);
+    });
+
+    it('spreads a colors object written on one line over several lines', () => {
+        const source = `module.exports = {
+  theme: {
+    extend: {
+      colors: { /* brand */ accent: '#123', ink: '#111' /* text */ },
+    },
+  },
+}
+`;
+        assert.equal(mergePaletteIntoConfig(source, [brand]).code, `module.exports = {
+  theme: {
+    extend: {
+      colors: {
+        /* brand */ accent: '#123',
+        ink: '#111', /* text */
+        brand: {
+          50: '#eff6ff',
+          500: '#3b82f6',
+        },
+      },
+    },
+  },
+}
+`);
+        assert.equal(mergePaletteIntoConfig(source.replace('accent', 'brand'), [brand], { overwrite: true }).code, `module.exports = {
+  theme: {
+    extend: {
+      colors: {
+        /* brand */ brand: {
+          50: '#eff6ff',
+          500: '#3b82f6',
+        },
+        ink: '#111', /* text */
+      },
+    },
+  },
+}
+`);
+    });
+
+    it('keeps a comment after the last color on its line', () => {
+        const source = `module.exports = {
+    theme: {
+        extend: {
+            colors: {
+                accent: '#123' // brand accent
+            }
+        }
+    }
+}
+`;
+        const expected = `module.exports = {
+    theme: {
+        extend: {
+            colors: {
+                accent: '#123', // brand accent
+                brand: {
+                    50: '#eff6ff',
+                    500: '#3b82f6'
+                }
+            }
+        }
+    }
+}
+`;
+        assert.equal(mergePaletteIntoConfig(source, [brand]).code, expected);
+        assert.equal(mergePaletteIntoConfig(source.replace("'#123'", "'#123',"), [brand]).code, expected.replace(/'#3b82f6'\n( +)\}/, "'#3b82f6'\n$1},"));
+    });
+
+    it('skips existing palettes unless they are overwritten', () => {
+        const source = 'const config = {\n\ttheme: {\n\t\textend: { colors: { brand: { 500: \'#000\' }, other: \'#111\' } },\n\t},\n};\nmodule.exports = config;\n';
+
+        const skipped = mergePaletteIntoConfig(source, [brand]);
+        assert.equal(skipped.code, source);
+        assert.deepEqual(skipped.skipped, ['brand']);
+        assert.deepEqual(skipped.edits, []);
+
+        const replaced = mergePaletteIntoConfig(source, [brand], { overwrite: ['brand'] });
+        assert.deepEqual(replaced.replaced, ['brand']);
+        assert.deepEqual(readConfigColors(replaced.code), { 'brand-50': '#eff6ff', 'brand-500': '#3b82f6', other: '#111' });
+        assert.deepEqual(mergePaletteIntoConfig(source, [brand], { overwrite: true }).replaced, ['brand']);
+    });
+
+    it('writes colors in the requested color space', () => {
+        const { code } = mergePaletteIntoConfig('module.exports = {}', [brand], { colorSpace: 'oklch' });
+        assert.match(code, /500: 'oklch\(62\.3% 0\.188 259\.815\)'/);
+    });
+
+    it('rejects files without a config object', () => {
+        assert.throws(() => mergePaletteIntoConfig('console.log(1)', [brand]));
+    });
+});
+
+describe('readConfigColors', () => {
+    it('flattens theme.colors and theme.extend.colors into class names', () => {
+        const source = 'module.exports = { theme: { colors: { white: "#fff", gray: { DEFAULT: "#888", 100: "#eee" } }, extend: { colors: { brand: { 500: "#3b82f6" } } } } }';
+        assert.deepEqual(readConfigColors(source), { white: '#fff', gray: '#888', 'gray-100': '#eee', 'brand-500': '#3b82f6' });
+        assert.deepEqual(readColorNames(source), ['brand']);
+    });
+
+    it('ignores colors computed at runtime', () => {
+        const source = 'module.exports = { theme: { colors: { white: "#fff" }, extend: { colors: ({ theme }) => ({}) } } }';
+        assert.deepEqual(readConfigColors(source), { white: '#fff' });
+    });
+});
+
+describe('findTailwindConfigs', () => {
+    it('finds configs shallowest first, skipping node_modules', () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tailwind-config-'));
+        try {
+            ['apps/web', 'node_modules/pkg'].forEach(dir => fs.mkdirSync(path.join(root, dir), { recursive: true }));
+            ['tailwind.config.js', 'apps/web/tailwind.config.ts', 'node_modules/pkg/tailwind.config.js'].forEach(file => {
+                fs.writeFileSync(path.join(root, file), 'module.exports = {}');
+            });
+            assert.deepEqual(
+                findTailwindConfigs(root).map(file => path.relative(root, file)),
+                ['tailwind.config.js', path.join('apps', 'web', 'tailwind.config.ts')]
+            );
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});